@@ -1,5 +1,6 @@
-import { ChatOpenAI } from '@langchain/openai';
 import { z } from 'zod';
+import { LLMRole, getStructuredModel } from '../services/llm-provider.js';
+import { formatConflictsForPrompt } from '../services/prompts.js';
 
 /**
  * Self-Critique Agent
@@ -11,7 +12,7 @@ const CritiqueSchema = z.object({
   isValid: z.boolean().describe('Whether the verification result is valid and high quality'),
   confidence: z.number().min(0).max(1).describe('Confidence in the critique (0-1)'),
   issues: z.array(z.object({
-    type: z.enum(['citation_missing', 'citation_invalid', 'reasoning_incoherent', 'confidence_miscalibrated', 'verdict_unsupported', 'hallucination', 'other']),
+    type: z.enum(['citation_missing', 'citation_invalid', 'reasoning_incoherent', 'confidence_miscalibrated', 'verdict_unsupported', 'hallucination', 'conflict_ignored', 'other']),
     severity: z.enum(['critical', 'major', 'minor']),
     description: z.string()
   })).describe('List of issues found'),
@@ -19,35 +20,23 @@ const CritiqueSchema = z.object({
   overallAssessment: z.string().describe('Overall assessment of the verification quality')
 });
 
-let critiqueLLM = null;
-
-/**
- * Get or create ChatOpenAI instance for critique
- */
-function getCritiqueLLM() {
-  if (!critiqueLLM) {
-    critiqueLLM = new ChatOpenAI({
-      modelName: 'gpt-4o-mini', // Use mini for cost-effective critique
-      temperature: 0.1, // Low temperature for consistent critique
-      openAIApiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return critiqueLLM;
-}
-
 /**
  * Critique a verification result
  * @param {string} claim - The original claim
  * @param {Object} verdict - The verification result
  * @param {Array} evidence - The evidence used
+ * @param {Object} options - Critique options
+ * @param {Array} options.conflicts - Conflicts between evidence items (from conflict-detector.js)
+ * @param {AbortSignal} options.signal - Cancels the critique LLM call
  * @returns {Object} Critique with validation results
  */
-export async function critiqueVerification(claim, verdict, evidence) {
+export async function critiqueVerification(claim, verdict, evidence, options = {}) {
+  const { conflicts = [], signal } = options;
+
   try {
     console.log('🔍 Running self-critique on verification result...');
     
-    const llm = getCritiqueLLM();
-    const structuredLLM = llm.withStructuredOutput(CritiqueSchema);
+    const structuredLLM = getStructuredModel(LLMRole.CRITIQUE, CritiqueSchema);
 
     const critiquePrompt = `You are a quality assurance agent validating fact-checking results.
 
@@ -63,6 +52,9 @@ export async function critiqueVerification(claim, verdict, evidence) {
 **Evidence Provided:**
 ${formatEvidenceForCritique(evidence)}
 
+**Detected Conflicts Between Sources:**
+${formatConflictsForPrompt(conflicts)}
+
 **Your Task:**
 Validate the verification result by checking for:
 
@@ -92,6 +84,11 @@ Validate the verification result by checking for:
    - Are sources fabricated?
    - Are quotes or numbers accurate?
 
+6. **Source Conflicts:**
+   - Does the reasoning acknowledge each detected conflict and explain which source it relies on?
+   - Does the verdict rest on a value that another credible source contradicts?
+   - Is the confidence lowered to reflect unresolved conflicts?
+
 **Severity Levels:**
 - CRITICAL: Makes the verdict completely unreliable (e.g., hallucinated sources, wrong verdict)
 - MAJOR: Significantly impacts quality (e.g., confidence miscalibrated, weak reasoning)
@@ -99,7 +96,7 @@ Validate the verification result by checking for:
 
 Provide a thorough critique.`;
 
-    const critique = await structuredLLM.invoke(critiquePrompt);
+    const critique = await structuredLLM.invoke(critiquePrompt, { signal });
     
     // Log critique results
     if (critique.isValid) {
@@ -113,6 +110,7 @@ Provide a thorough critique.`;
 
     return critique;
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('Error in critique agent:', error.message);
     // If critique fails, default to valid (don't block the pipeline)
     return {
@@ -212,6 +210,12 @@ export function applyCritiqueSuggestions(verdict, critique) {
       improvedVerdict.reasoning += ' [Note: Verdict adjusted due to insufficient evidence support]';
     }
 
+    if (issue.type === 'conflict_ignored' && issue.severity === 'critical') {
+      // Unresolved disagreement between sources caps confidence
+      improvedVerdict.confidence = Math.min(improvedVerdict.confidence, 0.6);
+      improvedVerdict.reasoning += ' [Note: Confidence lowered because sources conflict]';
+    }
+
     if (issue.type === 'hallucination' && issue.severity === 'critical') {
       // Remove invalid citations
       improvedVerdict.citations = verdict.citations?.filter(c => 
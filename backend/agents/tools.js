@@ -1,12 +1,15 @@
 import { DynamicStructuredTool } from '@langchain/core/tools';
 import { z } from 'zod';
-import { similaritySearch, isPineconeAvailable } from '../services/vectordb.js';
+import { similaritySearch, isVectorStoreAvailable } from '../services/vectordb.js';
 import { searchWeb } from '../services/websearch.js';
-import { searchTavilyNews, searchTavilyHistorical, isTavilyAvailable } from '../services/tavily-search.js';
+import { searchLocalCorpus, isLocalCorpusEnabled } from '../services/local-corpus.js';
+import { scoreCredibility, withCredibility } from '../services/credibility-registry.js';
+import { retrievePassages } from '../services/passage-retrieval.js';
+import { fetchReadablePage } from '../services/url-fetcher.js';
 
 /**
  * Tool: Search Knowledge Base (Vector DB)
- * Searches the Pinecone vector database for relevant facts
+ * Searches the knowledge base vector store for relevant facts
  */
 export const searchKnowledgeBaseTool = new DynamicStructuredTool({
   name: 'search_knowledge_base',
@@ -17,7 +20,7 @@ export const searchKnowledgeBaseTool = new DynamicStructuredTool({
   }),
   func: async ({ query, limit = 5 }) => {
     try {
-      if (!isPineconeAvailable()) {
+      if (!isVectorStoreAvailable()) {
         return JSON.stringify({
           success: false,
           error: 'Knowledge base not available',
@@ -29,15 +32,21 @@ export const searchKnowledgeBaseTool = new DynamicStructuredTool({
       
       const documents = await similaritySearch(query, limit, null, 'knowledge-base');
       
-      const results = documents.map((doc, idx) => ({
-        index: idx + 1,
-        title: `KB: ${doc.metadata.claim || 'Fact'}`,
-        snippet: doc.metadata.explanation || doc.pageContent,
-        verdict: doc.metadata.verdict,
-        credibility: doc.metadata.credibility || 'high',
-        source_url: doc.metadata.source || 'internal://knowledge-base',
-        relevance_score: doc.metadata.score
-      }));
+      const results = documents.map((doc, idx) => {
+        const url = doc.metadata.source || 'internal://knowledge-base';
+        const { tier, rule } = scoreCredibility({ url, source: 'vector' });
+
+        return {
+          index: idx + 1,
+          title: `KB: ${doc.metadata.claim || 'Fact'}`,
+          snippet: doc.metadata.explanation || doc.pageContent,
+          verdict: doc.metadata.verdict,
+          credibility: tier,
+          credibility_rule: rule,
+          source_url: url,
+          relevance_score: doc.metadata.score
+        };
+      });
 
       return JSON.stringify({
         success: true,
@@ -56,9 +65,84 @@ export const searchKnowledgeBaseTool = new DynamicStructuredTool({
   }
 });
 
+/**
+ * Tool: Search Local Document Corpus
+ * BM25 keyword search over the newsroom's archive of vetted documents
+ */
+export const searchLocalCorpusTool = new DynamicStructuredTool({
+  name: 'search_local_corpus',
+  description: 'Search the local archive of vetted reports, press releases and prior fact-checks by keywords. Use this for exact names, numbers, dates and quotes. Returns matching passages with file paths and credibility.',
+  schema: z.object({
+    query: z.string().describe('Keywords or the claim to look up in the document archive'),
+    limit: z.number().optional().default(5).describe('Maximum number of passages to return (default: 5)')
+  }),
+  func: async ({ query, limit = 5 }) => {
+    try {
+      if (!isLocalCorpusEnabled()) {
+        return JSON.stringify({
+          success: false,
+          error: 'Local corpus not configured',
+          results: []
+        });
+      }
+
+      console.log(`🔧 Tool: search_local_corpus("${query}", limit=${limit})`);
+
+      const passages = await searchLocalCorpus(query, { topK: limit });
+
+      const results = passages.map((passage, idx) => ({
+        index: idx + 1,
+        title: passage.title,
+        snippet: passage.snippet,
+        credibility: passage.credibility,
+        credibility_rule: passage.credibilityRule,
+        source_url: passage.url,
+        file_path: passage.filePath,
+        chunk_index: passage.chunkIndex,
+        relevance_score: passage.score
+      }));
+
+      return JSON.stringify({
+        success: true,
+        source_type: 'local-corpus',
+        num_results: results.length,
+        results
+      });
+    } catch (error) {
+      console.error('Error in search_local_corpus tool:', error.message);
+      return JSON.stringify({
+        success: false,
+        error: error.message,
+        results: []
+      });
+    }
+  }
+});
+
+/**
+ * Run a web search for a tool and format results for the agent
+ */
+async function runWebSearchTool(query, entities, temporality, signal) {
+  const webResults = await searchWeb(query, entities, { temporality, maxResults: 5, signal });
+  const passages = await retrievePassages(query, webResults, { signal });
+
+  return passages.map((result, idx) => ({
+    index: idx + 1,
+    title: result.title,
+    snippet: result.snippet,
+    source_url: result.url,
+    credibility: result.credibility,
+    credibility_rule: result.credibilityRule,
+    source_type: result.source,
+    published_date: result.publishedDate,
+    section_title: result.sectionTitle,
+    offset: result.offset
+  }));
+}
+
 /**
  * Tool: Search Web for Current Information
- * Uses Tavily API (when available) for recent and current events, falls back to web search
+ * Uses the search providers configured for recent claims (Tavily news first by default)
  */
 export const searchWebCurrentTool = new DynamicStructuredTool({
   name: 'search_web_current',
@@ -67,62 +151,21 @@ export const searchWebCurrentTool = new DynamicStructuredTool({
     query: z.string().describe('The search query or claim to verify'),
     entities: z.array(z.string()).optional().default([]).describe('Key entities or names to focus the search')
   }),
-  func: async ({ query, entities = [] }) => {
+  func: async ({ query, entities = [] }, runManager, config) => {
     try {
       console.log(`🔧 Tool: search_web_current("${query}", entities=${JSON.stringify(entities)})`);
       
-      let results = [];
-      
-      // Try Tavily first if available
-      if (isTavilyAvailable()) {
-        try {
-          const searchQuery = entities.length > 0 ? `${query} ${entities.join(' ')}` : query;
-          const tavilyResults = await searchTavilyNews(searchQuery, { 
-            maxResults: 5,
-            timeFilter: '30d'
-          });
-          
-          if (tavilyResults.length > 0) {
-            results = tavilyResults.map((result, idx) => ({
-              index: idx + 1,
-              title: result.title,
-              snippet: result.snippet,
-              source_url: result.url,
-              credibility: result.credibility || 'medium',
-              source_type: 'news',
-              published_date: result.publishedDate
-            }));
-            
-            console.log(`   └─ Found ${results.length} results from Tavily`);
-          }
-        } catch (error) {
-          console.log(`   └─ Tavily search failed, falling back to Wikipedia: ${error.message}`);
-        }
-      }
-      
-      // Fallback to regular web search (Wikipedia) if Tavily unavailable or returned no results
-      if (results.length === 0) {
-        const webResults = await searchWeb(query, entities, { temporality: 'recent' });
-        
-        results = webResults.map((result, idx) => ({
-          index: idx + 1,
-          title: result.title,
-          snippet: result.snippet,
-          source_url: result.url,
-          credibility: result.credibility || 'medium',
-          source_type: result.source || 'web'
-        }));
-        
-        console.log(`   └─ Found ${results.length} results from fallback search`);
-      }
+      const results = await runWebSearchTool(query, entities, 'recent', config?.signal);
+      console.log(`   └─ Found ${results.length} results`);
 
       return JSON.stringify({
         success: true,
-        source_type: isTavilyAvailable() && results.length > 0 ? 'tavily_news' : 'web_current',
+        source_type: 'web_current',
         num_results: results.length,
         results
       });
     } catch (error) {
+      if (config?.signal?.aborted) throw error;
       console.error('Error in search_web_current tool:', error.message);
       return JSON.stringify({
         success: false,
@@ -135,7 +178,7 @@ export const searchWebCurrentTool = new DynamicStructuredTool({
 
 /**
  * Tool: Search Web for Historical Information
- * Uses Tavily (when available) or web search for historical facts
+ * Uses the search providers configured for historical claims (Wikipedia first by default)
  */
 export const searchWebHistoricalTool = new DynamicStructuredTool({
   name: 'search_web_historical',
@@ -144,69 +187,21 @@ export const searchWebHistoricalTool = new DynamicStructuredTool({
     query: z.string().describe('The search query or historical claim to verify'),
     entities: z.array(z.string()).optional().default([]).describe('Key entities, names, or dates to focus the search')
   }),
-  func: async ({ query, entities = [] }) => {
+  func: async ({ query, entities = [] }, runManager, config) => {
     try {
       console.log(`🔧 Tool: search_web_historical("${query}", entities=${JSON.stringify(entities)})`);
       
-      let results = [];
-      
-      // Try Tavily historical search if available
-      if (isTavilyAvailable()) {
-        try {
-          const searchQuery = entities.length > 0 ? `${query} ${entities.join(' ')}` : query;
-          const tavilyResults = await searchTavilyHistorical(searchQuery, { 
-            maxResults: 5
-          });
-          
-          if (tavilyResults.length > 0) {
-            results = tavilyResults.map((result, idx) => ({
-              index: idx + 1,
-              title: result.title,
-              snippet: result.snippet,
-              source_url: result.url,
-              credibility: result.credibility || 'high',
-              source_type: 'historical'
-            }));
-            
-            console.log(`   └─ Found ${results.length} results from Tavily (historical)`);
-          }
-        } catch (error) {
-          console.log(`   └─ Tavily historical search failed, falling back to Wikipedia: ${error.message}`);
-        }
-      }
-      
-      // Fallback to regular web search (Wikipedia)
-      if (results.length === 0) {
-        const webResults = await searchWeb(query, entities, { temporality: 'historical' });
-        
-        // Filter and prioritize Wikipedia and educational sources
-        const historicalResults = webResults.filter(r => {
-          const url = r.url.toLowerCase();
-          return url.includes('wikipedia') || 
-                 url.includes('.edu') || 
-                 url.includes('britannica') ||
-                 !url.includes('news'); // Exclude news sites for historical search
-        });
-
-        results = historicalResults.map((result, idx) => ({
-          index: idx + 1,
-          title: result.title,
-          snippet: result.snippet,
-          source_url: result.url,
-          credibility: result.credibility || 'high',
-          source_type: 'historical'
-        }));
-        
-        console.log(`   └─ Found ${results.length} results from fallback search`);
-      }
+      const results = await runWebSearchTool(query, entities, 'historical', config?.signal);
+      console.log(`   └─ Found ${results.length} results`);
 
       return JSON.stringify({
         success: true,
-        source_type: isTavilyAvailable() && results.length > 0 ? 'tavily_historical' : 'web_historical',
+        source_type: 'web_historical',
         num_results: results.length,
         results
       });
     } catch (error) {
+      if (config?.signal?.aborted) throw error;
       console.error('Error in search_web_historical tool:', error.message);
       return JSON.stringify({
         success: false,
@@ -217,13 +212,71 @@ export const searchWebHistoricalTool = new DynamicStructuredTool({
   }
 });
 
+/**
+ * Tool: Fetch URL
+ * Opens one web page (an article the claim cites, or a search hit) and returns its
+ * passages most relevant to a query
+ */
+export const fetchUrlTool = new DynamicStructuredTool({
+  name: 'fetch_url',
+  description: 'Open a specific web page and read it. Use this when the claim cites a URL, or when a search result looks relevant but its snippet lacks the details you need. Returns the passages of the page most relevant to your query.',
+  schema: z.object({
+    url: z.string().describe('Full http(s) URL of the page to read'),
+    query: z.string().describe('What to look for on the page (picks the passages returned)'),
+    limit: z.number().optional().default(3).describe('Maximum number of passages to return (default: 3)')
+  }),
+  func: async ({ url, query, limit = 3 }, runManager, config) => {
+    try {
+      console.log(`🔧 Tool: fetch_url("${url}", query="${query}")`);
+
+      const page = await fetchReadablePage(url, { signal: config?.signal });
+      const passages = await retrievePassages(query, [withCredibility({
+        title: page.title,
+        url: page.finalUrl,
+        snippet: page.text.substring(0, 500),
+        source: 'web_page',
+        rawContent: page.text
+      })], { passagesPerSource: limit, signal: config?.signal });
+
+      const results = passages.map((passage, idx) => ({
+        index: idx + 1,
+        title: passage.title,
+        snippet: passage.snippet,
+        source_url: passage.url,
+        credibility: passage.credibility,
+        credibility_rule: passage.credibilityRule,
+        section_title: passage.sectionTitle,
+        offset: passage.offset
+      }));
+      console.log(`   └─ Read ${page.text.length} characters${page.cached ? ' (cached)' : ''}, returning ${results.length} passages`);
+
+      return JSON.stringify({
+        success: true,
+        source_type: 'web_page',
+        num_results: results.length,
+        results
+      });
+    } catch (error) {
+      if (config?.signal?.aborted) throw error;
+      console.error('Error in fetch_url tool:', error.message);
+      return JSON.stringify({
+        success: false,
+        error: error.message,
+        results: []
+      });
+    }
+  }
+});
+
 /**
  * Get all available tools for the verification agent
  */
 export function getVerificationTools() {
   return [
     searchKnowledgeBaseTool,
+    searchLocalCorpusTool,
     searchWebCurrentTool,
-    searchWebHistoricalTool
+    searchWebHistoricalTool,
+    fetchUrlTool
   ];
 }
@@ -1,102 +1,98 @@
-import { ChatOpenAI } from '@langchain/openai';
+import { ToolMessage } from '@langchain/core/messages';
 import { getVerificationTools } from './tools.js';
+import { isLocalCorpusEnabled } from '../services/local-corpus.js';
+import { isVectorStoreAvailable } from '../services/vectordb.js';
+import { LLMRole, getChatModel } from '../services/llm-provider.js';
+import { verificationAgentPrompt } from '../services/prompts.js';
+import { getLanguageName } from '../services/language.js';
 
 /**
- * Manual Agent Implementation
- * Since langchain/agents is not available, we implement a simple agent loop
+ * Verification Agent
+ * A tool-calling loop: the agent model picks a tool and writes its input, reads the
+ * observation and decides whether to search again or stop. The loop ends when the model
+ * stops calling tools, after maxIterations model turns, or before a turn that would exceed
+ * the token budget. Token use is estimated from message size when the model reports none.
+ * If the model cannot call tools, the agent walks a fixed tool sequence instead.
+ *
+ * Environment:
+ * - AGENT_MAX_ITERATIONS: Model turns when the strategy sets none (default: 5)
+ * - AGENT_TOKEN_BUDGET: Total tokens the agent model may use per claim (default: 20000)
  */
 
+const DEFAULT_MAX_ITERATIONS = parseInt(process.env.AGENT_MAX_ITERATIONS || '5', 10);
+const AGENT_TOKEN_BUDGET = parseInt(process.env.AGENT_TOKEN_BUDGET || '20000', 10);
+
+// Rough token estimate for text when the model reports no usage
+const CHARS_PER_TOKEN = 4;
+
+// Evidence count at which the fixed sequence stops early
+const FIXED_SEQUENCE_ENOUGH_EVIDENCE = 5;
+
+export const AgentStopReason = {
+  FINISHED: 'finished',           // Model stopped calling tools
+  MAX_ITERATIONS: 'max_iterations',
+  TOKEN_BUDGET: 'token_budget',
+  ERROR: 'error',                 // Model failed after gathering some evidence
+  FIXED_SEQUENCE: 'fixed_sequence'
+};
+
 /**
  * Run the verification agent on a claim
- * Uses a manual loop to call tools iteratively
+ *
+ * @param {string} claim - The claim to verify
+ * @param {Object} claimAnalysis - Analysis of the claim
+ * @param {Object} options - Agent options
+ * @param {number} options.maxIterations - Model turns allowed (default: AGENT_MAX_ITERATIONS)
+ * @param {number} options.tokenBudget - Tokens the agent model may use (default: AGENT_TOKEN_BUDGET)
+ * @param {Function} options.onStep - Called with each formatted step as soon as its tool returns
+ * @param {AbortSignal} options.signal - Cancels the agent and its in-flight tool calls
+ * @returns {Promise<Object>} { output, evidence, steps, toolCalls, iterations, tokensUsed, stopReason, duration }
  */
-export async function runVerificationAgent(claim, claimAnalysis) {
+export async function runVerificationAgent(claim, claimAnalysis, options = {}) {
+  const {
+    maxIterations = DEFAULT_MAX_ITERATIONS,
+    tokenBudget = AGENT_TOKEN_BUDGET,
+    onStep = null,
+    signal
+  } = options;
+
   try {
     console.log('\n🤖 Starting Agentic Verification...');
     console.log(`   Claim: "${claim}"`);
     console.log(`   Type: ${claimAnalysis.type}, Temporality: ${claimAnalysis.temporality}`);
-    
+
     const startTime = Date.now();
-    const tools = getVerificationTools();
-    const maxIterations = 5;
-    const steps = [];
-    const allEvidence = [];
-
-    // Initialize LLM for agent decisions
-    const llm = new ChatOpenAI({
-      modelName: 'gpt-4o',
-      temperature: 0.3,
-      openAIApiKey: process.env.OPENAI_API_KEY
-    });
+    const run = { steps: [], evidence: [], seen: new Set(), onStep };
 
-    // Build strategy based on claim analysis
-    const strategy = buildSearchStrategy(claimAnalysis);
-    console.log(`   Strategy: ${strategy.description}`);
-
-    // Execute search strategy
-    for (let i = 0; i < strategy.toolSequence.length && i < maxIterations; i++) {
-      const toolName = strategy.toolSequence[i];
-      const tool = tools.find(t => t.name === toolName);
-      
-      if (!tool) continue;
-
-      try {
-        console.log(`\n   🔧 Step ${i + 1}: Using ${toolName}...`);
-        
-        // Prepare tool input based on claim
-        const toolInput = prepareToolInput(toolName, claim, claimAnalysis);
-        
-        // Execute tool
-        const observation = await tool.func(toolInput);
-        
-        // Parse observation
-        const parsedObservation = JSON.parse(observation);
-        
-        steps.push({
-          action: { tool: toolName, toolInput },
-          observation
-        });
-
-        // Collect evidence
-        if (parsedObservation.success && parsedObservation.results) {
-          parsedObservation.results.forEach(result => {
-            allEvidence.push({
-              title: result.title,
-              url: result.source_url,
-              snippet: result.snippet,
-              credibility: result.credibility || 'medium',
-              source: parsedObservation.source_type || 'agent',
-              verdict: result.verdict,
-              score: result.relevance_score
-            });
-          });
-          
-          console.log(`      ✅ Found ${parsedObservation.num_results} results`);
-        } else {
-          console.log(`      ⚠️ No results from ${toolName}`);
-        }
-
-        // Early stop if we have enough evidence
-        if (allEvidence.length >= 5) {
-          console.log('      ℹ️ Sufficient evidence collected, stopping search');
-          break;
-        }
-
-      } catch (error) {
-        console.error(`      ❌ Error using ${toolName}:`, error.message);
+    let outcome;
+    try {
+      outcome = await runToolCallingLoop(claim, claimAnalysis, run, { maxIterations, tokenBudget, signal });
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      if (run.steps.length > 0) {
+        console.error('   ⚠️  Agent model failed, keeping the evidence gathered so far:', error.message);
+        outcome = {
+          output: `Agent stopped after an error: ${error.message}`,
+          iterations: run.steps.at(-1).action.iteration,
+          tokensUsed: null,
+          stopReason: AgentStopReason.ERROR
+        };
+      } else {
+        console.error('   ⚠️  Agent model unavailable, using the fixed tool sequence:', error.message);
+        outcome = await runFixedSequence(claim, claimAnalysis, run, { maxIterations, signal });
       }
     }
-    
+
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log(`\n✅ Agent completed in ${duration}s`);
-    console.log(`   Tools used: ${steps.length} times`);
-    console.log(`   Evidence collected: ${allEvidence.length} sources`);
+    console.log(`\n✅ Agent completed in ${duration}s (${outcome.stopReason})`);
+    console.log(`   Tools used: ${run.steps.length} times`);
+    console.log(`   Evidence collected: ${run.evidence.length} sources`);
 
     return {
-      output: `Collected ${allEvidence.length} sources using ${steps.length} tool calls`,
-      evidence: allEvidence,
-      steps,
-      toolCalls: steps.length,
+      ...outcome,
+      evidence: run.evidence,
+      steps: run.steps,
+      toolCalls: run.steps.length,
       duration
     };
   } catch (error) {
@@ -105,6 +101,193 @@ export async function runVerificationAgent(claim, claimAnalysis) {
   }
 }
 
+/**
+ * Tools the agent can use right now (skips stores that are not configured)
+ */
+function getAvailableTools() {
+  return getVerificationTools().filter(tool => {
+    if (tool.name === 'search_knowledge_base') return isVectorStoreAvailable();
+    if (tool.name === 'search_local_corpus') return isLocalCorpusEnabled();
+    return true;
+  });
+}
+
+/**
+ * Estimate the tokens in a list of messages, tool calls included
+ */
+function estimateTokens(messages) {
+  const characters = messages.reduce((sum, message) =>
+    sum + messageText(message).length + JSON.stringify(message.tool_calls || []).length, 0);
+  return Math.ceil(characters / CHARS_PER_TOKEN);
+}
+
+/**
+ * Let the agent model choose tools until it stops, runs out of turns or the next turn would exceed the token budget
+ * Every turn resends the whole conversation, so its prompt alone is checked against the remaining budget.
+ */
+async function runToolCallingLoop(claim, claimAnalysis, run, { maxIterations, tokenBudget, signal }) {
+  const tools = getAvailableTools();
+  const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+  const model = getChatModel(LLMRole.AGENT).bindTools(tools);
+
+  const { englishClaim, language = 'en' } = claimAnalysis;
+  const messages = await verificationAgentPrompt.formatMessages({
+    claim,
+    maxIterations,
+    type: claimAnalysis.type,
+    temporality: claimAnalysis.temporality,
+    entities: (claimAnalysis.entities || []).join(', ') || 'none',
+    keywords: (claimAnalysis.keywords || []).join(', ') || 'none',
+    language: getLanguageName(language),
+    englishClaim: englishClaim && englishClaim !== claim ? `\n- In English: "${englishClaim}"` : ''
+  });
+
+  let tokensUsed = 0;
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    const promptTokens = estimateTokens(messages);
+    if (tokensUsed + promptTokens > tokenBudget) {
+      console.log(`   ℹ️ Token budget spent (${tokensUsed} used, next turn needs ~${promptTokens} of ${tokenBudget}), stopping search`);
+      return { output: summarizeRun(run), iterations: iteration - 1, tokensUsed, stopReason: AgentStopReason.TOKEN_BUDGET };
+    }
+
+    const response = await model.invoke(messages, { signal });
+    messages.push(response);
+    tokensUsed += response.usage_metadata?.total_tokens || promptTokens + estimateTokens([response]);
+
+    const reasoning = messageText(response) || null;
+    const toolCalls = response.tool_calls || [];
+
+    if (toolCalls.length === 0) {
+      console.log(`   🧠 Agent finished: ${reasoning || 'no summary'}`);
+      return { output: reasoning || summarizeRun(run), iterations: iteration, tokensUsed, stopReason: AgentStopReason.FINISHED };
+    }
+
+    if (reasoning) console.log(`\n   🧠 ${reasoning}`);
+
+    for (const call of toolCalls) {
+      signal?.throwIfAborted();
+      const tool = toolsByName.get(call.name);
+
+      const observation = tool
+        ? await invokeTool(tool, call.args, signal)
+        : JSON.stringify({ success: false, error: `Unknown tool "${call.name}"`, results: [] });
+      messages.push(new ToolMessage({ content: observation, tool_call_id: call.id, name: call.name }));
+
+      recordStep(run, { tool: call.name, toolInput: call.args, reasoning, iteration }, observation);
+    }
+  }
+
+  console.log(`   ℹ️ Reached ${maxIterations} iterations, stopping search`);
+  return { output: summarizeRun(run), iterations: maxIterations, tokensUsed, stopReason: AgentStopReason.MAX_ITERATIONS };
+}
+
+/**
+ * Walk a fixed tool sequence chosen from the claim analysis (used when the model cannot call tools)
+ */
+async function runFixedSequence(claim, claimAnalysis, run, { maxIterations, signal }) {
+  const tools = getVerificationTools();
+  const strategy = buildSearchStrategy(claimAnalysis);
+  console.log(`   Strategy: ${strategy.description}`);
+
+  for (let i = 0; i < strategy.toolSequence.length && i < maxIterations; i++) {
+    const toolName = strategy.toolSequence[i];
+    const tool = tools.find(t => t.name === toolName);
+
+    if (!tool) continue;
+    signal?.throwIfAborted();
+
+    const toolInput = prepareToolInput(toolName, claim, claimAnalysis);
+    const observation = await invokeTool(tool, toolInput, signal);
+    recordStep(run, { tool: toolName, toolInput, reasoning: strategy.description, iteration: i + 1 }, observation);
+
+    if (run.evidence.length >= FIXED_SEQUENCE_ENOUGH_EVIDENCE) {
+      console.log('      ℹ️ Sufficient evidence collected, stopping search');
+      break;
+    }
+  }
+
+  return { output: summarizeRun(run), iterations: run.steps.length, tokensUsed: 0, stopReason: AgentStopReason.FIXED_SEQUENCE };
+}
+
+/**
+ * Invoke a tool, turning thrown errors into a failed observation the model can read
+ */
+async function invokeTool(tool, toolInput, signal) {
+  try {
+    console.log(`\n   🔧 Using ${tool.name}...`);
+    return await tool.invoke(toolInput, { signal });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error(`      ❌ Error using ${tool.name}:`, error.message);
+    return JSON.stringify({ success: false, error: error.message, results: [] });
+  }
+}
+
+/**
+ * Record a tool call, report it and collect its results as evidence (duplicates skipped)
+ */
+function recordStep(run, action, observation) {
+  const step = { action, observation };
+  run.steps.push(step);
+  run.onStep?.(formatAgentStep(step, run.steps.length - 1));
+
+  let parsedObservation;
+  try {
+    parsedObservation = JSON.parse(observation);
+  } catch {
+    parsedObservation = {};
+  }
+
+  if (!parsedObservation.success || !parsedObservation.results?.length) {
+    console.log(`      ⚠️ No results from ${action.tool}`);
+    return;
+  }
+
+  for (const result of parsedObservation.results) {
+    const key = `${result.source_url}::${(result.snippet || '').substring(0, 100)}`;
+    if (run.seen.has(key)) continue;
+    run.seen.add(key);
+
+    run.evidence.push({
+      title: result.title,
+      url: result.source_url,
+      snippet: result.snippet,
+      credibility: result.credibility,
+      credibilityRule: result.credibility_rule,
+      source: parsedObservation.source_type || 'agent',
+      verdict: result.verdict,
+      score: result.relevance_score,
+      publishedDate: result.published_date || null,
+      filePath: result.file_path,
+      chunkIndex: result.chunk_index,
+      sectionTitle: result.section_title,
+      offset: result.offset
+    });
+  }
+
+  console.log(`      ✅ Found ${parsedObservation.num_results} results`);
+}
+
+/**
+ * Text content of a model message (content may be a string or content blocks)
+ */
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content.trim();
+  return (message.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('')
+    .trim();
+}
+
+/**
+ * Default agent output: what the run gathered
+ */
+function summarizeRun(run) {
+  return `Collected ${run.evidence.length} sources using ${run.steps.length} tool calls`;
+}
+
 /**
  * Build search strategy based on claim analysis
  */
@@ -115,6 +298,11 @@ function buildSearchStrategy(claimAnalysis) {
   let toolSequence = ['search_knowledge_base'];
   let description = 'Check knowledge base';
 
+  if (isLocalCorpusEnabled()) {
+    toolSequence.push('search_local_corpus');
+    description += ' and local document archive';
+  }
+
   // Add web search based on temporality
   if (temporality === 'current' || temporality === 'recent') {
     toolSequence.push('search_web_current');
@@ -152,6 +340,9 @@ function prepareToolInput(toolName, claim, claimAnalysis) {
     case 'search_knowledge_base':
       return { query: claim, limit: 5 };
     
+    case 'search_local_corpus':
+      return { query: claim, limit: 5 };
+    
     case 'search_web_current':
       return { query: claim, entities };
     
@@ -171,26 +362,33 @@ export function formatAgentSteps(steps) {
     return [];
   }
 
-  return steps.map((step, idx) => {
-    const action = step.action;
-    const observation = step.observation;
-    
-    let parsedObservation;
-    try {
-      parsedObservation = typeof observation === 'string' 
-        ? JSON.parse(observation)
-        : observation;
-    } catch {
-      parsedObservation = { raw: observation };
-    }
+  return steps.map(formatAgentStep);
+}
 
-    return {
-      step: idx + 1,
-      tool: action.tool,
-      input: action.toolInput,
-      success: parsedObservation.success,
-      numResults: parsedObservation.num_results || 0,
-      sourceType: parsedObservation.source_type
-    };
-  });
+/**
+ * Format a single agent step for display
+ */
+export function formatAgentStep(step, idx) {
+  const action = step.action;
+  const observation = step.observation;
+  
+  let parsedObservation;
+  try {
+    parsedObservation = typeof observation === 'string' 
+      ? JSON.parse(observation)
+      : observation;
+  } catch {
+    parsedObservation = { raw: observation };
+  }
+
+  return {
+    step: idx + 1,
+    iteration: action.iteration || null,
+    tool: action.tool,
+    input: action.toolInput,
+    reasoning: action.reasoning || null,
+    success: parsedObservation.success,
+    numResults: parsedObservation.num_results || 0,
+    sourceType: parsedObservation.source_type
+  };
 }
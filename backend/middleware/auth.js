@@ -0,0 +1,154 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import {
+  isAuthEnabled,
+  findApiKey,
+  checkRateLimit,
+  getQuotaStatus,
+  consumeQuota
+} from '../services/api-keys.js';
+import { ApiError, ErrorCode } from '../utils/errors.js';
+
+// Paths under /api that never require a key
+const PUBLIC_PATHS = new Set(['/health']);
+
+// Shared secret for admin routes when API key authentication is disabled
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+
+/**
+ * Read the API key from the X-API-Key header or an Authorization: Bearer header
+ */
+function extractApiKey(req) {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+
+  const authorization = req.get('authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return null;
+}
+
+/**
+ * Compare a presented token with ADMIN_TOKEN in constant time
+ */
+function isAdminToken(token) {
+  const digest = value => createHash('sha256').update(value).digest();
+  return Boolean(token) && timingSafeEqual(digest(token), digest(ADMIN_TOKEN));
+}
+
+function toEpochSeconds(date) {
+  return Math.ceil(date.getTime() / 1000);
+}
+
+function setRateLimitHeaders(res, rate) {
+  res.set({
+    'X-RateLimit-Limit': String(rate.limit),
+    'X-RateLimit-Remaining': String(rate.remaining),
+    'X-RateLimit-Reset': String(toEpochSeconds(rate.resetAt))
+  });
+}
+
+function setQuotaHeaders(res, quota) {
+  res.set({
+    'X-Quota-Limit': String(quota.limit),
+    'X-Quota-Remaining': String(quota.remaining),
+    'X-Quota-Reset': String(toEpochSeconds(quota.resetAt))
+  });
+}
+
+function setRetryAfter(res, resetAt) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000))));
+}
+
+/**
+ * Require a valid API key on /api routes when API_AUTH_ENABLED=true
+ * Applies the key's per-minute rate limit and reports rate limit and quota headers
+ */
+export async function authenticate(req, res, next) {
+  if (!isAuthEnabled() || PUBLIC_PATHS.has(req.path)) {
+    return next();
+  }
+
+  try {
+    const key = extractApiKey(req);
+    if (!key) {
+      throw new ApiError(ErrorCode.UNAUTHORIZED, 'API key required (send it in the X-API-Key header)');
+    }
+
+    const record = await findApiKey(key);
+    if (!record) {
+      throw new ApiError(ErrorCode.UNAUTHORIZED, 'Invalid or revoked API key');
+    }
+
+    req.apiKey = record;
+
+    const rate = checkRateLimit(record);
+    setRateLimitHeaders(res, rate);
+    setQuotaHeaders(res, await getQuotaStatus(record));
+
+    if (!rate.allowed) {
+      setRetryAfter(res, rate.resetAt);
+      throw new ApiError(ErrorCode.RATE_LIMITED, `Rate limit exceeded: ${rate.limit} requests per minute`, {
+        limit: rate.limit,
+        resetAt: rate.resetAt.toISOString()
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Charge verifications against the key's daily quota
+ * Place after validateBody so the cost can be derived from the parsed body
+ *
+ * @param {Function} getCost - (req) => number of verifications the request performs
+ */
+export function requireQuota(getCost = () => 1) {
+  return async (req, res, next) => {
+    if (!req.apiKey) return next();
+
+    try {
+      const cost = getCost(req);
+      const quota = await consumeQuota(req.apiKey, cost);
+      setQuotaHeaders(res, quota);
+
+      if (!quota.allowed) {
+        setRetryAfter(res, quota.resetAt);
+        throw new ApiError(
+          ErrorCode.QUOTA_EXCEEDED,
+          `Daily verification quota exceeded: ${quota.used}/${quota.limit} used, request needs ${cost}`,
+          { limit: quota.limit, used: quota.used, cost, resetAt: quota.resetAt.toISOString() }
+        );
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Restrict a route to admins
+ * With authentication enabled this takes an admin API key. Without it, the ADMIN_TOKEN
+ * must be sent (X-Admin-Token or Authorization: Bearer header); if none is set, admin routes are closed.
+ */
+export function requireAdmin(req, res, next) {
+  if (isAuthEnabled()) {
+    return next(req.apiKey?.admin ? undefined : new ApiError(ErrorCode.FORBIDDEN, 'Admin API key required'));
+  }
+
+  if (!ADMIN_TOKEN) {
+    return next(new ApiError(ErrorCode.FORBIDDEN, 'Admin routes are disabled: set API_AUTH_ENABLED=true or ADMIN_TOKEN'));
+  }
+
+  if (!isAdminToken(req.get('x-admin-token')?.trim() || extractApiKey(req))) {
+    return next(new ApiError(ErrorCode.UNAUTHORIZED, 'Admin token required (send it in the X-Admin-Token header)'));
+  }
+
+  next();
+}
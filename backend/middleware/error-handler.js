@@ -0,0 +1,27 @@
+import { ApiError, ErrorCode, classifyError } from '../utils/errors.js';
+
+/**
+ * Express error handler
+ * Responds with { error, code, details } and the status for the error code
+ */
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let error;
+  if (err.type === 'entity.too.large') {
+    error = new ApiError(ErrorCode.PAYLOAD_TOO_LARGE, `Request body exceeds ${err.limit} bytes`);
+  } else if (err.type === 'entity.parse.failed') {
+    error = new ApiError(ErrorCode.VALIDATION_FAILED, 'Request body is not valid JSON');
+  } else {
+    error = classifyError(err);
+  }
+
+  if (error.status >= 500) {
+    console.error(`❌ ${req.method} ${req.originalUrl} failed [${error.code}]:`, error.message);
+    if (error.code === ErrorCode.INTERNAL_ERROR) console.error(err.stack);
+  }
+
+  res.status(error.status).json(error);
+}
@@ -0,0 +1,44 @@
+import { ApiError, ErrorCode } from '../utils/errors.js';
+
+/**
+ * Convert zod issues into { path, message } pairs for error details
+ */
+function formatIssues(issues) {
+  return issues.map(issue => ({
+    path: issue.path.join('.'),
+    message: issue.message
+  }));
+}
+
+/**
+ * Validate req.body against a zod schema, replacing it with the parsed value
+ * Invalid bodies are rejected with VALIDATION_FAILED (400)
+ */
+export function validateBody(schema) {
+  return (req, res, next) => {
+    const parsed = schema.safeParse(req.body ?? {});
+
+    if (!parsed.success) {
+      return next(new ApiError(ErrorCode.VALIDATION_FAILED, 'Invalid request body', formatIssues(parsed.error.issues)));
+    }
+
+    req.body = parsed.data;
+    next();
+  };
+}
+
+/**
+ * Validate req.query against a zod schema; the parsed value is stored in req.validatedQuery
+ */
+export function validateQuery(schema) {
+  return (req, res, next) => {
+    const parsed = schema.safeParse(req.query);
+
+    if (!parsed.success) {
+      return next(new ApiError(ErrorCode.VALIDATION_FAILED, 'Invalid query parameters', formatIssues(parsed.error.issues)));
+    }
+
+    req.validatedQuery = parsed.data;
+    next();
+  };
+}
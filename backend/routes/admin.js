@@ -0,0 +1,65 @@
+import express from 'express';
+import {
+  getCredibilityRules,
+  updateCredibilityRules,
+  resetCredibilityRules,
+  scoreCredibility
+} from '../services/credibility-registry.js';
+import { validateBody } from '../middleware/validate.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { CredibilityRulesSchema, CredibilityScoreSchema } from './schemas.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/credibility
+ * Active source credibility rules and whether they are the shipped or saved set (admin only)
+ */
+router.get('/admin/credibility', requireAdmin, (req, res) => {
+  res.json(getCredibilityRules());
+});
+
+/**
+ * PUT /api/admin/credibility
+ * Replace the source credibility rules (admin only, saved to the data directory)
+ *
+ * Body parameters:
+ * - default: { tier, reason } used when no rule matches
+ * - rules: Ordered list of { id, domains, pattern, sources, tier, reason }; the first match wins.
+ *   A rule matches when every criterion it sets matches: the host is one of domains
+ *   (subdomains included), the host and path match pattern (a glob such as "*.gov.??/**",
+ *   where * stays within a path segment and ** crosses them) and the evidence source is one of sources.
+ */
+router.put('/admin/credibility', requireAdmin, validateBody(CredibilityRulesSchema), async (req, res, next) => {
+  try {
+    res.json(await updateCredibilityRules(req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/credibility
+ * Discard saved rules and return to the shipped config/source-credibility.json (admin only)
+ */
+router.delete('/admin/credibility', requireAdmin, async (req, res, next) => {
+  try {
+    res.json(await resetCredibilityRules());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/credibility/score
+ * Show which rule and tier the active rules give a source (admin only)
+ *
+ * Body parameters (at least one):
+ * - url: Source URL
+ * - source: Evidence source, e.g. 'vector', 'local-corpus', 'Wikipedia'
+ */
+router.post('/admin/credibility/score', requireAdmin, validateBody(CredibilityScoreSchema), (req, res) => {
+  res.json(scoreCredibility(req.body));
+});
+
+export default router;
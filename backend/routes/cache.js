@@ -0,0 +1,59 @@
+import express from 'express';
+import {
+  getVerdictCacheStats,
+  invalidateCacheKey,
+  invalidateClaim,
+  clearVerdictCache
+} from '../services/verdict-cache.js';
+import { validateBody } from '../middleware/validate.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { CacheInvalidationSchema } from './schemas.js';
+import { ApiError, ErrorCode } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/cache/stats
+ * Verdict cache size, hit rate and TTL configuration
+ */
+router.get('/cache/stats', (req, res) => {
+  res.json(getVerdictCacheStats());
+});
+
+/**
+ * DELETE /api/cache
+ * Invalidate cached verdicts (admin only)
+ *
+ * Body parameters (one of):
+ * - claim: Remove every cached entry for this claim (all option combinations)
+ * - all: true to clear the whole cache
+ */
+router.delete('/cache', requireAdmin, validateBody(CacheInvalidationSchema), (req, res) => {
+  const { claim, all = false } = req.body;
+
+  if (all) {
+    const removed = clearVerdictCache();
+    console.log(`🗑️  Verdict cache cleared (${removed} entries)`);
+    return res.json({ removed });
+  }
+
+  const removed = invalidateClaim(claim);
+  console.log(`🗑️  Invalidated ${removed} cache entries for "${claim}"`);
+  res.json({ removed });
+});
+
+/**
+ * DELETE /api/cache/:key
+ * Invalidate a single cached verdict by the key reported in a response's cache metadata (admin only)
+ */
+router.delete('/cache/:key', requireAdmin, (req, res) => {
+  const removed = invalidateCacheKey(req.params.key);
+
+  if (removed === 0) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Cache entry not found');
+  }
+
+  res.json({ removed });
+});
+
+export default router;
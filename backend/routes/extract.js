@@ -0,0 +1,63 @@
+import express from 'express';
+import { extractClaims } from '../services/claim-extraction.js';
+import { validateBody } from '../middleware/validate.js';
+import { requireQuota } from '../middleware/auth.js';
+import { ExtractClaimsRequestSchema } from './schemas.js';
+import { classifyError } from '../utils/errors.js';
+import { createTimeoutSignal } from '../utils/timeout.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/extract-claims
+ * Split article text into check-worthy factual claims
+ *
+ * Body parameters:
+ * - text (required): Full article text (max 100,000 characters)
+ * - title (optional): Article title
+ * - url (optional): Article URL
+ * - publishDate (optional): Publish date, used to resolve relative dates
+ * - minCheckWorthiness (optional, default: 0.5): Minimum check-worthiness score (0-1)
+ * - maxClaims (optional, default: 50): Maximum number of claims returned
+ *
+ * Each claim carries character offsets into `text` and a `verifyRequest`
+ * body that can be sent to POST /api/verify as-is.
+ */
+router.post('/extract-claims', validateBody(ExtractClaimsRequestSchema), requireQuota(), async (req, res, next) => {
+  const signal = createTimeoutSignal();
+
+  try {
+    const {
+      text,
+      title = '',
+      url = '',
+      publishDate = '',
+      minCheckWorthiness = 0.5,
+      maxClaims = 50
+    } = req.body;
+
+    const startTime = Date.now();
+    const claims = await extractClaims(text, {
+      title,
+      url,
+      publishDate,
+      minCheckWorthiness,
+      maxClaims,
+      signal
+    });
+
+    res.json({
+      claims,
+      totalClaims: claims.length,
+      article: { title, url, publishDate, length: text.length },
+      processingTime: `${((Date.now() - startTime) / 1000).toFixed(2)}s`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Claim extraction error:', error.message);
+    next(classifyError(error, { signal }));
+  }
+});
+
+export default router;
@@ -0,0 +1,72 @@
+import express from 'express';
+import { createJob, getJob, cancelJob, isQueueFull, JobStatus } from '../services/job-queue.js';
+import { validateBody } from '../middleware/validate.js';
+import { requireQuota } from '../middleware/auth.js';
+import { ClaimRequestSchema } from './schemas.js';
+import { ApiError, ErrorCode } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * Refuse new jobs while the queue is full, before any quota is consumed
+ */
+function requireQueueCapacity(req, res, next) {
+  if (isQueueFull()) {
+    res.set('Retry-After', '30');
+    return next(new ApiError(ErrorCode.RATE_LIMITED, 'Job queue is full, try again later'));
+  }
+  next();
+}
+
+/**
+ * POST /api/jobs
+ * Enqueue an asynchronous verification and return its job ID immediately
+ * Answers 429 while JOB_MAX_QUEUED jobs are already waiting.
+ *
+ * Body parameters: same as POST /api/verify (agentic pipeline only)
+ */
+router.post('/jobs', validateBody(ClaimRequestSchema), requireQueueCapacity, requireQuota(), (req, res) => {
+  const { claim, ...options } = req.body;
+  const job = createJob(claim, options);
+
+  res.status(202).json({
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job.id}`,
+    createdAt: job.createdAt
+  });
+});
+
+/**
+ * GET /api/jobs/:id
+ * Report job status, current pipeline stage and, once completed, the result
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Job not found');
+  }
+
+  res.json(job);
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running job, aborting its in-flight LLM and search calls
+ */
+router.delete('/jobs/:id', (req, res) => {
+  const existing = getJob(req.params.id);
+
+  if (!existing) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Job not found');
+  }
+
+  if (existing.status !== JobStatus.QUEUED && existing.status !== JobStatus.RUNNING) {
+    throw new ApiError(ErrorCode.CONFLICT, `Job already ${existing.status}`);
+  }
+
+  res.json(cancelJob(req.params.id));
+});
+
+export default router;
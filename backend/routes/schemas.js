@@ -0,0 +1,111 @@
+import { z } from 'zod';
+import { VerificationStrategy } from '../services/claim-router.js';
+import { MAX_BATCH_SIZE } from '../services/batch-verification.js';
+import { MAX_ARTICLE_LENGTH } from '../services/claim-extraction.js';
+import { MAX_PAGE_SIZE } from '../services/verification-history.js';
+
+/**
+ * Zod schemas for API request bodies and query strings
+ * Defaults are left to the services; schemas only check types and bounds
+ */
+
+export const MAX_CLAIM_LENGTH = 2000;
+export const MAX_CONTEXT_LENGTH = 5000;
+
+const ClaimSchema = z.string()
+  .trim()
+  .min(1, 'Claim is required')
+  .max(MAX_CLAIM_LENGTH, `Claim must be at most ${MAX_CLAIM_LENGTH} characters`);
+
+// Pipeline options shared by /verify, /verify/stream, /verify/batch and /jobs
+export const PipelineOptionsSchema = z.object({
+  context: z.string().max(MAX_CONTEXT_LENGTH).optional(),
+  useWebSearch: z.boolean().optional(),
+  useVectorSearch: z.boolean().optional(),
+  forceStrategy: z.enum(Object.values(VerificationStrategy)).nullable().optional(),
+  enableCritique: z.boolean().optional(),
+  decompose: z.boolean().optional(),
+  useCache: z.boolean().optional(),
+  useSemanticMatch: z.boolean().optional(),
+  reuseSimilar: z.boolean().optional(),
+  maxSemanticDistance: z.number().min(0).max(1).optional()
+});
+
+// POST /api/verify/stream, POST /api/jobs
+export const ClaimRequestSchema = PipelineOptionsSchema.extend({
+  claim: ClaimSchema
+});
+
+// POST /api/verify
+export const VerifyRequestSchema = ClaimRequestSchema.extend({
+  useAgenticPipeline: z.boolean().optional()
+});
+
+// POST /api/verify/batch
+export const BatchRequestSchema = z.object({
+  claims: z.array(z.union([ClaimSchema, ClaimRequestSchema]))
+    .min(1, 'claims must be a non-empty array')
+    .max(MAX_BATCH_SIZE, `Batch too large (max ${MAX_BATCH_SIZE} claims)`),
+  options: PipelineOptionsSchema.optional(),
+  concurrency: z.number().int().positive().optional()
+});
+
+// POST /api/extract-claims
+export const ExtractClaimsRequestSchema = z.object({
+  text: z.string()
+    .refine(text => text.trim().length > 0, 'Article text is required')
+    .refine(text => text.length <= MAX_ARTICLE_LENGTH, `Article text must be at most ${MAX_ARTICLE_LENGTH} characters`),
+  title: z.string().max(1000).optional(),
+  url: z.string().max(2048).optional(),
+  publishDate: z.string().max(100).optional(),
+  minCheckWorthiness: z.number().min(0).max(1).optional(),
+  maxClaims: z.number().int().positive().max(200).optional()
+});
+
+// DELETE /api/cache
+export const CacheInvalidationSchema = z.union([
+  z.object({ all: z.literal(true) }),
+  z.object({ claim: ClaimSchema })
+], { error: 'Provide a claim to invalidate or all: true' });
+
+const isoDate = z.string()
+  .refine(value => !isNaN(new Date(value)), 'Must be a valid ISO 8601 date')
+  .transform(value => new Date(value));
+
+const commaList = z.string()
+  .transform(value => value.split(',').map(item => item.trim()).filter(Boolean));
+
+// GET /api/verifications
+export const VerificationHistoryQuerySchema = z.object({
+  page: z.coerce.number().int().positive().optional(),
+  limit: z.coerce.number().int().positive().max(MAX_PAGE_SIZE).optional(),
+  verdict: commaList.transform(list => list.map(v => v.toUpperCase())).optional(),
+  strategy: commaList.transform(list => list.map(s => s.toLowerCase())).optional(),
+  from: isoDate.optional(),
+  to: isoDate.optional(),
+  q: z.string().max(500).optional()
+});
+
+const CredibilityTierSchema = z.enum(['high', 'medium', 'low']);
+
+// PUT /api/admin/credibility
+export const CredibilityRulesSchema = z.object({
+  default: z.object({
+    tier: CredibilityTierSchema,
+    reason: z.string().max(500).optional()
+  }),
+  rules: z.array(z.object({
+    id: z.string().trim().min(1).max(100),
+    domains: z.array(z.string().trim().min(1).max(253)).optional(),
+    pattern: z.string().max(200).optional(),
+    sources: z.array(z.string().trim().min(1).max(100)).optional(),
+    tier: CredibilityTierSchema,
+    reason: z.string().max(500).optional()
+  })).max(1000)
+});
+
+// POST /api/admin/credibility/score
+export const CredibilityScoreSchema = z.object({
+  url: z.string().max(2000).optional(),
+  source: z.string().max(100).optional()
+}).refine(body => body.url || body.source, 'Provide a url or a source to score');
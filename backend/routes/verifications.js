@@ -0,0 +1,62 @@
+import express from 'express';
+import { queryVerifications, getVerification } from '../services/verification-history.js';
+import { validateQuery } from '../middleware/validate.js';
+import { VerificationHistoryQuerySchema } from './schemas.js';
+import { ApiError, ErrorCode } from '../utils/errors.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/verifications
+ * List past verifications, newest first
+ *
+ * Query parameters:
+ * - page (optional, default: 1): 1-based page number
+ * - limit (optional, default: 20, max: 100): Page size
+ * - verdict (optional): Comma-separated verdicts, e.g. TRUE,PARTIALLY_TRUE
+ * - strategy (optional): Comma-separated strategies ('simple', 'hybrid', 'agentic', 'decomposed')
+ * - from / to (optional): ISO 8601 date range on creation time (inclusive)
+ * - q (optional): Case-insensitive text search over claim and reasoning
+ */
+router.get('/verifications', validateQuery(VerificationHistoryQuerySchema), async (req, res, next) => {
+  try {
+    const { page, limit, verdict, strategy, from, to, q } = req.validatedQuery;
+
+    const result = await queryVerifications({
+      page,
+      limit,
+      verdicts: verdict,
+      strategies: strategy,
+      from,
+      to,
+      q
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('History query error:', error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/verifications/:id
+ * Full record of a past verification, including evidence and critique
+ */
+router.get('/verifications/:id', async (req, res, next) => {
+  try {
+    const record = await getVerification(req.params.id);
+
+    if (!record) {
+      throw new ApiError(ErrorCode.NOT_FOUND, 'Verification not found');
+    }
+
+    res.json(record);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,6 +1,22 @@
 import express from 'express';
 import { verifyClaimWithPipeline } from '../services/verification-pipeline.js';
 import { verifyClaim } from '../services/rag.js';
+import { PipelineEvent } from '../services/pipeline-events.js';
+import { verifyClaimsBatch } from '../services/batch-verification.js';
+import { isHistoryEnabled, recordVerification } from '../services/verification-history.js';
+import { validateBody } from '../middleware/validate.js';
+import { requireQuota } from '../middleware/auth.js';
+import { VerifyRequestSchema, ClaimRequestSchema, BatchRequestSchema } from './schemas.js';
+import { describeLLMConfig } from '../services/llm-provider.js';
+import { describeEmbeddingConfig } from '../services/embedding-provider.js';
+import { describeSearchProviders } from '../services/search-providers/index.js';
+import { isLocalCorpusEnabled } from '../services/local-corpus.js';
+import { getRerankerName } from '../services/reranker.js';
+import { isPassageRetrievalEnabled } from '../services/passage-retrieval.js';
+import { isEvidenceTranslationEnabled } from '../services/evidence-translation.js';
+import { openEventStream } from '../utils/sse.js';
+import { classifyError } from '../utils/errors.js';
+import { createTimeoutSignal } from '../utils/timeout.js';
 
 const router = express.Router();
 
@@ -16,25 +32,17 @@ const router = express.Router();
  * - useAgenticPipeline (optional, default: true): Use full agentic pipeline with routing
  * - forceStrategy (optional): Force specific strategy ('simple', 'hybrid', or 'agentic')
  * - enableCritique (optional, default: true): Enable self-critique validation
+ * - decompose (optional, default: true): Split complex claims into separately verified sub-claims
+ * - useCache (optional, default: true): Serve a cached verdict when available
+ * - useSemanticMatch (optional, default: true): Look up previously verified paraphrases
+ * - reuseSimilar (optional, default: false): Return a matched earlier verification instead of re-verifying
+ * - maxSemanticDistance (optional): Maximum cosine distance for a semantic match
  */
-router.post('/verify', async (req, res) => {
-  try {
-    const { 
-      claim, 
-      context = '', 
-      useWebSearch = true,
-      useVectorSearch = true,
-      useAgenticPipeline = true,
-      forceStrategy = null,
-      enableCritique = true
-    } = req.body;
-
-    if (!claim) {
-      return res.status(400).json({ 
-        error: 'Claim is required' 
-      });
-    }
+router.post('/verify', validateBody(VerifyRequestSchema), requireQuota(), async (req, res, next) => {
+  const { claim, useAgenticPipeline = true, ...options } = req.body;
+  const signal = createTimeoutSignal();
 
+  try {
     console.log(`\nVerifying claim: "${claim}"`);
     console.log(`Pipeline mode: ${useAgenticPipeline ? 'Agentic' : 'Legacy'}`);
 
@@ -42,27 +50,118 @@ router.post('/verify', async (req, res) => {
 
     if (useAgenticPipeline) {
       // Use new agentic pipeline with routing, critique, and all features
-      result = await verifyClaimWithPipeline(claim, {
-        context,
-        useWebSearch,
-        useVectorSearch,
-        forceStrategy,
-        enableCritique
-      });
+      result = await verifyClaimWithPipeline(claim, { ...options, signal });
     } else {
       // Use legacy pipeline for backward compatibility
-      result = await verifyClaim(claim, { context, useWebSearch, useVectorSearch });
+      const startTime = Date.now();
+      const { context = '', useWebSearch = true, useVectorSearch = true } = options;
+      const legacyOptions = { context, useWebSearch, useVectorSearch };
+      result = await verifyClaim(claim, legacyOptions);
+
+      if (isHistoryEnabled()) {
+        const record = await recordVerification(
+          claim,
+          { ...legacyOptions, useAgenticPipeline: false },
+          result,
+          Date.now() - startTime
+        );
+        if (record) result.historyId = record.id;
+      }
     }
 
     res.json(result);
 
   } catch (error) {
     console.error('Verification error:', error.message);
-    console.error(error.stack);
-    res.status(500).json({ 
-      error: 'Verification failed', 
-      details: error.message 
+    next(classifyError(error, { signal }));
+  }
+});
+
+/**
+ * POST /api/verify/stream
+ * Streaming variant of /api/verify using Server-Sent Events
+ * 
+ * Accepts the same body as /api/verify (agentic pipeline only) and emits one
+ * event per pipeline stage: started, analysis, routing, evidence, agent_step,
+ * sufficiency, verdict, critique, then complete (final result) or error.
+ * Decomposed claims emit decomposition and one sub_claim event per sub-claim instead.
+ * The pipeline is cancelled when the client disconnects.
+ */
+router.post('/verify/stream', validateBody(ClaimRequestSchema), requireQuota(), async (req, res) => {
+  const { claim, ...options } = req.body;
+  const timeoutSignal = createTimeoutSignal();
+  const disconnect = new AbortController();
+  const signal = timeoutSignal ? AbortSignal.any([timeoutSignal, disconnect.signal]) : disconnect.signal;
+
+  console.log(`\nStreaming verification for claim: "${claim}"`);
+
+  const stream = openEventStream(res);
+  let errorSent = false;
+
+  // Stop LLM and search calls nobody is waiting for
+  res.on('close', () => {
+    if (!res.writableFinished) disconnect.abort(new Error('Client disconnected'));
+  });
+
+  try {
+    await verifyClaimWithPipeline(claim, {
+      ...options,
+      signal,
+      onProgress: event => {
+        if (event.type === PipelineEvent.ERROR) errorSent = true;
+        stream.send(event.type, event);
+      }
     });
+  } catch (error) {
+    if (disconnect.signal.aborted) {
+      console.log('Streaming verification cancelled: client disconnected');
+      return;
+    }
+    console.error('Streaming verification error:', error.message);
+    if (!errorSent) {
+      const { message, code } = classifyError(error, { signal });
+      stream.send(PipelineEvent.ERROR, {
+        type: PipelineEvent.ERROR,
+        data: { message, code },
+        timestamp: new Date().toISOString()
+      });
+    }
+  } finally {
+    stream.close();
+  }
+});
+
+/**
+ * POST /api/verify/batch
+ * Verify many claims in one request with bounded concurrency
+ * 
+ * Body parameters:
+ * - claims (required): Array of claim strings or objects { claim, context, useWebSearch,
+ *   useVectorSearch, forceStrategy, enableCritique, decompose, useCache, useSemanticMatch,
+ *   reuseSimilar, maxSemanticDistance } (max 500)
+ * - options (optional): Default pipeline options applied to every claim
+ * - concurrency (optional, default: 3): Claims verified at once (capped by BATCH_MAX_CONCURRENCY)
+ * 
+ * Returns per-item results; a failed claim reports its error without failing the batch.
+ * Each claim counts against the API key's daily quota.
+ */
+router.post('/verify/batch', validateBody(BatchRequestSchema), requireQuota(req => req.body.claims.length), async (req, res, next) => {
+  try {
+    const { claims, options = {}, concurrency } = req.body;
+
+    const batch = await verifyClaimsBatch(claims, {
+      concurrency,
+      defaults: options
+    });
+
+    res.json({
+      ...batch,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Batch verification error:', error.message);
+    next(error);
   }
 });
 
@@ -78,8 +177,22 @@ router.get('/health', (req, res) => {
       agenticWorkflow: true,
       selfCritique: true,
       intelligentRouting: true,
-      evidenceAssessment: true
+      evidenceAssessment: true,
+      progressStreaming: true,
+      batchVerification: true,
+      asyncJobs: true,
+      claimExtraction: true,
+      verdictCache: true,
+      semanticMatching: true,
+      verificationHistory: true,
+      localCorpus: isLocalCorpusEnabled(),
+      passageRetrieval: isPassageRetrievalEnabled(),
+      evidenceTranslation: isEvidenceTranslationEnabled()
     },
+    llm: describeLLMConfig(),
+    embeddings: describeEmbeddingConfig(),
+    search: describeSearchProviders(),
+    reranker: getRerankerName(),
     timestamp: new Date().toISOString()
   });
 });
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+/**
+ * Manage API keys for the verification API
+ *
+ * Usage:
+ *   npm run keys -- create --name <name> [--rpm <n>] [--daily-quota <n>] [--admin]
+ *   npm run keys -- list
+ *   npm run keys -- revoke <id-or-prefix>
+ */
+
+// Load environment variables (DATA_DIR, key defaults) before importing services
+import 'dotenv/config';
+
+import { parseArgs } from 'util';
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  DEFAULT_DAILY_QUOTA
+} from '../services/api-keys.js';
+
+const USAGE = `Usage:
+  manage-api-keys create --name <name> [--rpm <n>] [--daily-quota <n>] [--admin]
+  manage-api-keys list
+  manage-api-keys revoke <id-or-prefix>`;
+
+function parsePositiveInt(value, flag) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${flag} must be a positive integer`);
+  }
+  return number;
+}
+
+async function create(values) {
+  if (!values.name) {
+    throw new Error('--name is required');
+  }
+
+  const { key, record } = await createApiKey({
+    name: values.name,
+    rateLimitPerMinute: values.rpm ? parsePositiveInt(values.rpm, '--rpm') : DEFAULT_RATE_LIMIT_PER_MINUTE,
+    dailyQuota: values['daily-quota'] ? parsePositiveInt(values['daily-quota'], '--daily-quota') : DEFAULT_DAILY_QUOTA,
+    admin: Boolean(values.admin)
+  });
+
+  console.log(`✅ Created API key "${record.name}" (${record.id})`);
+  console.log(`   Rate limit: ${record.rateLimitPerMinute}/min, daily quota: ${record.dailyQuota}${record.admin ? ', admin' : ''}`);
+  console.log(`\n   ${key}\n`);
+  console.log('💡 Store this key now, it cannot be shown again.');
+}
+
+async function list() {
+  const keys = await listApiKeys();
+
+  if (keys.length === 0) {
+    console.log('No API keys. Create one with: npm run keys -- create --name <name>');
+    return;
+  }
+
+  for (const key of keys) {
+    const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+    console.log(`${key.prefix}…  ${key.id}  ${key.name}  ${key.rateLimitPerMinute}/min  ${key.dailyQuota}/day${key.admin ? '  admin' : ''}  (${status})`);
+  }
+}
+
+async function revoke(idOrPrefix) {
+  if (!idOrPrefix) {
+    throw new Error('Key ID or prefix is required');
+  }
+
+  const record = await revokeApiKey(idOrPrefix);
+  if (!record) {
+    throw new Error(`No active key matches "${idOrPrefix}"`);
+  }
+
+  console.log(`🗑️  Revoked API key "${record.name}" (${record.id})`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      name: { type: 'string' },
+      rpm: { type: 'string' },
+      'daily-quota': { type: 'string' },
+      admin: { type: 'boolean' }
+    }
+  });
+
+  const [command, ...rest] = positionals;
+
+  switch (command) {
+    case 'create':
+      return create(values);
+    case 'list':
+      return list();
+    case 'revoke':
+      return revoke(rest[0]);
+    default:
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -1,16 +1,16 @@
 #!/usr/bin/env node
 
 /**
- * Seed Pinecone vector database with fact-checking knowledge base
+ * Seed the vector database (Pinecone or local, see VECTOR_STORE) with fact-checking knowledge base
  */
 
-import dotenv from 'dotenv';
-
 // CRITICAL: Load environment variables BEFORE importing other modules
-dotenv.config();
+// (a dotenv.config() call would only run after every import has been evaluated)
+import 'dotenv/config';
 
 import { generateEmbeddingsBatch } from '../services/embeddings.js';
-import { initializePinecone, upsertVectors, getIndexStats } from '../services/vectordb.js';
+import { initializeVectorStore, upsertVectors, getIndexStats } from '../services/vectordb.js';
+import { getEmbedderInfo } from '../services/embedding-provider.js';
 import { prepareDocument, prepareDocumentSync } from '../utils/chunking.js';
 
 // Comprehensive fact-checking knowledge base for real-time news claim verification
@@ -478,9 +478,15 @@ async function seedDatabase() {
   console.log('🌱 Starting knowledge base seeding...\n');
   
   try {
-    // Initialize Pinecone
-    console.log('📊 Initializing Pinecone...');
-    await initializePinecone();
+    // Initialize vector store
+    console.log('📊 Initializing vector store...');
+    const vectorStore = await initializeVectorStore();
+    if (!vectorStore) {
+      throw new Error('Vector store could not be initialized');
+    }
+
+    const embedder = getEmbedderInfo();
+    console.log(`🧮 Embedding with ${embedder.id} (${embedder.dimension} dimensions)`);
     
     console.log(`\n📚 Processing ${knowledgeBase.length} verified facts across multiple categories...\n`);
     
@@ -508,7 +514,7 @@ async function seedDatabase() {
       const texts = chunks.map(c => c.text);
       const embeddings = await generateEmbeddingsBatch(texts);
       
-      // Prepare vectors for Pinecone
+      // Prepare vectors for the vector store
       chunks.forEach((chunk, index) => {
         allVectors.push({
           id: `${fact.id}-chunk-${index}`,
@@ -530,8 +536,8 @@ async function seedDatabase() {
       console.log(`  ✓ Generated ${chunks.length} chunk(s)`);
     }
     
-    // Upsert to Pinecone in batches
-    console.log(`\n📤 Upserting ${allVectors.length} vectors to Pinecone (namespace: knowledge-base)...`);
+    // Upsert to the vector store in batches
+    console.log(`\n📤 Upserting ${allVectors.length} vectors to ${vectorStore.name} (namespace: knowledge-base)...`);
     const batchSize = 100;
     
     for (let i = 0; i < allVectors.length; i += batchSize) {
@@ -544,15 +550,17 @@ async function seedDatabase() {
     }
     
     // CRITICAL: Wait for Pinecone eventual consistency (10+ seconds required)
-    console.log('\n⏰ Waiting 10 seconds for Pinecone index to sync...');
-    await new Promise(resolve => setTimeout(resolve, 10000));
+    if (vectorStore.name === 'pinecone') {
+      console.log('\n⏰ Waiting 10 seconds for Pinecone index to sync...');
+      await new Promise(resolve => setTimeout(resolve, 10000));
+    }
     
     // Get and display stats
     console.log('\n📊 Index Statistics:');
     const stats = await getIndexStats();
     if (stats) {
       console.log(`  Total vectors: ${stats.totalRecordCount || 0}`);
-      console.log(`  Dimension: ${stats.dimension || 3072}`);
+      console.log(`  Dimension: ${stats.dimension || embedder.dimension}`);
     }
     
     console.log('\n✅ Knowledge base seeding completed!');
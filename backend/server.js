@@ -1,34 +1,74 @@
+// Load .env first: imports are evaluated before the module body, and many services read env at load time
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import verifyRouter from './routes/verify.js';
-import { initializePinecone } from './services/vectordb.js';
-
-dotenv.config();
+import jobsRouter from './routes/jobs.js';
+import extractRouter from './routes/extract.js';
+import cacheRouter from './routes/cache.js';
+import verificationsRouter from './routes/verifications.js';
+import adminRouter from './routes/admin.js';
+import { initializeVectorStore } from './services/vectordb.js';
+import { getEmbeddingProvider } from './services/embedding-provider.js';
+import { errorHandler } from './middleware/error-handler.js';
+import { authenticate } from './middleware/auth.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({
+  // Let browser clients read rate limit and quota headers
+  exposedHeaders: [
+    'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+    'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset', 'Retry-After'
+  ]
+}));
+app.use(express.json({ limit: '1mb' })); // Batch requests can carry hundreds of claims
 app.use(express.static('public'));
 
+// API key authentication (API_AUTH_ENABLED=true)
+app.use('/api', authenticate);
+
 // Routes
 app.use('/api', verifyRouter);
+app.use('/api', jobsRouter);
+app.use('/api', extractRouter);
+app.use('/api', cacheRouter);
+app.use('/api', verificationsRouter);
+app.use('/api', adminRouter);
 
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Initialize Pinecone and start server
+// Error responses: { error, code, details }
+app.use(errorHandler);
+
+// Initialize vector store and start server
 async function startServer() {
-  // Initialize Pinecone vector database
+  // Initialize vector database (Pinecone or local, see VECTOR_STORE)
   console.log('🔧 Initializing services...');
-  await initializePinecone().catch(err => {
-    console.warn('⚠️  Pinecone initialization failed, continuing without vector DB');
-  });
+
+  // The embedder backs both vector search and the semantic claim index, so it must work
+  try {
+    getEmbeddingProvider();
+  } catch (error) {
+    console.error('❌ Embedding provider error:', error.message);
+    console.log('💡 Fix the EMBEDDING_* settings, or set EMBEDDING_PROVIDER=auto to fall back to local-hash.');
+    process.exit(1);
+  }
+
+  const vectorStore = await initializeVectorStore();
+  if (!vectorStore) {
+    // An explicitly configured store must work; only the unset default may run without one
+    if (process.env.VECTOR_STORE) {
+      console.error(`❌ VECTOR_STORE=${process.env.VECTOR_STORE} could not be initialized`);
+      process.exit(1);
+    }
+    console.warn('⚠️  Vector store initialization failed, continuing without vector DB');
+  }
   
   app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
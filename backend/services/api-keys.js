@@ -0,0 +1,267 @@
+/**
+ * API Keys
+ * Local key store (data/api-keys.json) with per-key rate limits and daily verification quotas
+ * Only SHA-256 hashes of keys are stored; the plaintext key is shown once at creation
+ */
+
+import fs from 'fs/promises';
+import { randomBytes, randomUUID, createHash } from 'crypto';
+import { resolveDataPath, readJSONFile, writeJSONFile } from '../utils/json-store.js';
+
+const AUTH_ENABLED = process.env.API_AUTH_ENABLED === 'true';
+const KEYS_FILE = resolveDataPath('api-keys.json');
+const USAGE_FILE = resolveDataPath('api-key-usage.json');
+const KEY_PREFIX = 'rnv_';
+
+export const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_DEFAULT_RPM || '30', 10);
+export const DEFAULT_DAILY_QUOTA = parseInt(process.env.API_KEY_DEFAULT_DAILY_QUOTA || '500', 10);
+
+const MINUTE_MS = 60 * 1000;
+
+// Key store cache, reloaded when the file changes (e.g. keys created with the CLI)
+let keyStore = null;
+
+// Fixed one-minute windows per key: keyId -> { window, count }
+const minuteWindows = new Map();
+
+// Daily verification usage per key: keyId -> { day, used }
+let usagePromise = null;
+
+// Pending quota updates per key, so concurrent requests cannot both pass the check: keyId -> Promise
+const quotaQueues = new Map();
+
+/**
+ * Check whether API key authentication is enabled (API_AUTH_ENABLED)
+ */
+export function isAuthEnabled() {
+  return AUTH_ENABLED;
+}
+
+/**
+ * Hash a plaintext key for storage and lookup
+ */
+function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Load keys from disk, re-reading the file when its modification time changes
+ */
+async function loadKeys() {
+  let mtimeMs = 0;
+  try {
+    mtimeMs = (await fs.stat(KEYS_FILE)).mtimeMs;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  if (!keyStore || keyStore.mtimeMs !== mtimeMs) {
+    const data = await readJSONFile(KEYS_FILE, { keys: [] });
+    keyStore = { mtimeMs, keys: data.keys };
+  }
+
+  return keyStore.keys;
+}
+
+/**
+ * Write keys to disk
+ */
+async function saveKeys(keys) {
+  await writeJSONFile(KEYS_FILE, { keys });
+  keyStore = null;
+}
+
+/**
+ * Key record without its hash
+ */
+function toPublicKey(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Create a new API key
+ *
+ * @param {Object} options - Key options
+ * @param {string} options.name - Label for the key owner
+ * @param {number} options.rateLimitPerMinute - Requests allowed per minute
+ * @param {number} options.dailyQuota - Verifications allowed per UTC day
+ * @param {boolean} options.admin - Allow admin endpoints (e.g. cache invalidation)
+ * @returns {Promise<Object>} { key, record } - key is the plaintext, returned only here
+ */
+export async function createApiKey(options = {}) {
+  const {
+    name,
+    rateLimitPerMinute = DEFAULT_RATE_LIMIT_PER_MINUTE,
+    dailyQuota = DEFAULT_DAILY_QUOTA,
+    admin = false
+  } = options;
+
+  const key = KEY_PREFIX + randomBytes(24).toString('base64url');
+  const record = {
+    id: randomUUID(),
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    hash: hashKey(key),
+    rateLimitPerMinute,
+    dailyQuota,
+    admin,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+
+  const keys = await loadKeys();
+  await saveKeys([...keys, record]);
+
+  return { key, record: toPublicKey(record) };
+}
+
+/**
+ * List all keys (without hashes)
+ */
+export async function listApiKeys() {
+  const keys = await loadKeys();
+  return keys.map(toPublicKey);
+}
+
+/**
+ * Revoke a key by ID or display prefix
+ * @returns {Promise<Object|null>} Revoked key, or null if no active key matched
+ */
+export async function revokeApiKey(idOrPrefix) {
+  const keys = await loadKeys();
+  const record = keys.find(k => !k.revokedAt && (k.id === idOrPrefix || k.prefix === idOrPrefix));
+
+  if (!record) return null;
+
+  record.revokedAt = new Date().toISOString();
+  await saveKeys(keys);
+  return toPublicKey(record);
+}
+
+/**
+ * Look up an active key by its plaintext value
+ * @returns {Promise<Object|null>} Key record, or null if unknown or revoked
+ */
+export async function findApiKey(key) {
+  const keys = await loadKeys();
+  const hash = hashKey(key);
+  return keys.find(k => k.hash === hash && !k.revokedAt) || null;
+}
+
+/**
+ * Count a request against the key's per-minute limit
+ * @returns {Object} { allowed, limit, remaining, resetAt }
+ */
+export function checkRateLimit(record) {
+  const now = Date.now();
+  const window = Math.floor(now / MINUTE_MS);
+  let entry = minuteWindows.get(record.id);
+
+  if (!entry || entry.window !== window) {
+    entry = { window, count: 0 };
+    minuteWindows.set(record.id, entry);
+  }
+
+  entry.count++;
+  const limit = record.rateLimitPerMinute;
+
+  return {
+    allowed: entry.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - entry.count),
+    resetAt: new Date((window + 1) * MINUTE_MS)
+  };
+}
+
+/**
+ * Load daily usage from disk on first use
+ * A failed load is not cached, so the next call retries.
+ */
+function loadUsage() {
+  if (!usagePromise) {
+    usagePromise = readJSONFile(USAGE_FILE, {}).catch(error => {
+      usagePromise = null;
+      throw error;
+    });
+  }
+  return usagePromise;
+}
+
+/**
+ * Current UTC day (YYYY-MM-DD) and the time it ends
+ */
+function getQuotaDay() {
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10);
+  const resetAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  return { day, resetAt };
+}
+
+/**
+ * Get the key's daily quota status without consuming any
+ * @returns {Promise<Object>} { limit, used, remaining, resetAt }
+ */
+export async function getQuotaStatus(record) {
+  const usage = await loadUsage();
+  const { day, resetAt } = getQuotaDay();
+  const used = usage[record.id]?.day === day ? usage[record.id].used : 0;
+
+  return {
+    limit: record.dailyQuota,
+    used,
+    remaining: Math.max(0, record.dailyQuota - used),
+    resetAt
+  };
+}
+
+/**
+ * Consume verifications from the key's daily quota
+ * Nothing is consumed if the cost exceeds the remaining quota. Calls for the
+ * same key run one at a time, each checking the usage left by the previous one.
+ *
+ * @param {Object} record - Key record
+ * @param {number} cost - Number of verifications
+ * @returns {Promise<Object>} { allowed, limit, used, remaining, resetAt }
+ */
+export function consumeQuota(record, cost = 1) {
+  const previous = quotaQueues.get(record.id) || Promise.resolve();
+  const next = previous.catch(() => {}).then(() => applyQuota(record, cost));
+  quotaQueues.set(record.id, next);
+
+  // Forget the queue once idle so revoked and inactive keys do not accumulate
+  next.catch(() => {}).then(() => {
+    if (quotaQueues.get(record.id) === next) quotaQueues.delete(record.id);
+  });
+  return next;
+}
+
+/**
+ * Check and record quota usage; only called through consumeQuota's per-key queue
+ */
+async function applyQuota(record, cost) {
+  const status = await getQuotaStatus(record);
+
+  if (cost > status.remaining) {
+    return { allowed: false, ...status };
+  }
+
+  const usage = await loadUsage();
+  const { day } = getQuotaDay();
+  const used = status.used + cost;
+  usage[record.id] = { day, used };
+
+  try {
+    await writeJSONFile(USAGE_FILE, usage);
+  } catch (error) {
+    console.error('   ⚠️  Could not persist API key usage:', error.message);
+  }
+
+  return {
+    allowed: true,
+    limit: status.limit,
+    used,
+    remaining: Math.max(0, status.limit - used),
+    resetAt: status.resetAt
+  };
+}
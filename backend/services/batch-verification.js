@@ -0,0 +1,112 @@
+/**
+ * Batch Verification
+ * Runs many claims through the verification pipeline with bounded concurrency
+ */
+
+import { verifyClaimWithPipeline } from './verification-pipeline.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { ApiError, ErrorCode, classifyError } from '../utils/errors.js';
+import { createTimeoutSignal } from '../utils/timeout.js';
+
+export const MAX_BATCH_SIZE = 500;
+export const DEFAULT_BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '3', 10);
+export const MAX_BATCH_CONCURRENCY = parseInt(process.env.BATCH_MAX_CONCURRENCY || '10', 10);
+
+// Per-claim options accepted by the pipeline
+const PIPELINE_OPTION_KEYS = [
+  'context',
+  'useWebSearch',
+  'useVectorSearch',
+  'forceStrategy',
+  'enableCritique',
+  'decompose',
+  'useCache',
+  'useSemanticMatch',
+  'reuseSimilar',
+  'maxSemanticDistance'
+];
+
+/**
+ * Normalize a batch item into { claim, options }
+ * Items may be plain strings or objects with a claim and per-claim options
+ * @param {string|Object} item - Batch item
+ * @param {Object} defaults - Options applied to every claim unless overridden
+ * @returns {Object} { claim, options }
+ */
+export function normalizeBatchItem(item, defaults = {}) {
+  if (typeof item === 'string') {
+    return { claim: item, options: { ...defaults } };
+  }
+
+  const options = { ...defaults };
+  for (const key of PIPELINE_OPTION_KEYS) {
+    if (item?.[key] !== undefined) {
+      options[key] = item[key];
+    }
+  }
+
+  return { claim: item?.claim, options };
+}
+
+/**
+ * Verify a list of claims, isolating failures per item
+ *
+ * @param {Array<string|Object>} items - Claims or { claim, ...options } objects
+ * @param {Object} batchOptions - Batch options
+ * @param {number} batchOptions.concurrency - Maximum claims verified at once
+ * @param {Object} batchOptions.defaults - Default pipeline options for every claim
+ * @returns {Promise<Object>} { results, summary }
+ */
+export async function verifyClaimsBatch(items, batchOptions = {}) {
+  const startTime = Date.now();
+  const {
+    concurrency = DEFAULT_BATCH_CONCURRENCY,
+    defaults = {}
+  } = batchOptions;
+
+  const limit = Math.min(Math.max(1, concurrency), MAX_BATCH_CONCURRENCY);
+  const normalized = items.map(item => normalizeBatchItem(item, defaults));
+
+  console.log(`\n📦 Batch verification: ${normalized.length} claims (concurrency=${limit})`);
+
+  // Each claim gets its own request timeout
+  const signals = normalized.map(() => null);
+
+  const settled = await mapWithConcurrency(normalized, limit, async ({ claim, options }, index) => {
+    if (typeof claim !== 'string' || !claim.trim()) {
+      throw new ApiError(ErrorCode.VALIDATION_FAILED, 'Claim is required');
+    }
+
+    console.log(`   [${index + 1}/${normalized.length}] Verifying: "${claim}"`);
+    signals[index] = createTimeoutSignal();
+    return verifyClaimWithPipeline(claim, { ...options, signal: signals[index] });
+  });
+
+  const results = settled.map((outcome, index) => {
+    const { claim } = normalized[index];
+
+    if (outcome.status === 'fulfilled') {
+      return { index, claim, status: 'success', result: outcome.value };
+    }
+
+    const error = classifyError(outcome.reason, { signal: signals[index] });
+    console.error(`   [${index + 1}/${normalized.length}] Failed [${error.code}]: ${error.message}`);
+    return { index, claim, status: 'error', error: error.message, code: error.code };
+  });
+
+  const succeeded = results.filter(r => r.status === 'success').length;
+  const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
+
+  console.log(`📦 Batch complete: ${succeeded}/${results.length} succeeded in ${processingTime}s`);
+
+  return {
+    results,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      concurrency: limit,
+      processingTime: `${processingTime}s`
+    }
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * Claim Decomposition
+ * Splits complex claims into sub-claims and combines their verdicts into one
+ */
+
+import { claimDecompositionPrompt, ClaimDecompositionSchema } from './prompts.js';
+import { LLMRole, getStructuredModel } from './llm-provider.js';
+
+const MAX_SUB_CLAIMS = 5;
+
+/**
+ * Determine if a claim should be decomposed
+ * @param {Object} claimAnalysis - Analysis of the claim
+ * @returns {boolean}
+ */
+export function shouldDecomposeClaim(claimAnalysis) {
+  return claimAnalysis.complexity === 'complex';
+}
+
+/**
+ * Decompose a complex claim into independently verifiable sub-claims
+ * Falls back to the original claim alone if decomposition fails
+ *
+ * @param {string} claim - The claim to decompose
+ * @param {Object} claimAnalysis - Analysis of the claim
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the LLM call
+ * @returns {Promise<Array>} Sub-claims as { claim, aspect }
+ */
+export async function decomposeClaim(claim, claimAnalysis = {}, options = {}) {
+  const { signal } = options;
+
+  try {
+    const chain = claimDecompositionPrompt.pipe(getStructuredModel(LLMRole.DECOMPOSITION, ClaimDecompositionSchema));
+    const result = await chain.invoke({
+      claim,
+      entities: (claimAnalysis.entities || []).join(', ') || 'none'
+    }, { signal });
+
+    const seen = new Set();
+    return result.subClaims
+      .filter(sub => {
+        const key = sub.claim.toLowerCase().trim();
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, MAX_SUB_CLAIMS);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error('   ⚠️  Error decomposing claim:', error.message);
+    return [{ claim, aspect: 'entire claim' }];
+  }
+}
+
+/**
+ * Combine sub-claim verdicts into an overall verdict
+ *
+ * Rules:
+ * - All sub-claims share one verdict → that verdict
+ * - No sub-claim has a decisive verdict → NOT_ENOUGH_EVIDENCE
+ * - Any FALSE and no TRUE or PARTIALLY_TRUE → FALSE (one false part makes the claim false)
+ * - A mix of true and false parts, or any PARTIALLY_TRUE → PARTIALLY_TRUE
+ * - Only TRUE and NOT_ENOUGH_EVIDENCE → NOT_ENOUGH_EVIDENCE (the claim cannot be confirmed as a whole)
+ * Confidence is the weakest sub-claim confidence for unanimous TRUE/FALSE, the
+ * strongest FALSE confidence when false parts decide the verdict, otherwise the mean.
+ * Citations are renumbered into one list and the [n] references in each
+ * sub-claim's reasoning are shifted to match.
+ *
+ * @param {Array} subResults - Sub-claim results with claim, verdict, confidence, reasoning, citations
+ * @returns {Object} Verdict with verdict, confidence, reasoning, citations, contradictions
+ */
+export function aggregateSubClaimVerdicts(subResults) {
+  const verdicts = [...new Set(subResults.map(r => r.verdict))];
+  const has = v => verdicts.includes(v);
+  const confidences = subResults.map(r => r.confidence);
+  const meanConfidence = confidences.reduce((sum, c) => sum + c, 0) / confidences.length;
+
+  let verdict;
+  let confidence;
+
+  if (verdicts.length === 1) {
+    verdict = verdicts[0];
+    confidence = ['TRUE', 'FALSE'].includes(verdict) ? Math.min(...confidences) : meanConfidence;
+  } else if (has('FALSE') && !has('TRUE') && !has('PARTIALLY_TRUE')) {
+    verdict = 'FALSE';
+    confidence = Math.max(...subResults.filter(r => r.verdict === 'FALSE').map(r => r.confidence));
+  } else if (has('FALSE') || has('PARTIALLY_TRUE')) {
+    verdict = 'PARTIALLY_TRUE';
+    confidence = meanConfidence;
+  } else {
+    verdict = 'NOT_ENOUGH_EVIDENCE';
+    confidence = meanConfidence;
+  }
+
+  const citations = [];
+  const reasoningParts = [];
+  let offset = 0;
+
+  subResults.forEach((result, i) => {
+    const subCitations = result.citations || [];
+
+    subCitations.forEach(citation => {
+      citations.push({
+        ...citation,
+        index: citation.index + offset,
+        subClaimIndex: i + 1
+      });
+    });
+
+    const reasoning = (result.reasoning || '').replace(/\[(\d+)\]/g, (_, n) => `[${Number(n) + offset}]`);
+    reasoningParts.push(
+      `${i + 1}. "${result.claim}" — ${result.verdict} (${(result.confidence * 100).toFixed(0)}%): ${reasoning}`
+    );
+
+    offset += Math.max(0, ...subCitations.map(c => c.index));
+  });
+
+  return {
+    verdict,
+    confidence: Number(confidence.toFixed(2)),
+    reasoning: `This claim was split into ${subResults.length} sub-claims, each verified separately.\n\n${reasoningParts.join('\n\n')}`,
+    citations,
+    contradictions: subResults.flatMap(r => r.contradictions || [])
+  };
+}
+
+/**
+ * Get strategy metadata for a decomposed verification (API response)
+ * @param {number} subClaimCount - Number of sub-claims
+ * @returns {Object} Metadata in the same shape as getStrategyMetadata
+ */
+export function getDecompositionMetadata(subClaimCount) {
+  return {
+    strategy: 'decomposed',
+    strategyName: 'Decomposed',
+    strategyDescription: 'Complex claim split into independently verified sub-claims',
+    icon: '🧩',
+    explanation: `Claim is complex, so it was split into ${subClaimCount} sub-claims. Each sub-claim was routed and verified with its own evidence, then the verdicts were combined.`,
+    estimatedTime: null
+  };
+}
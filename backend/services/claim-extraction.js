@@ -0,0 +1,180 @@
+/**
+ * Claim Extraction
+ * Splits article text into atomic, check-worthy factual claims ready for /api/verify
+ *
+ * Environment:
+ * - EXTRACTION_CONCURRENCY: Article segments sent to the LLM at once (default: 4)
+ */
+
+import { claimExtractionPrompt, ClaimExtractionSchema } from './prompts.js';
+import { LLMRole, getStructuredModel } from './llm-provider.js';
+import { ApiError, ErrorCode } from '../utils/errors.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+export const MAX_ARTICLE_LENGTH = 100000;
+const SEGMENT_SIZE = 6000; // Characters of article text sent to the LLM per call
+const EXTRACTION_CONCURRENCY = parseInt(process.env.EXTRACTION_CONCURRENCY || '4', 10);
+
+/**
+ * Extract check-worthy claims from article text
+ *
+ * @param {string} text - Full article text
+ * @param {Object} options - Extraction options
+ * @param {string} options.title - Article title (optional)
+ * @param {string} options.url - Article URL (optional)
+ * @param {string} options.publishDate - Publish date, used to resolve relative dates (optional)
+ * @param {number} options.minCheckWorthiness - Drop claims scoring below this (default: 0.5)
+ * @param {number} options.maxClaims - Maximum number of claims returned (default: 50)
+ * @param {AbortSignal} options.signal - Cancels in-flight LLM calls
+ * @returns {Promise<Array>} Claims with offsets, score and a ready-made verify request
+ */
+export async function extractClaims(text, options = {}) {
+  const {
+    title = '',
+    url = '',
+    publishDate = '',
+    minCheckWorthiness = 0.5,
+    maxClaims = 50,
+    signal
+  } = options;
+
+  const segments = segmentText(text, SEGMENT_SIZE);
+  console.log(`📰 Extracting claims from ${text.length} characters (${segments.length} segment(s))...`);
+
+  const chain = claimExtractionPrompt.pipe(getStructuredModel(LLMRole.EXTRACTION, ClaimExtractionSchema));
+
+  // Segments are extracted concurrently; the first failure cancels the rest
+  const failed = new AbortController();
+  const segmentSignal = signal ? AbortSignal.any([signal, failed.signal]) : failed.signal;
+
+  const settled = await mapWithConcurrency(segments, EXTRACTION_CONCURRENCY, async segment => {
+    try {
+      return await chain.invoke({
+        title: title || 'Unknown',
+        url: url || 'Unknown',
+        publishDate: publishDate || 'Unknown',
+        text: segment.text
+      }, { signal: segmentSignal });
+    } catch (error) {
+      failed.abort();
+      throw error;
+    }
+  });
+  signal?.throwIfAborted();
+
+  // Report the failure that cancelled the others, not the cancellations
+  const failure = settled.find(outcome => outcome.status === 'rejected' && outcome.reason?.name !== 'AbortError')
+    || settled.find(outcome => outcome.status === 'rejected');
+  if (failure) {
+    const error = failure.reason;
+    throw new ApiError(ErrorCode.LLM_UNAVAILABLE, `Claim extraction failed: ${error.message}`, null, { cause: error });
+  }
+
+  const extracted = [];
+  settled.forEach(({ value: result }, i) => {
+    const segment = segments[i];
+    for (const item of result.claims) {
+      const span = locateSpan(segment.text, item.sourceText);
+      extracted.push({
+        ...item,
+        start: span ? segment.start + span.start : null,
+        end: span ? segment.start + span.end : null
+      });
+    }
+  });
+
+  const seen = new Set();
+  const claims = extracted
+    .filter(item => item.checkWorthiness >= minCheckWorthiness)
+    .filter(item => {
+      const key = item.claim.toLowerCase().replace(/\s+/g, ' ').trim();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity))
+    .slice(0, maxClaims)
+    .map((item, index) => ({
+      id: index + 1,
+      claim: item.claim,
+      sourceText: item.sourceText,
+      start: item.start,
+      end: item.end,
+      checkWorthiness: item.checkWorthiness,
+      rationale: item.rationale,
+      verifyRequest: {
+        claim: item.claim,
+        context: buildClaimContext(item.sourceText, { title, url, publishDate })
+      }
+    }));
+
+  console.log(`   └─ ${claims.length} check-worthy claims (of ${extracted.length} extracted)`);
+  return claims;
+}
+
+/**
+ * Split text into segments of at most maxLength characters, preferring
+ * paragraph and sentence boundaries, and record each segment's start offset
+ */
+function segmentText(text, maxLength) {
+  const segments = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + maxLength, text.length);
+
+    if (end < text.length) {
+      const window = text.slice(start, end);
+      const paragraphBreak = window.lastIndexOf('\n\n');
+      const sentenceBreak = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+
+      if (paragraphBreak > maxLength / 2) {
+        end = start + paragraphBreak + 2;
+      } else if (sentenceBreak > maxLength / 2) {
+        end = start + sentenceBreak + 2;
+      }
+    }
+
+    segments.push({ text: text.slice(start, end), start });
+    start = end;
+  }
+
+  return segments;
+}
+
+/**
+ * Find the character span of a quoted source text, tolerating whitespace and case differences
+ * @returns {Object|null} { start, end } relative to text, or null if not found
+ */
+function locateSpan(text, sourceText) {
+  if (!sourceText) return null;
+
+  const exact = text.indexOf(sourceText);
+  if (exact !== -1) {
+    return { start: exact, end: exact + sourceText.length };
+  }
+
+  const pattern = sourceText
+    .trim()
+    .split(/\s+/)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+  const match = new RegExp(pattern, 'i').exec(text);
+
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+/**
+ * Build the verification context string for an extracted claim
+ */
+function buildClaimContext(sourceText, { title, url, publishDate }) {
+  const origin = [
+    title && `"${title}"`,
+    url && `(${url})`,
+    publishDate && `published ${publishDate}`
+  ].filter(Boolean).join(' ');
+
+  return origin
+    ? `From ${origin}: "${sourceText}"`
+    : `Source text: "${sourceText}"`;
+}
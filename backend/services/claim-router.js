@@ -1,8 +1,13 @@
 /**
  * Claim Router
  * Routes claims to appropriate verification strategies based on analysis
+ *
+ * Environment:
+ * - AGENT_MAX_ITERATIONS: Agent model turns for the agentic strategy (default: 5)
  */
 
+const AGENT_MAX_ITERATIONS = parseInt(process.env.AGENT_MAX_ITERATIONS || '5', 10);
+
 /**
  * Verification strategies available
  */
@@ -90,8 +95,11 @@ export function getStrategyConfig(strategy, claimAnalysis = {}) {
       description: 'Quick knowledge base lookup',
       useVectorSearch: true,
       useWebSearch: false,
+      useLocalCorpus: true,
+      usePassageRetrieval: false,
       useAgent: false,
       maxSources: 3,
+      fusion: { method: 'rrf', weights: { vector: 1.0, keyword: 1.0, web: 0.5 } },
       timeoutMs: 5000,
       icon: '⚡'
     },
@@ -101,8 +109,11 @@ export function getStrategyConfig(strategy, claimAnalysis = {}) {
       description: 'Knowledge base + web search',
       useVectorSearch: true,
       useWebSearch: true,
+      useLocalCorpus: true,
+      usePassageRetrieval: true,
       useAgent: false,
       maxSources: 8,
+      fusion: { method: 'rrf', weights: { vector: 1.0, keyword: 1.0, web: 1.0 } },
       timeoutMs: 10000,
       icon: '🔄'
     },
@@ -112,9 +123,12 @@ export function getStrategyConfig(strategy, claimAnalysis = {}) {
       description: 'Iterative multi-source investigation',
       useVectorSearch: true,
       useWebSearch: true,
+      useLocalCorpus: true,
+      usePassageRetrieval: true,
       useAgent: true,
       maxSources: 10,
-      maxIterations: 5,
+      fusion: { method: 'rrf', weights: { vector: 1.0, keyword: 1.0, web: 1.0 } },
+      maxIterations: AGENT_MAX_ITERATIONS,
       timeoutMs: 30000,
       icon: '🤖'
     }
@@ -125,10 +139,12 @@ export function getStrategyConfig(strategy, claimAnalysis = {}) {
   // Adjust config based on claim analysis
   if (claimAnalysis.temporality === 'current') {
     config.prioritizeWebSearch = true;
+    config.fusion.weights.web *= 1.5;
   }
 
   if (claimAnalysis.temporality === 'historical' || claimAnalysis.temporality === 'timeless') {
     config.prioritizeKnowledgeBase = true;
+    config.fusion.weights.vector *= 1.5;
   }
 
   return config;
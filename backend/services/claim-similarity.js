@@ -0,0 +1,230 @@
+/**
+ * Semantic Claim Index
+ * Stores embeddings of previously verified claims so paraphrases of the same
+ * claim can be matched to an earlier verification
+ *
+ * Environment:
+ * - SEMANTIC_MATCH_ENABLED: 'false' disables matching (default: enabled)
+ * - SEMANTIC_MATCH_MAX_DISTANCE: Maximum cosine distance for a match
+ *   (default: per embedding provider, see DEFAULT_MAX_DISTANCE_BY_PROVIDER)
+ * - SEMANTIC_INDEX_MAX_ENTRIES: Claims kept in the index (default: 2000)
+ *
+ * The index file is append-only and compacted once it holds COMPACT_RATIO times
+ * the entries kept, so a new verification never rewrites the whole file.
+ */
+
+import { randomUUID } from 'crypto';
+import { generateEmbedding, cosineSimilarity } from './embeddings.js';
+import { getEmbedderInfo, LEGACY_EMBEDDER } from './embedding-provider.js';
+import { getResultAffectingOptions, getTTLForResult } from './verdict-cache.js';
+import { resolveDataPath, readJSONLines, appendJSONLine, writeJSONLines } from '../utils/json-store.js';
+
+const INDEX_ENABLED = process.env.SEMANTIC_MATCH_ENABLED !== 'false';
+const CONFIGURED_MAX_DISTANCE = process.env.SEMANTIC_MATCH_MAX_DISTANCE ? parseFloat(process.env.SEMANTIC_MATCH_MAX_DISTANCE) : null;
+const MAX_ENTRIES = parseInt(process.env.SEMANTIC_INDEX_MAX_ENTRIES || '2000', 10);
+const INDEX_FILE = resolveDataPath('claim-index.jsonl');
+const COMPACT_RATIO = 1.5;
+
+// Match distance per embedding provider. local-hash is lexical: it only places
+// near-verbatim rewordings this close, while unrelated claims about the same
+// entity can be as near as a true paraphrase, so it gets the tighter limit.
+const DEFAULT_MAX_DISTANCE_BY_PROVIDER = {
+  openai: 0.15,
+  'openai-compatible': 0.15,
+  'local-hash': 0.1
+};
+const FALLBACK_MAX_DISTANCE = 0.1;
+
+// Words that flip a claim's meaning (English, Spanish, French, German)
+const NEGATIONS = new Set(['not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'without',
+  'nunca', 'ni', 'ningún', 'ninguna', 'sin', 'ne', 'pas', 'jamais', 'aucun', 'aucune', 'sans',
+  'nicht', 'kein', 'keine', 'nie', 'ohne']);
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'];
+
+// Line count of the index file, including entries trimmed from memory but not yet compacted away
+let fileEntries = 0;
+
+let indexPromise = null;
+
+/**
+ * Check whether semantic matching is enabled (SEMANTIC_MATCH_ENABLED)
+ */
+export function isSemanticIndexEnabled() {
+  return INDEX_ENABLED;
+}
+
+/**
+ * Load the index from disk on first use
+ * A failed load is not cached, so the next call retries.
+ */
+function loadIndex() {
+  if (!indexPromise) {
+    indexPromise = readJSONLines(INDEX_FILE)
+      .then(entries => {
+        fileEntries = entries.length;
+        const kept = entries.slice(-MAX_ENTRIES);
+        console.log(`🧠 Loaded semantic claim index (${kept.length} claims)`);
+        return kept;
+      })
+      .catch(error => {
+        indexPromise = null;
+        throw error;
+      });
+  }
+  return indexPromise;
+}
+
+/**
+ * Default match distance for the current embedder (SEMANTIC_MATCH_MAX_DISTANCE overrides it)
+ */
+export function getDefaultMaxDistance() {
+  if (CONFIGURED_MAX_DISTANCE !== null) return CONFIGURED_MAX_DISTANCE;
+  const [provider] = getEmbedderInfo().id.split(':');
+  return DEFAULT_MAX_DISTANCE_BY_PROVIDER[provider] ?? FALLBACK_MAX_DISTANCE;
+}
+
+/**
+ * Words of a claim that must agree for two claims to state the same thing:
+ * negations, numbers (years and days included) and month names
+ */
+function meaningMarkers(claim) {
+  const words = claim.toLowerCase().replace(/n't\b/g, ' not').match(/[\p{L}\d]+(?:[.,]\d+)*/gu) || [];
+  return words
+    .filter(word => NEGATIONS.has(word) || /^\d/.test(word) || MONTH_NAMES.includes(word))
+    .map(word => word.replace(/,(?=\d{3}\b)/g, ''))
+    .sort()
+    .join(' ');
+}
+
+/**
+ * Find the closest previously verified claim
+ * Only entries embedded by the current embedder, verified with the same
+ * result-affecting options and still within their temporality TTL are considered.
+ * Claims that differ in a negation, number or month are never matched, however
+ * close their embeddings: "X is not Y" must not reuse the verdict for "X is Y".
+ *
+ * @param {string} claim - The new claim
+ * @param {Object} options - Lookup options
+ * @param {Object} options.pipelineOptions - Pipeline options of the new request
+ * @param {number} options.maxDistance - Maximum cosine distance (1 - similarity) to count as a match
+ * @returns {Promise<Object>} { match, embedding } where match is null or
+ *   { id, claim, result, verifiedAt, similarity, distance }
+ */
+export async function findSimilarClaim(claim, options = {}) {
+  const {
+    pipelineOptions = {},
+    maxDistance = getDefaultMaxDistance()
+  } = options;
+
+  let embedding;
+  try {
+    embedding = await generateEmbedding(claim);
+  } catch (error) {
+    console.error('   ⚠️  Semantic lookup skipped:', error.message);
+    return { match: null, embedding: null };
+  }
+
+  const index = await loadIndex();
+  const optionsSignature = JSON.stringify(getResultAffectingOptions(pipelineOptions));
+  const embedderId = getEmbedderInfo().id;
+  const markers = meaningMarkers(claim);
+  const now = Date.now();
+
+  let best = null;
+  for (const entry of index) {
+    if ((entry.embedder || LEGACY_EMBEDDER.id) !== embedderId) continue;
+    if (entry.optionsSignature !== optionsSignature) continue;
+    if (entry.embedding.length !== embedding.length) continue;
+    if (new Date(entry.verifiedAt).getTime() + getTTLForResult(entry.result) * 1000 < now) continue;
+    if (meaningMarkers(entry.claim) !== markers) continue;
+
+    const similarity = cosineSimilarity(embedding, entry.embedding);
+    if (!best || similarity > best.similarity) {
+      best = { entry, similarity };
+    }
+  }
+
+  if (!best || 1 - best.similarity > maxDistance) {
+    return { match: null, embedding };
+  }
+
+  const { entry, similarity } = best;
+  return {
+    match: {
+      id: entry.id,
+      claim: entry.claim,
+      result: entry.result,
+      verifiedAt: entry.verifiedAt,
+      similarity: Number(similarity.toFixed(4)),
+      distance: Number((1 - similarity).toFixed(4))
+    },
+    embedding
+  };
+}
+
+/**
+ * Add a verified claim to the index
+ * @param {string} claim - The verified claim
+ * @param {Object} result - Pipeline result
+ * @param {Object} options - Options
+ * @param {Array<number>} options.embedding - Precomputed claim embedding (computed if missing)
+ * @param {Object} options.pipelineOptions - Pipeline options used for the verification
+ */
+export async function indexVerifiedClaim(claim, result, options = {}) {
+  const { pipelineOptions = {} } = options;
+  let { embedding = null } = options;
+
+  try {
+    embedding = embedding || await generateEmbedding(claim);
+  } catch (error) {
+    console.error('   ⚠️  Could not index verified claim:', error.message);
+    return;
+  }
+
+  const index = await loadIndex();
+  const { cache, semanticMatch, ...storedResult } = result;
+  const entry = {
+    id: randomUUID(),
+    claim,
+    optionsSignature: JSON.stringify(getResultAffectingOptions(pipelineOptions)),
+    embedder: getEmbedderInfo().id,
+    embedding: embedding.map(value => Number(value.toFixed(6))),
+    result: storedResult,
+    verifiedAt: new Date().toISOString()
+  };
+
+  index.push(entry);
+  if (index.length > MAX_ENTRIES) {
+    index.splice(0, index.length - MAX_ENTRIES);
+  }
+
+  try {
+    await appendJSONLine(INDEX_FILE, entry);
+    fileEntries++;
+
+    // Drop lines for entries trimmed from memory once they pile up
+    if (fileEntries >= MAX_ENTRIES * COMPACT_RATIO) {
+      await writeJSONLines(INDEX_FILE, index);
+      fileEntries = index.length;
+    }
+  } catch (error) {
+    console.error('   ⚠️  Could not persist semantic claim index:', error.message);
+  }
+}
+
+/**
+ * Build the semantic match metadata attached to API responses
+ */
+export function getSemanticMatchMetadata(match, reused) {
+  return {
+    matchedClaim: match.claim,
+    matchedId: match.id,
+    similarity: match.similarity,
+    distance: match.distance,
+    verifiedAt: match.verifiedAt,
+    verdict: match.result.verdict,
+    confidence: match.result.confidence,
+    reused
+  };
+}
@@ -0,0 +1,478 @@
+/**
+ * Conflict Detector
+ * Finds pairs of sources that disagree on the same fact (a date, a number or
+ * who holds a role). Pattern rules propose candidate pairs deterministically;
+ * an LLM then confirms which candidates are genuine conflicts.
+ *
+ * Environment:
+ * - CONFLICT_DETECTION: 'llm' (rules + LLM confirmation), 'rules' (rules only) or 'none'
+ *   (default: 'llm' when OPENAI_API_KEY or LLM_BASE_URL is set, otherwise 'rules')
+ * - CONFLICT_MAX_CANDIDATES: Most candidates kept per claim (default: 10)
+ */
+
+import { tokenize } from '../utils/bm25.js';
+import { conflictConfirmationPrompt, ConflictConfirmationSchema } from './prompts.js';
+import { LLMRole, getStructuredModel } from './llm-provider.js';
+
+export const ConflictType = {
+  DATE: 'date',
+  NUMBER: 'number',
+  ROLE: 'role'
+};
+
+const MAX_CANDIDATES = parseInt(process.env.CONFLICT_MAX_CANDIDATES || '10', 10);
+
+// Terms either side of a date or number that describe what it measures
+const CONTEXT_WINDOW = 6;
+
+// Clause boundaries context does not cross: commas (not thousands separators), semicolons, "and", "but"
+const CLAUSE_BOUNDARY = /(?<!\d),|,(?!\d)|;|\s(?:and|but)\s/gi;
+// Boundaries between role statements; commas and "and" are left alone since
+// appositives ("Smith, CEO of ...") and organization names ("Procter and Gamble") use them
+const ROLE_CLAUSE_BOUNDARY = /;|\s(?:but|while|whereas)\s/i;
+
+// Context terms two facts must share to count as the same fact
+// (numbers need fewer since their unit must match as well)
+const MIN_SHARED_CONTEXT = { date: 2, number: 1 };
+
+// Capitalised words, which make up names of people, places and organizations
+const CAPITALIZED_WORD = /(?<![\p{L}\p{N}])\p{Lu}[\p{L}\p{N}'-]*/gu;
+
+// Relative difference below which two numbers are treated as the same value
+const NUMBER_TOLERANCE = 0.02;
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+
+const DATE_REGEX = new RegExp(
+  `\\b(?:(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})` +
+  `|(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MONTH_PATTERN})\\s+(\\d{4})` +
+  `|(${MONTH_PATTERN})\\s+(\\d{4})` +
+  `|(1[5-9]\\d{2}|20\\d{2}))\\b`,
+  'g'
+);
+
+const MULTIPLIERS = { thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12 };
+const NUMBER_REGEX = /(?<![\w.,])([$€£])?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(?:\s*(%|percent\b|per cent\b))?(?:\s*(thousand|million|billion|trillion)\b)?(?:\s+([a-z]+))?/gi;
+
+const QUALIFIERS = ['former', 'current', 'incumbent', 'acting', 'interim'];
+const ROLES = ['president', 'vice president', 'prime minister', 'chancellor', 'ceo', 'chief executive',
+  'chairman', 'chairwoman', 'chair', 'founder', 'co-founder', 'director', 'mayor', 'governor',
+  'king', 'queen', 'leader', 'head', 'secretary-general', 'secretary general', 'coach', 'captain'];
+// Case-insensitive role words without making the name and organization patterns case-insensitive
+const anyCase = words => `(${words.map(word => word.replace(/[a-z]/g, c => `[${c.toUpperCase()}${c}]`)).join('|')})`;
+const QUALIFIER_PATTERN = anyCase(QUALIFIERS);
+const ROLE_PATTERN = anyCase(ROLES);
+const NAME_PATTERN = "([A-Z][\\p{L}'.-]+(?:\\s+[A-Z][\\p{L}'.-]+){0,3})";
+const ORG_PATTERN = "((?:[Tt]he\\s+)?[A-Z][\\p{L}&.'-]*(?:\\s+(?:of\\s+|and\\s+|for\\s+)?[A-Z][\\p{L}&.'-]*){0,4})";
+const HOLDER_VERBS = '(is|was|became|has been|had been|serves as|served as|remains)';
+// Holders in the past tense are treated like former holders
+const PAST_HOLDER_VERBS = ['was', 'had been', 'served as'];
+
+// "<Name> is the CEO of <Org>" / "<Name>, president of <Org>"
+const NAME_FIRST_ROLE_REGEX = new RegExp(
+  `${NAME_PATTERN}\\s*,?\\s+(?:${HOLDER_VERBS}\\s+)?(?:the\\s+)?(?:${QUALIFIER_PATTERN}\\s+)?${ROLE_PATTERN}\\s+of\\s+${ORG_PATTERN}`,
+  'gu'
+);
+// "the president of <Org>, <Name>" / "CEO of <Org> <Name>"
+const ROLE_FIRST_REGEX = new RegExp(
+  `(?:\\b${QUALIFIER_PATTERN}\\s+)?${ROLE_PATTERN}\\s+of\\s+${ORG_PATTERN}\\s*,?\\s+(?:${HOLDER_VERBS}\\s+)?${NAME_PATTERN}`,
+  'gu'
+);
+
+/**
+ * Conflict detection mode (CONFLICT_DETECTION)
+ */
+export function getConflictDetectionMode() {
+  if (process.env.CONFLICT_DETECTION) return process.env.CONFLICT_DETECTION;
+  return process.env.OPENAI_API_KEY || process.env.LLM_BASE_URL ? 'llm' : 'rules';
+}
+
+/**
+ * Split text into sentences
+ */
+function splitSentences(text) {
+  return (text || '')
+    .split(/(?<=[.!?])\s+(?=[A-Z0-9"“(])|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Start and end of the clause around a match
+ */
+function clauseBounds(sentence, start, end) {
+  let from = 0;
+  let to = sentence.length;
+
+  for (const boundary of sentence.matchAll(CLAUSE_BOUNDARY)) {
+    if (boundary.index + boundary[0].length <= start) {
+      from = boundary.index + boundary[0].length;
+    } else if (boundary.index >= end) {
+      to = boundary.index;
+      break;
+    }
+  }
+
+  return [from, to];
+}
+
+/**
+ * Terms around a match, within its clause, that describe what the value refers to
+ */
+function contextTerms(sentence, start, end) {
+  const [from, to] = clauseBounds(sentence, start, end);
+  const before = tokenize(sentence.substring(from, start)).slice(-CONTEXT_WINDOW);
+  const after = tokenize(sentence.substring(end, to)).slice(0, CONTEXT_WINDOW);
+  return new Set([...before, ...after].filter(term => !/\d/.test(term) && !MONTHS.includes(term)));
+}
+
+/**
+ * Terms that belong to names in a sentence
+ * The first word of a sentence only counts when the next word is capitalised too ("Eiffel Tower was ...").
+ */
+function entityTerms(sentence) {
+  const terms = new Set();
+
+  for (const match of sentence.matchAll(CAPITALIZED_WORD)) {
+    if (match.index === 0 && !/^\S+\s+\p{Lu}/u.test(sentence)) continue;
+    for (const term of tokenize(match[0])) terms.add(term);
+  }
+
+  return terms;
+}
+
+function monthNumber(name) {
+  const prefix = name.toLowerCase().substring(0, 3);
+  return MONTHS.findIndex(month => month.startsWith(prefix)) + 1;
+}
+
+/**
+ * Extract dates: { year, month, day } (month and day when stated)
+ */
+function extractDates(sentence) {
+  const facts = [];
+
+  for (const match of sentence.matchAll(DATE_REGEX)) {
+    const [text, m1, d1, y1, d2, m2, y2, m3, y3, y4] = match;
+    const value = y1 ? { year: +y1, month: monthNumber(m1), day: +d1 }
+      : y2 ? { year: +y2, month: monthNumber(m2), day: +d2 }
+        : y3 ? { year: +y3, month: monthNumber(m3), day: null }
+          : { year: +y4, month: null, day: null };
+
+    facts.push({
+      type: ConflictType.DATE,
+      text,
+      value,
+      start: match.index,
+      context: contextTerms(sentence, match.index, match.index + text.length)
+    });
+  }
+
+  return facts;
+}
+
+/**
+ * Singular form of the word after a number, or null for stop words
+ */
+function unitTerm(word) {
+  const [term] = tokenize(word || '');
+  if (!term || term.length < 2) return null;
+  return term.length > 3 ? term.replace(/s$/, '') : term;
+}
+
+/**
+ * Extract numbers with their unit: { amount, unit }
+ * Years and the day of a date are left to extractDates. The years of dates in the
+ * same clause ("$394 billion in 2022") are kept as the period the number is for.
+ */
+function extractNumbers(sentence, dates) {
+  const facts = [];
+
+  for (const match of sentence.matchAll(NUMBER_REGEX)) {
+    const [text, currency, whole, fraction, percent, multiplier, word] = match;
+    const start = match.index;
+
+    if (dates.some(date => start >= date.start && start < date.start + date.text.length)) continue;
+
+    // A number without a currency, percent sign or unit word says too little to compare
+    const unit = currency || (percent ? '%' : unitTerm(word));
+    if (!unit) continue;
+
+    const [from, to] = clauseBounds(sentence, start, start + text.length);
+    const periodDates = dates.filter(date => date.start >= from && date.start < to);
+
+    const amount = parseFloat(`${whole.replace(/,/g, '')}.${fraction || 0}`) * (MULTIPLIERS[multiplier?.toLowerCase()] || 1);
+    // Drop the trailing word when it is not the unit ("3.2% in" -> "3.2%")
+    const valueText = unit === currency || unit === '%' ? text.substring(0, text.length - (word?.length || 0)) : text;
+
+    facts.push({
+      type: ConflictType.NUMBER,
+      text: valueText.trim(),
+      value: { amount, unit },
+      years: periodDates.map(date => date.value.year),
+      periodDates,
+      context: contextTerms(sentence, start, start + text.length)
+    });
+  }
+
+  return facts;
+}
+
+/**
+ * Extract role holders: { role, organization, holder }
+ * Former and past-tense holders ("was CEO of") are skipped since they do not
+ * contradict the current one. Each clause is matched on its own.
+ */
+function extractRoles(sentence) {
+  const facts = [];
+
+  const add = (qualifier, verb, role, organization, holder, text) => {
+    if (qualifier?.toLowerCase() === 'former') return;
+    if (verb && PAST_HOLDER_VERBS.includes(verb.toLowerCase().replace(/\s+/g, ' '))) return;
+
+    // "The CEO of ..." and "Former CEO of ..." would otherwise read as holders named "The" and "Former"
+    const [firstTerm] = tokenize(holder);
+    if (!firstTerm || QUALIFIERS.includes(firstTerm)) return;
+
+    facts.push({
+      type: ConflictType.ROLE,
+      text,
+      value: {
+        role: role.toLowerCase(),
+        organization: organization.replace(/^[Tt]he\s+/, '').replace(/[.'-]+$/, ''),
+        holder: holder.replace(/[.'-]+$/, '').trim()
+      }
+    });
+  };
+
+  for (const clause of sentence.split(ROLE_CLAUSE_BOUNDARY)) {
+    for (const [text, holder, verb, qualifier, role, organization] of clause.matchAll(NAME_FIRST_ROLE_REGEX)) {
+      add(qualifier, verb, role, organization, holder, text);
+    }
+    for (const [text, qualifier, role, organization, verb, holder] of clause.matchAll(ROLE_FIRST_REGEX)) {
+      add(qualifier, verb, role, organization, holder, text);
+    }
+  }
+
+  return facts;
+}
+
+/**
+ * Extract dated, numeric and role facts from an evidence item
+ */
+function extractFacts(item) {
+  const facts = [];
+
+  for (const sentence of splitSentences(`${item.snippet || ''}`)) {
+    const entities = entityTerms(sentence);
+    const dates = extractDates(sentence);
+    const numbers = extractNumbers(sentence, dates);
+
+    // A year that qualifies a number in its clause is the period of that measure
+    for (const date of dates) {
+      date.measures = numbers.filter(number => number.periodDates.includes(date));
+    }
+
+    facts.push(
+      ...dates.map(fact => ({ ...fact, sentence, entities })),
+      ...numbers.map(({ periodDates, ...fact }) => ({ ...fact, sentence, entities })),
+      ...extractRoles(sentence).map(fact => ({ ...fact, sentence }))
+    );
+  }
+
+  return facts;
+}
+
+/**
+ * Shared context terms when two facts refer to the same thing, otherwise null
+ */
+function sameFact(a, b) {
+  if (a.type !== b.type) return null;
+
+  if (a.type === ConflictType.ROLE) {
+    const sameRole = a.value.role === b.value.role &&
+      a.value.organization.toLowerCase() === b.value.organization.toLowerCase();
+    return sameRole ? [a.value.role, 'of', a.value.organization] : null;
+  }
+
+  if (a.type === ConflictType.NUMBER && a.value.unit !== b.value.unit) return null;
+
+  const shared = [...a.context].filter(term => b.context.has(term));
+  if (shared.length < MIN_SHARED_CONTEXT[a.type]) return null;
+
+  // A shared name alone ("Eiffel Tower") is not enough: what is said about it must match too
+  if (!shared.some(term => !a.entities.has(term) && !b.entities.has(term))) return null;
+
+  return a.type === ConflictType.NUMBER ? [...shared, `(${a.value.unit})`] : shared;
+}
+
+/**
+ * Whether two facts are stated for different periods, so their values need not agree
+ * Numbers for different years ("$394 billion in 2022" / "$365 billion in 2021") are
+ * different measures, and the years that qualify them are not conflicting dates.
+ */
+function differentPeriods(a, b) {
+  switch (a.type) {
+    case ConflictType.NUMBER:
+      return a.years.length > 0 && b.years.length > 0 && !a.years.some(year => b.years.includes(year));
+
+    case ConflictType.DATE:
+      return a.measures.some(x => b.measures.some(y => x.value.unit === y.value.unit && valuesDisagree(x, y)));
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether two values for the same fact disagree
+ */
+function valuesDisagree(a, b) {
+  switch (a.type) {
+    case ConflictType.DATE:
+      if (a.value.year !== b.value.year) return true;
+      if (a.value.month && b.value.month && a.value.month !== b.value.month) return true;
+      return Boolean(a.value.day && b.value.day && a.value.day !== b.value.day);
+
+    case ConflictType.NUMBER: {
+      const larger = Math.max(Math.abs(a.value.amount), Math.abs(b.value.amount));
+      return larger > 0 && Math.abs(a.value.amount - b.value.amount) / larger > NUMBER_TOLERANCE;
+    }
+
+    case ConflictType.ROLE: {
+      // "Musk" and "Elon Musk" name the same person
+      const holderA = a.value.holder.toLowerCase();
+      const holderB = b.value.holder.toLowerCase();
+      return !holderA.includes(holderB) && !holderB.includes(holderA);
+    }
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Key identifying the source of an evidence item (chunks of one document share it)
+ */
+function sourceKey(item) {
+  return item.url || item.title || '';
+}
+
+/**
+ * Find candidate conflicts with pattern rules alone
+ *
+ * @param {Array} evidence - Evidence items
+ * @returns {Array} Conflict records: { type, fact, evidenceIndices, values, excerpts }
+ *   with 1-based evidence indices, strongest candidates first
+ */
+export function findConflictCandidates(evidence) {
+  const factsByItem = evidence.map(extractFacts);
+  const candidates = [];
+  const seen = new Set();
+
+  for (let i = 0; i < evidence.length; i++) {
+    for (let j = i + 1; j < evidence.length; j++) {
+      if (sourceKey(evidence[i]) === sourceKey(evidence[j])) continue;
+
+      for (const a of factsByItem[i]) {
+        for (const b of factsByItem[j]) {
+          const shared = sameFact(a, b);
+          if (!shared || !valuesDisagree(a, b) || differentPeriods(a, b)) continue;
+
+          const fact = shared.join(' ');
+          const key = `${i}:${j}:${a.type}:${fact}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+
+          candidates.push({
+            type: a.type,
+            fact,
+            evidenceIndices: [i + 1, j + 1],
+            values: a.type === ConflictType.ROLE ? [a.value.holder, b.value.holder] : [a.text, b.text],
+            excerpts: [a.sentence, b.sentence],
+            sharedContext: shared.length
+          });
+        }
+      }
+    }
+  }
+
+  return candidates
+    .sort((x, y) => y.sharedContext - x.sharedContext)
+    .slice(0, MAX_CANDIDATES)
+    .map(({ sharedContext, ...candidate }) => candidate);
+}
+
+/**
+ * Ask the LLM which candidates are genuine conflicts
+ * @returns {Promise<Array>} Decisions aligned with candidates ({ isConflict, explanation } or undefined)
+ */
+async function confirmCandidates(claim, candidates, signal) {
+  const chain = conflictConfirmationPrompt.pipe(getStructuredModel(LLMRole.CONFLICT, ConflictConfirmationSchema));
+
+  const { decisions } = await chain.invoke({
+    claim,
+    candidates: candidates.map((c, i) => [
+      `Candidate ${i + 1} (${c.type}, ${c.fact}):`,
+      `  Source [${c.evidenceIndices[0]}] says "${c.values[0]}": ${c.excerpts[0]}`,
+      `  Source [${c.evidenceIndices[1]}] says "${c.values[1]}": ${c.excerpts[1]}`
+    ].join('\n')).join('\n\n')
+  }, { signal });
+
+  const byCandidate = new Map(decisions.map(decision => [decision.candidate, decision]));
+  return candidates.map((_, i) => byCandidate.get(i + 1));
+}
+
+/**
+ * Detect conflicts between evidence items
+ * Without LLM confirmation (or if it fails), rule candidates are returned with confirmed: null.
+ *
+ * @param {string} claim - The claim
+ * @param {Array} evidence - Evidence items, in the order they are numbered in prompts
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the LLM call
+ * @returns {Promise<Object>} { conflicts, candidates, mode } where each conflict is
+ *   { type, fact, evidenceIndices, values, excerpts, confirmed, explanation }
+ */
+export async function detectConflicts(claim, evidence, options = {}) {
+  const { signal } = options;
+  const mode = getConflictDetectionMode();
+
+  if (mode === 'none' || evidence.length < 2) {
+    return { conflicts: [], candidates: 0, mode };
+  }
+
+  const candidates = findConflictCandidates(evidence);
+
+  if (candidates.length === 0 || mode !== 'llm') {
+    return {
+      conflicts: candidates.map(c => ({ ...c, confirmed: null, explanation: null })),
+      candidates: candidates.length,
+      mode
+    };
+  }
+
+  try {
+    const decisions = await confirmCandidates(claim, candidates, signal);
+
+    const conflicts = candidates
+      .map((c, i) => ({
+        ...c,
+        confirmed: decisions[i] ? decisions[i].isConflict : null,
+        explanation: decisions[i]?.explanation || null
+      }))
+      .filter(c => c.confirmed !== false);
+
+    return { conflicts, candidates: candidates.length, mode };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error('   ⚠️  Conflict confirmation failed, keeping rule candidates:', error.message);
+    return {
+      conflicts: candidates.map(c => ({ ...c, confirmed: null, explanation: null })),
+      candidates: candidates.length,
+      mode
+    };
+  }
+}
@@ -0,0 +1,288 @@
+/**
+ * Source Credibility Registry
+ * Decides the credibility tier of every evidence item from a list of rules matching
+ * domains, URL patterns and evidence sources. The first matching rule wins and is
+ * reported with the item, so responses show why a source got its tier.
+ *
+ * Rules ship in config/source-credibility.json. Changes made through the admin API
+ * are saved to data/source-credibility.json, which takes precedence over the shipped file.
+ *
+ * Environment:
+ * - SOURCE_CREDIBILITY_FILE: Path to the shipped rules (default: config/source-credibility.json)
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { resolveDataPath, writeJSONFile } from '../utils/json-store.js';
+import { ApiError, ErrorCode } from '../utils/errors.js';
+
+export const CredibilityTier = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low'
+};
+
+const DEFAULT_RULES_FILE = process.env.SOURCE_CREDIBILITY_FILE ||
+  fileURLToPath(new URL('../config/source-credibility.json', import.meta.url));
+const CUSTOM_RULES_FILE = resolveDataPath('source-credibility.json');
+
+// Used when neither file can be read
+const FALLBACK_CONFIG = {
+  default: { tier: CredibilityTier.MEDIUM, reason: 'No rule for this source' },
+  rules: []
+};
+
+// URL patterns are host/path globs, e.g. "*.gov.??/**" or "example.com/fact-check/*"
+const PATTERN_MAX_LENGTH = 200;
+const PATTERN_CHARS = /^[a-z0-9.\-_~%/*?]+$/i;
+
+// { origin, config, compiled } for the active rules
+let registry = null;
+
+/**
+ * Compile a host/path glob into tokens
+ * "*" matches within one path segment, "**" across segments and "?" one character.
+ */
+function compileGlob(glob) {
+  const tokens = [];
+  const source = glob.toLowerCase();
+
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '*') {
+      const crossesSegments = source[i + 1] === '*';
+      if (crossesSegments) i++;
+      tokens.push({ star: true, crossesSegments });
+    } else {
+      tokens.push({ char: source[i] });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Match a compiled glob against host/path text
+ * Every reachable pattern position is tracked at once, so matching is linear in the text length.
+ */
+function globMatches(tokens, text) {
+  // A star may match nothing, so the position after it is reachable as well
+  const withSkippedStars = positions => {
+    for (const i of positions) {
+      if (tokens[i]?.star) positions.add(i + 1);
+    }
+    return positions;
+  };
+
+  let positions = withSkippedStars(new Set([0]));
+
+  for (const char of text) {
+    const next = new Set();
+
+    for (const i of positions) {
+      const token = tokens[i];
+      if (!token) continue;
+
+      if (token.star) {
+        if (token.crossesSegments || char !== '/') next.add(i);
+      } else if (token.char === char || (token.char === '?' && char !== '/')) {
+        next.add(i + 1);
+      }
+    }
+
+    if (next.size === 0) return false;
+    positions = withSkippedStars(next);
+  }
+
+  return positions.has(tokens.length);
+}
+
+/**
+ * Compile a rules config, checking tiers and patterns
+ * @throws {ApiError} VALIDATION_FAILED when a rule is malformed
+ */
+function compileConfig(config) {
+  const tiers = Object.values(CredibilityTier);
+  const issues = [];
+
+  if (!tiers.includes(config.default?.tier)) {
+    issues.push({ path: 'default.tier', message: `Must be one of ${tiers.join(', ')}` });
+  }
+
+  const ids = new Set();
+  const rules = (config.rules || []).map((rule, i) => {
+    const path = `rules.${i}`;
+
+    if (!rule.id) issues.push({ path: `${path}.id`, message: 'Rule id is required' });
+    if (rule.id === 'default') issues.push({ path: `${path}.id`, message: '"default" is reserved for the fallback tier' });
+    if (ids.has(rule.id)) issues.push({ path: `${path}.id`, message: `Duplicate rule id "${rule.id}"` });
+    ids.add(rule.id);
+
+    if (!tiers.includes(rule.tier)) {
+      issues.push({ path: `${path}.tier`, message: `Must be one of ${tiers.join(', ')}` });
+    }
+    if (!rule.domains?.length && !rule.pattern && !rule.sources?.length) {
+      issues.push({ path, message: 'Rule needs domains, a pattern or sources' });
+    }
+
+    // Globs rather than regular expressions, which could backtrack for seconds on a long URL
+    let pattern = null;
+    if (rule.pattern) {
+      if (rule.pattern.length > PATTERN_MAX_LENGTH || !PATTERN_CHARS.test(rule.pattern)) {
+        issues.push({
+          path: `${path}.pattern`,
+          message: `Must be a host/path glob of at most ${PATTERN_MAX_LENGTH} characters using letters, digits, . - _ ~ % / and the wildcards * ** ?`
+        });
+      } else {
+        pattern = compileGlob(rule.pattern);
+      }
+    }
+
+    return {
+      ...rule,
+      domains: (rule.domains || []).map(domain => domain.toLowerCase().replace(/^\./, '')),
+      sources: rule.sources || [],
+      pattern
+    };
+  });
+
+  if (issues.length > 0) {
+    throw new ApiError(ErrorCode.VALIDATION_FAILED, 'Invalid credibility rules', issues);
+  }
+
+  return { default: config.default, rules };
+}
+
+/**
+ * Read a rules file synchronously, returning null if it does not exist
+ */
+function readRulesFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Load the active rules: saved admin changes if present, otherwise the shipped file
+ */
+function getRegistry() {
+  if (registry) return registry;
+
+  for (const [origin, filePath] of [['custom', CUSTOM_RULES_FILE], ['default', DEFAULT_RULES_FILE]]) {
+    try {
+      const config = readRulesFile(filePath);
+      if (!config) continue;
+
+      registry = { origin, config, compiled: compileConfig(config) };
+      console.log(`🏷️  Loaded ${registry.compiled.rules.length} source credibility rules (${origin})`);
+      return registry;
+    } catch (error) {
+      console.error(`⚠️  Could not load credibility rules from ${filePath}:`, error.message);
+    }
+  }
+
+  registry = { origin: 'fallback', config: FALLBACK_CONFIG, compiled: compileConfig(FALLBACK_CONFIG) };
+  return registry;
+}
+
+/**
+ * Host name and path of a URL, or null for non-web URLs (file://, internal://)
+ * @returns {Object|null} { hostname, hostPath }: hostname without "www.", hostPath as in "www.cdc.gov/flu/"
+ */
+function webLocationOf(url) {
+  try {
+    const { protocol, hostname, pathname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') return null;
+
+    const host = hostname.toLowerCase();
+    return { hostname: host.replace(/^www\./, ''), hostPath: `${host}${pathname.toLowerCase()}` };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a rule against a source; every criterion the rule sets must match
+ */
+function ruleMatches(rule, location, source) {
+  if (rule.sources.length > 0 && !rule.sources.includes(source)) return false;
+
+  const hostname = location?.hostname;
+  if (rule.domains.length > 0 &&
+      !rule.domains.some(domain => hostname === domain || hostname?.endsWith(`.${domain}`))) {
+    return false;
+  }
+
+  return !rule.pattern || Boolean(location && globMatches(rule.pattern, location.hostPath));
+}
+
+/**
+ * Score a source's credibility
+ *
+ * @param {Object} item - Evidence item or search result
+ * @param {string} item.url - Source URL
+ * @param {string} item.source - Evidence source (e.g. 'vector', 'local-corpus', 'Wikipedia')
+ * @returns {Object} { tier, rule: { id, reason } }; rule.id is 'default' when no rule matched
+ */
+export function scoreCredibility({ url = '', source = '' } = {}) {
+  const { compiled } = getRegistry();
+  const location = webLocationOf(url);
+
+  const rule = compiled.rules.find(candidate => ruleMatches(candidate, location, source));
+
+  return rule
+    ? { tier: rule.tier, rule: { id: rule.id, reason: rule.reason || null } }
+    : { tier: compiled.default.tier, rule: { id: 'default', reason: compiled.default.reason || null } };
+}
+
+/**
+ * Set credibility and credibilityRule on an evidence item from the registry
+ * @param {Object} item - Evidence item with url and source
+ * @returns {Object} Copy of the item with credibility and credibilityRule
+ */
+export function withCredibility(item) {
+  const { tier, rule } = scoreCredibility(item);
+  return { ...item, credibility: tier, credibilityRule: rule };
+}
+
+/**
+ * Get the active rules config
+ * @returns {Object} { origin: 'custom' | 'default' | 'fallback', default, rules }
+ */
+export function getCredibilityRules() {
+  const { origin, config } = getRegistry();
+  return { origin, default: config.default, rules: config.rules };
+}
+
+/**
+ * Replace the rules and save them to the data directory
+ * @param {Object} config - { default: { tier, reason }, rules: [{ id, domains, pattern, sources, tier, reason }] }
+ * @returns {Promise<Object>} The active rules config
+ * @throws {ApiError} VALIDATION_FAILED when a rule is malformed
+ */
+export async function updateCredibilityRules(config) {
+  const compiled = compileConfig(config);
+
+  await writeJSONFile(CUSTOM_RULES_FILE, config);
+  registry = { origin: 'custom', config, compiled };
+  console.log(`🏷️  Saved ${compiled.rules.length} source credibility rules`);
+
+  return getCredibilityRules();
+}
+
+/**
+ * Discard saved rule changes and return to the shipped rules
+ * @returns {Promise<Object>} The active rules config
+ */
+export async function resetCredibilityRules() {
+  try {
+    await fs.promises.unlink(CUSTOM_RULES_FILE);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  registry = null;
+  return getCredibilityRules();
+}
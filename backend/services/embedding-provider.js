@@ -0,0 +1,177 @@
+/**
+ * Embedding Provider Registry
+ * One embedder for the whole process, shared by the vector store and the semantic claim index
+ *
+ * Environment:
+ * - EMBEDDING_PROVIDER: 'openai', 'openai-compatible', 'local-hash' or 'auto' (default: 'openai')
+ *   'auto' uses 'openai' when OPENAI_API_KEY is set, otherwise 'local-hash'
+ * - EMBEDDING_MODEL: Model name for OpenAI providers (default: text-embedding-3-large)
+ * - EMBEDDING_DIMENSIONS: Vector dimension (default: 3072 for OpenAI, 512 for local-hash)
+ * - EMBEDDING_BASE_URL / EMBEDDING_API_KEY: Endpoint for 'openai-compatible' servers
+ *
+ * Every provider exposes { id, dimension, embedQuery(text), embedDocuments(texts) }.
+ * The id identifies the embedding space: vectors with different ids are not comparable.
+ */
+
+import { OpenAIEmbeddings } from '@langchain/openai';
+import { ApiError, ErrorCode } from '../utils/errors.js';
+
+// Vectors and index entries written before the embedder was configurable were all OpenAI embeddings
+export const LEGACY_EMBEDDER = Object.freeze({ id: 'openai:text-embedding-3-large', dimension: 3072 });
+
+const providers = new Map();
+let provider = null;
+
+/**
+ * Register an embedding provider
+ * @param {string} name - Provider name used in EMBEDDING_PROVIDER
+ * @param {Function} factory - ({ model, dimensions, baseURL, apiKey }) => provider
+ */
+export function registerEmbeddingProvider(name, factory) {
+  providers.set(name, factory);
+  if (provider?.name === name) provider = null;
+}
+
+function createOpenAIEmbedder(name, { model, dimensions, baseURL, apiKey }) {
+  const embeddings = new OpenAIEmbeddings({
+    model,
+    dimensions,
+    apiKey,
+    ...(baseURL ? { configuration: { baseURL } } : {})
+  });
+
+  return {
+    name,
+    id: `${name}:${model}`,
+    dimension: dimensions,
+    embedQuery: text => embeddings.embedQuery(text),
+    embedDocuments: texts => embeddings.embedDocuments(texts)
+  };
+}
+
+registerEmbeddingProvider('openai', ({ model, dimensions = 3072 }) => {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new ApiError(ErrorCode.LLM_UNAVAILABLE, 'OPENAI_API_KEY environment variable is not set');
+  }
+  return createOpenAIEmbedder('openai', { model, dimensions, apiKey: process.env.OPENAI_API_KEY });
+});
+
+registerEmbeddingProvider('openai-compatible', ({ model, dimensions, baseURL, apiKey }) => {
+  if (!baseURL) {
+    throw new ApiError(ErrorCode.LLM_UNAVAILABLE, 'EMBEDDING_BASE_URL is not set');
+  }
+  if (!dimensions) {
+    throw new ApiError(ErrorCode.LLM_UNAVAILABLE, 'EMBEDDING_DIMENSIONS is required for openai-compatible embeddings');
+  }
+  return createOpenAIEmbedder('openai-compatible', { model, dimensions, baseURL, apiKey: apiKey || 'not-needed' });
+});
+
+registerEmbeddingProvider('local-hash', ({ dimensions = 512 }) => {
+  const embed = text => hashEmbedding(text, dimensions);
+
+  return {
+    name: 'local-hash',
+    id: 'local-hash:v1',
+    dimension: dimensions,
+    embedQuery: async text => embed(text),
+    embedDocuments: async texts => texts.map(embed)
+  };
+});
+
+/**
+ * Name of the configured embedding provider, with 'auto' resolved
+ */
+export function getConfiguredEmbeddingProviderName() {
+  const name = process.env.EMBEDDING_PROVIDER || 'openai';
+  if (name !== 'auto') return name;
+  return process.env.OPENAI_API_KEY ? 'openai' : 'local-hash';
+}
+
+/**
+ * Get the configured embedding provider (created on first use)
+ * @throws {Error|ApiError} If the provider is unknown or not configured
+ */
+export function getEmbeddingProvider() {
+  if (!provider) {
+    const name = getConfiguredEmbeddingProviderName();
+    const factory = providers.get(name);
+
+    if (!factory) {
+      throw new Error(`Unknown embedding provider "${name}" (expected one of: ${[...providers.keys()].join(', ')})`);
+    }
+
+    const dimensions = process.env.EMBEDDING_DIMENSIONS ? parseInt(process.env.EMBEDDING_DIMENSIONS, 10) : undefined;
+    provider = factory({
+      model: process.env.EMBEDDING_MODEL || 'text-embedding-3-large',
+      dimensions,
+      baseURL: process.env.EMBEDDING_BASE_URL,
+      apiKey: process.env.EMBEDDING_API_KEY
+    });
+    console.log(`🧮 Embeddings: ${provider.id} (${provider.dimension} dimensions)`);
+  }
+  return provider;
+}
+
+/**
+ * Identity of the current embedding space
+ * @returns {Object} { id, dimension }
+ */
+export function getEmbedderInfo() {
+  const { id, dimension } = getEmbeddingProvider();
+  return { id, dimension };
+}
+
+/**
+ * Describe the configured embedder for health checks (no secrets)
+ */
+export function describeEmbeddingConfig() {
+  try {
+    return { ...getEmbedderInfo(), available: true };
+  } catch (error) {
+    return { id: null, dimension: null, available: false, error: error.message };
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Embed text as hashed word unigrams, word bigrams and character trigrams
+ * Feature weights are log-scaled term frequencies; the vector is L2-normalized,
+ * so cosine similarity measures lexical overlap. Deterministic and fully offline.
+ */
+function hashEmbedding(text, dimension) {
+  const vector = new Array(dimension).fill(0);
+  const words = text.normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+  const features = new Map();
+  const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+
+  words.forEach((word, i) => {
+    add(`w:${word}`, 1);
+    if (i > 0) add(`b:${words[i - 1]} ${word}`, 0.5);
+
+    const padded = `#${word}#`;
+    for (let j = 0; j + 3 <= padded.length; j++) {
+      add(`c:${padded.slice(j, j + 3)}`, 0.25);
+    }
+  });
+
+  for (const [feature, count] of features) {
+    const hash = fnv1a(feature);
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimension] += sign * Math.log1p(count);
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+}
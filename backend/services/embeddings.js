@@ -1,36 +1,12 @@
-import OpenAI from 'openai';
-
-let openai = null;
-
-/**
- * Get or create OpenAI client instance (lazy initialization)
- */
-function getOpenAIClient() {
-  if (!openai) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return openai;
-}
+import { getEmbeddingProvider } from './embedding-provider.js';
 
 /**
- * Generate embeddings for text using OpenAI's text-embedding-3-large model
- * Dimension: 3072
+ * Generate an embedding for text with the configured embedding provider
+ * (see embedding-provider.js; OpenAI text-embedding-3-large by default)
  */
 export async function generateEmbedding(text) {
   try {
-    const client = getOpenAIClient();
-    const response = await client.embeddings.create({
-      model: 'text-embedding-3-large',
-      input: text,
-      encoding_format: 'float'
-    });
-    
-    return response.data[0].embedding;
+    return await getEmbeddingProvider().embedQuery(text);
   } catch (error) {
     console.error('Error generating embedding:', error.message);
     throw error;
@@ -42,14 +18,7 @@ export async function generateEmbedding(text) {
  */
 export async function generateEmbeddingsBatch(texts) {
   try {
-    const client = getOpenAIClient();
-    const response = await client.embeddings.create({
-      model: 'text-embedding-3-large',
-      input: texts,
-      encoding_format: 'float'
-    });
-    
-    return response.data.map(item => item.embedding);
+    return await getEmbeddingProvider().embedDocuments(texts);
   } catch (error) {
     console.error('Error generating batch embeddings:', error.message);
     throw error;
@@ -3,6 +3,8 @@
  * Evaluates if gathered evidence is sufficient for making a verification decision
  */
 
+import { Stance, summarizeStances } from './stance-analyzer.js';
+
 /**
  * Assess if evidence is sufficient for verification
  * @param {Array} evidence - Array of evidence objects
@@ -17,16 +19,23 @@ export function assessEvidenceSufficiency(evidence, claimAnalysis = {}) {
     quality: 0,
     relevance: 0,
     credibility: 0,
+    stance: null,
     missingAspects: [],
     recommendation: ''
   };
 
-  // 1. Quantity Assessment (target: 3+ sources)
-  const numSources = evidence.length;
+  // Stance labels, when the stance analyzer has run
+  const isLabelled = evidence.some(e => e.stance);
+  if (isLabelled) {
+    assessment.stance = summarizeStances(evidence);
+  }
+
+  // 1. Quantity Assessment (target: 3+ sources, unrelated evidence does not count)
+  const numSources = evidence.filter(e => e.stance !== Stance.UNRELATED).length;
   assessment.quantity = Math.min(numSources / 3, 1); // Normalize to 0-1
   
   if (numSources === 0) {
-    assessment.missingAspects.push('No evidence sources found');
+    assessment.missingAspects.push(evidence.length === 0 ? 'No evidence sources found' : 'All evidence is unrelated to the claim');
     assessment.recommendation = 'NOT_ENOUGH_EVIDENCE - No sources available';
     return assessment;
   }
@@ -111,13 +120,38 @@ export function assessEvidenceSufficiency(evidence, claimAnalysis = {}) {
     }
   }
 
+  // 7. Stance: evidence must take a side on the claim to settle it
+  let decisiveCount = null;
+  
+  if (isLabelled) {
+    const { supports, refutes } = assessment.stance;
+    decisiveCount = supports + refutes;
+    
+    if (decisiveCount === 0) {
+      assessment.missingAspects.push('No source directly supports or refutes the claim');
+    } else if (supports > 0 && refutes > 0) {
+      assessment.missingAspects.push(`Sources disagree (${supports} support, ${refutes} refute)`);
+    }
+  }
+
   // Calculate overall quality score
-  assessment.quality = (
-    assessment.credibility * 0.4 +  // 40% weight on credibility
-    assessment.relevance * 0.3 +     // 30% weight on relevance
-    diversityScore * 0.15 +          // 15% weight on diversity
-    coverageScore * 0.15             // 15% weight on coverage
-  );
+  if (decisiveCount === null) {
+    assessment.quality = (
+      assessment.credibility * 0.4 +  // 40% weight on credibility
+      assessment.relevance * 0.3 +     // 30% weight on relevance
+      diversityScore * 0.15 +          // 15% weight on diversity
+      coverageScore * 0.15             // 15% weight on coverage
+    );
+  } else {
+    const decisiveness = Math.min(decisiveCount / 2, 1); // Target: 2+ sources taking a side
+    assessment.quality = (
+      assessment.credibility * 0.3 +  // 30% weight on credibility
+      assessment.relevance * 0.2 +     // 20% weight on relevance
+      diversityScore * 0.1 +           // 10% weight on diversity
+      coverageScore * 0.1 +            // 10% weight on coverage
+      decisiveness * 0.3               // 30% weight on decisive stance
+    );
+  }
 
   // Calculate final score
   assessment.score = (
@@ -132,7 +166,8 @@ export function assessEvidenceSufficiency(evidence, claimAnalysis = {}) {
   assessment.isSufficient = (
     numSources >= MIN_SOURCES &&
     assessment.score >= MIN_SCORE &&
-    assessment.quality >= MIN_SCORE
+    assessment.quality >= MIN_SCORE &&
+    decisiveCount !== 0
   );
 
   // Generate recommendation
@@ -140,6 +175,8 @@ export function assessEvidenceSufficiency(evidence, claimAnalysis = {}) {
     assessment.recommendation = 'SUFFICIENT - Proceed with verification';
   } else if (numSources < MIN_SOURCES) {
     assessment.recommendation = 'INSUFFICIENT - Need more sources';
+  } else if (decisiveCount === 0) {
+    assessment.recommendation = 'INSUFFICIENT - No evidence takes a stance on the claim';
   } else if (assessment.quality < MIN_SCORE) {
     assessment.recommendation = 'INSUFFICIENT - Evidence quality too low';
   } else {
@@ -172,6 +209,11 @@ export function getAssessmentSummary(assessment) {
     assessment.recommendation
   ];
   
+  if (assessment.stance) {
+    const { supports, refutes, neutral, unrelated } = assessment.stance;
+    parts.push(`Stance: ${supports} support, ${refutes} refute, ${neutral} neutral, ${unrelated} unrelated`);
+  }
+  
   if (assessment.missingAspects.length > 0) {
     parts.push(`\nIssues: ${assessment.missingAspects.join('; ')}`);
   }
@@ -0,0 +1,86 @@
+/**
+ * Evidence Translation
+ * Translates non-English evidence into English (long passages are summarized) so the
+ * reranker, stance, conflict and verdict models all read the same language.
+ * The original text is kept on each translated item.
+ *
+ * Environment:
+ * - EVIDENCE_TRANSLATION_ENABLED: Set to 'false' to pass evidence through untranslated
+ */
+
+import { evidenceTranslationPrompt, EvidenceTranslationSchema } from './prompts.js';
+import { LLMRole, getStructuredModel } from './llm-provider.js';
+import { DEFAULT_LANGUAGE, guessLanguage, getLanguageName } from './language.js';
+
+const TRANSLATION_ENABLED = process.env.EVIDENCE_TRANSLATION_ENABLED !== 'false';
+
+/**
+ * Check whether evidence translation is enabled (EVIDENCE_TRANSLATION_ENABLED)
+ */
+export function isEvidenceTranslationEnabled() {
+  return TRANSLATION_ENABLED;
+}
+
+/**
+ * Language of an evidence item: as reported by its source, otherwise guessed from the text
+ */
+function evidenceLanguage(item) {
+  return item.language || guessLanguage(`${item.title || ''} ${item.snippet || ''}`);
+}
+
+/**
+ * Translate every non-English evidence item into English
+ * If the model fails, evidence is returned untranslated rather than failing verification.
+ *
+ * @param {string} claim - The claim (gives the translator context for summaries)
+ * @param {Array} evidence - Evidence items
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the LLM call
+ * @returns {Promise<Object>} { evidence, translated, languages } where translated items carry
+ *   language 'en', translatedFrom and originalSnippet; languages lists the source languages found
+ */
+export async function translateEvidence(claim, evidence, options = {}) {
+  const { signal } = options;
+
+  const pending = evidence
+    .map((item, i) => ({ i, language: evidenceLanguage(item) }))
+    .filter(({ language }) => language !== DEFAULT_LANGUAGE);
+  const languages = [...new Set(pending.map(({ language }) => language))];
+
+  if (!TRANSLATION_ENABLED || pending.length === 0) {
+    return { evidence, translated: 0, languages };
+  }
+
+  try {
+    const passages = pending.map(({ i, language }, n) =>
+      `[${n + 1}] (${getLanguageName(language)}) ${evidence[i].title || 'Untitled'}\n${evidence[i].snippet}`
+    ).join('\n\n');
+
+    const chain = evidenceTranslationPrompt.pipe(getStructuredModel(LLMRole.TRANSLATION, EvidenceTranslationSchema));
+    const { translations } = await chain.invoke({ claim, evidence: passages }, { signal });
+
+    const byIndex = new Map(translations.map(entry => [entry.index, entry.text]));
+    const translatedEvidence = [...evidence];
+    let translated = 0;
+
+    pending.forEach(({ i, language }, n) => {
+      const text = byIndex.get(n + 1)?.trim();
+      if (!text) return;
+
+      translatedEvidence[i] = {
+        ...evidence[i],
+        snippet: text,
+        originalSnippet: evidence[i].snippet,
+        translatedFrom: language,
+        language: DEFAULT_LANGUAGE
+      };
+      translated++;
+    });
+
+    return { evidence: translatedEvidence, translated, languages };
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error('   ⚠️  Evidence translation failed:', error.message);
+    return { evidence, translated: 0, languages };
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Verification Job Queue
+ * Runs verifications in the background so clients can poll for results
+ * instead of holding a request open through the whole pipeline
+ *
+ * Environment:
+ * - JOB_CONCURRENCY: Jobs run at once (default: 2)
+ * - JOB_MAX_QUEUED: Jobs waiting to run before new ones are refused (default: 100)
+ * - JOB_RETENTION_MS: How long finished jobs stay readable (default: 3600000)
+ */
+
+import { randomUUID } from 'crypto';
+import { verifyClaimWithPipeline } from './verification-pipeline.js';
+import { ApiError, ErrorCode, classifyError } from '../utils/errors.js';
+
+/**
+ * Job lifecycle states
+ */
+export const JobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2', 10);
+const JOB_MAX_QUEUED = parseInt(process.env.JOB_MAX_QUEUED || '100', 10);
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS || String(60 * 60 * 1000), 10);
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+const jobs = new Map();
+const pendingQueue = [];
+let runningCount = 0;
+
+// Drop finished jobs once their retention period has passed
+setInterval(() => {
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  }
+}, CLEANUP_INTERVAL_MS).unref();
+
+/**
+ * Check whether a job has reached a terminal state
+ */
+function isFinished(job) {
+  return [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.CANCELLED].includes(job.status);
+}
+
+/**
+ * Public view of a job (without internal controller and options)
+ */
+function toJobView(job) {
+  return {
+    id: job.id,
+    claim: job.claim,
+    status: job.status,
+    stage: job.stage,
+    stages: job.stages,
+    result: job.result,
+    error: job.error,
+    errorCode: job.errorCode,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+/**
+ * Check whether the queue is full (JOB_MAX_QUEUED jobs waiting)
+ */
+export function isQueueFull() {
+  return pendingQueue.length >= JOB_MAX_QUEUED;
+}
+
+/**
+ * Enqueue a verification job
+ * @param {string} claim - The claim to verify
+ * @param {Object} options - Pipeline options (see verifyClaimWithPipeline)
+ * @returns {Object} Job view with its ID and initial status
+ * @throws {ApiError} RATE_LIMITED when the queue is full
+ */
+export function createJob(claim, options = {}) {
+  if (isQueueFull()) {
+    throw new ApiError(ErrorCode.RATE_LIMITED, `Job queue is full (${JOB_MAX_QUEUED} waiting), try again later`, { maxQueued: JOB_MAX_QUEUED });
+  }
+
+  const job = {
+    id: randomUUID(),
+    claim,
+    options,
+    status: JobStatus.QUEUED,
+    stage: null,
+    stages: [],
+    result: null,
+    error: null,
+    errorCode: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    controller: new AbortController()
+  };
+
+  jobs.set(job.id, job);
+  pendingQueue.push(job);
+  console.log(`📥 Job ${job.id} queued (${pendingQueue.length} waiting, ${runningCount} running)`);
+
+  processQueue();
+  return toJobView(job);
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job view or null if unknown
+ */
+export function getJob(id) {
+  const job = jobs.get(id);
+  return job ? toJobView(job) : null;
+}
+
+/**
+ * Cancel a queued or running job
+ * Running jobs are aborted, which cancels their in-flight LLM and search calls
+ * @param {string} id - Job ID
+ * @returns {Object|null} Updated job view, or null if unknown
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (isFinished(job)) return toJobView(job);
+
+  const queuedIndex = pendingQueue.indexOf(job);
+  if (queuedIndex !== -1) {
+    pendingQueue.splice(queuedIndex, 1);
+  }
+
+  job.controller.abort();
+  job.status = JobStatus.CANCELLED;
+  job.finishedAt = new Date().toISOString();
+  console.log(`🛑 Job ${job.id} cancelled`);
+
+  return toJobView(job);
+}
+
+/**
+ * Start queued jobs while below the concurrency limit
+ */
+function processQueue() {
+  while (runningCount < JOB_CONCURRENCY && pendingQueue.length > 0) {
+    const job = pendingQueue.shift();
+    runningCount++;
+
+    runJob(job).finally(() => {
+      runningCount--;
+      processQueue();
+    });
+  }
+}
+
+/**
+ * Run a single job through the verification pipeline
+ */
+async function runJob(job) {
+  job.status = JobStatus.RUNNING;
+  job.startedAt = new Date().toISOString();
+  console.log(`▶️  Job ${job.id} started`);
+
+  try {
+    const result = await verifyClaimWithPipeline(job.claim, {
+      ...job.options,
+      signal: job.controller.signal,
+      onProgress: event => {
+        if (job.status === JobStatus.CANCELLED) return;
+        job.stage = event.type;
+        job.stages.push({ stage: event.type, timestamp: event.timestamp });
+      }
+    });
+
+    if (job.status === JobStatus.CANCELLED) return;
+
+    job.status = JobStatus.COMPLETED;
+    job.result = result;
+    console.log(`✅ Job ${job.id} completed`);
+  } catch (error) {
+    if (job.status === JobStatus.CANCELLED) return;
+
+    job.status = JobStatus.FAILED;
+    const { message, code } = classifyError(error);
+    job.error = message;
+    job.errorCode = code;
+    console.error(`❌ Job ${job.id} failed [${code}]:`, message);
+  } finally {
+    job.finishedAt = job.finishedAt || new Date().toISOString();
+  }
+}
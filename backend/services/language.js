@@ -0,0 +1,82 @@
+/**
+ * Claim Language
+ * ISO 639-1 language codes for claims and evidence, with a script and
+ * stop-word based guess used when no model detection is available
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  hi: 'Hindi',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese',
+  it: 'Italian',
+  bn: 'Bengali',
+  ta: 'Tamil',
+  ur: 'Urdu',
+  ar: 'Arabic',
+  ru: 'Russian',
+  zh: 'Chinese',
+  ja: 'Japanese'
+};
+
+// Scripts used by a single language among those we expect
+const SCRIPT_LANGUAGES = [
+  [/\p{Script=Devanagari}/u, 'hi'],
+  [/\p{Script=Bengali}/u, 'bn'],
+  [/\p{Script=Tamil}/u, 'ta'],
+  [/\p{Script=Arabic}/u, 'ar'],
+  [/\p{Script=Cyrillic}/u, 'ru'],
+  [/[\p{Script=Hiragana}\p{Script=Katakana}]/u, 'ja'],
+  [/\p{Script=Han}/u, 'zh']
+];
+
+// Frequent function words of Latin-script languages
+const STOP_WORDS = {
+  en: ['the', 'is', 'was', 'of', 'and', 'in', 'to', 'that', 'has', 'with'],
+  es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'es', 'fue', 'del', 'por', 'con', 'una'],
+  fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'du', 'que', 'une', 'dans', 'pour', 'été', 'au'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'von', 'mit', 'den', 'wurde', 'ein', 'eine', 'nicht'],
+  pt: ['o', 'os', 'as', 'de', 'que', 'e', 'do', 'da', 'em', 'foi', 'não', 'uma', 'com'],
+  it: ['il', 'lo', 'gli', 'di', 'che', 'e', 'è', 'del', 'della', 'un', 'una', 'per', 'stato']
+};
+
+/**
+ * Normalize a language code ("es-ES", "FR") to ISO 639-1, defaulting to English
+ */
+export function normalizeLanguage(code) {
+  const language = String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(language) ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * English name of a language code, for prompts
+ */
+export function getLanguageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+/**
+ * Guess the language of a text from its script, or from common words for Latin script
+ * @param {string} text - Text to inspect
+ * @returns {string} ISO 639-1 code (English when unsure)
+ */
+export function guessLanguage(text = '') {
+  for (const [pattern, language] of SCRIPT_LANGUAGES) {
+    if (pattern.test(text)) return language;
+  }
+
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  let best = { language: DEFAULT_LANGUAGE, hits: 0 };
+
+  for (const [language, stopWords] of Object.entries(STOP_WORDS)) {
+    const hits = words.filter(word => stopWords.includes(word)).length;
+    if (hits > best.hits) best = { language, hits };
+  }
+
+  // A couple of shared words ("de", "la") are not enough to leave English
+  return best.hits >= 2 ? best.language : DEFAULT_LANGUAGE;
+}
@@ -0,0 +1,169 @@
+/**
+ * LLM Provider Registry
+ * Maps each pipeline role to a provider and model so every LLM call site shares one configuration
+ *
+ * Environment:
+ * - LLM_PROVIDER: Default provider for all roles ('openai' or 'openai-compatible', default: 'openai')
+ * - LLM_BASE_URL / LLM_API_KEY: Endpoint and key for 'openai-compatible' servers (llama.cpp, vLLM, Ollama, ...)
+ * - LLM_MODEL: Model for every role without LLM_<ROLE>_MODEL (default: per-role, e.g. gpt-4o / gpt-4o-mini)
+ * - LLM_<ROLE>_PROVIDER, LLM_<ROLE>_MODEL, LLM_<ROLE>_TEMPERATURE, LLM_<ROLE>_BASE_URL: Per-role overrides
+ * - LLM_STRUCTURED_OUTPUT_METHOD: withStructuredOutput method ('functionCalling', 'jsonSchema' or 'jsonMode')
+ */
+
+import { ChatOpenAI } from '@langchain/openai';
+import { ApiError, ErrorCode } from '../utils/errors.js';
+
+export const LLMRole = {
+  ANALYSIS: 'analysis',           // Claim analysis
+  VERDICT: 'verdict',             // Verdict generation
+  CRITIQUE: 'critique',           // Self-critique
+  AGENT: 'agent',                 // Agentic evidence gathering
+  EXTRACTION: 'extraction',       // Claim extraction from articles
+  DECOMPOSITION: 'decomposition', // Splitting complex claims
+  RERANK: 'rerank',               // Evidence relevance scoring
+  STANCE: 'stance',               // Evidence stance classification
+  CONFLICT: 'conflict',           // Confirming conflicts between sources
+  TRANSLATION: 'translation'      // Translating non-English evidence
+};
+
+// Model and temperature per role when no override is configured
+const ROLE_DEFAULTS = {
+  [LLMRole.ANALYSIS]: { model: 'gpt-4o-mini', temperature: 0.3 },
+  [LLMRole.VERDICT]: { model: 'gpt-4o', temperature: 0.2 },
+  [LLMRole.CRITIQUE]: { model: 'gpt-4o-mini', temperature: 0.1 },
+  [LLMRole.AGENT]: { model: 'gpt-4o', temperature: 0.3 },
+  [LLMRole.EXTRACTION]: { model: 'gpt-4o-mini', temperature: 0.1 },
+  [LLMRole.DECOMPOSITION]: { model: 'gpt-4o-mini', temperature: 0.1 },
+  [LLMRole.RERANK]: { model: 'gpt-4o-mini', temperature: 0 },
+  [LLMRole.STANCE]: { model: 'gpt-4o-mini', temperature: 0 },
+  [LLMRole.CONFLICT]: { model: 'gpt-4o-mini', temperature: 0 },
+  [LLMRole.TRANSLATION]: { model: 'gpt-4o-mini', temperature: 0 }
+};
+
+/**
+ * Provider factories: (config) => chat model
+ * config: { role, model, temperature, baseURL, apiKey }
+ */
+const providers = new Map();
+
+// Structured output method used by each provider unless LLM_STRUCTURED_OUTPUT_METHOD is set
+const structuredOutputMethods = new Map();
+
+// Chat model instances per role
+const models = new Map();
+
+/**
+ * Register an LLM provider
+ * @param {string} name - Provider name used in LLM_PROVIDER / LLM_<ROLE>_PROVIDER
+ * @param {Function} factory - (config) => LangChain chat model
+ * @param {Object} options - Provider options
+ * @param {string} options.structuredOutputMethod - Default withStructuredOutput method for this provider
+ */
+export function registerLLMProvider(name, factory, options = {}) {
+  providers.set(name, factory);
+  structuredOutputMethods.set(name, options.structuredOutputMethod);
+
+  for (const [role, model] of models) {
+    if (model.provider === name) models.delete(role);
+  }
+}
+
+registerLLMProvider('openai', ({ model, temperature }) => {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new ApiError(ErrorCode.LLM_UNAVAILABLE, 'OPENAI_API_KEY environment variable is not set');
+  }
+
+  return new ChatOpenAI({
+    model,
+    temperature,
+    apiKey: process.env.OPENAI_API_KEY
+  });
+});
+
+// Any server implementing the OpenAI chat completions API
+registerLLMProvider('openai-compatible', ({ role, model, temperature, baseURL, apiKey }) => {
+  if (!baseURL) {
+    throw new ApiError(ErrorCode.LLM_UNAVAILABLE, `LLM_BASE_URL (or LLM_${role.toUpperCase()}_BASE_URL) is not set`);
+  }
+
+  return new ChatOpenAI({
+    model,
+    temperature,
+    apiKey: apiKey || 'not-needed',
+    configuration: { baseURL }
+  });
+}, { structuredOutputMethod: 'jsonSchema' });
+
+/**
+ * Resolve the provider configuration for a role from the environment
+ * @param {string} role - One of LLMRole
+ * @returns {Object} { role, provider, model, temperature, baseURL, apiKey }
+ */
+export function getLLMConfig(role) {
+  const defaults = ROLE_DEFAULTS[role];
+  if (!defaults) {
+    throw new Error(`Unknown LLM role: ${role}`);
+  }
+
+  const prefix = `LLM_${role.toUpperCase()}_`;
+  const env = name => process.env[prefix + name] || process.env[`LLM_${name}`];
+  const temperature = process.env[`${prefix}TEMPERATURE`];
+
+  return {
+    role,
+    provider: env('PROVIDER') || 'openai',
+    model: env('MODEL') || defaults.model,
+    temperature: temperature !== undefined ? parseFloat(temperature) : defaults.temperature,
+    baseURL: env('BASE_URL'),
+    apiKey: env('API_KEY')
+  };
+}
+
+/**
+ * Get the chat model for a role (created on first use)
+ * @param {string} role - One of LLMRole
+ * @returns {BaseChatModel}
+ * @throws {ApiError} LLM_UNAVAILABLE if the provider is not configured
+ */
+export function getChatModel(role) {
+  const cached = models.get(role);
+  if (cached) return cached.instance;
+
+  const config = getLLMConfig(role);
+  const factory = providers.get(config.provider);
+
+  if (!factory) {
+    throw new ApiError(ErrorCode.LLM_UNAVAILABLE, `Unknown LLM provider "${config.provider}" for role ${role}`);
+  }
+
+  const instance = factory(config);
+  models.set(role, { provider: config.provider, instance });
+  console.log(`🤖 LLM for ${role}: ${config.provider}/${config.model}`);
+  return instance;
+}
+
+/**
+ * Get the chat model for a role bound to a zod output schema
+ * Uses the provider's structured output method (overridable via LLM_STRUCTURED_OUTPUT_METHOD)
+ *
+ * @param {string} role - One of LLMRole
+ * @param {ZodSchema} schema - Output schema
+ * @returns {Runnable}
+ */
+export function getStructuredModel(role, schema) {
+  const { provider } = getLLMConfig(role);
+  const method = process.env.LLM_STRUCTURED_OUTPUT_METHOD || structuredOutputMethods.get(provider);
+  return getChatModel(role).withStructuredOutput(schema, method ? { method } : undefined);
+}
+
+/**
+ * Describe the configured provider and model per role (no secrets)
+ */
+export function describeLLMConfig() {
+  return Object.fromEntries(
+    Object.values(LLMRole).map(role => {
+      const { provider, model, temperature, baseURL } = getLLMConfig(role);
+      return [role, { provider, model, temperature, baseURL: baseURL || null }];
+    })
+  );
+}
@@ -0,0 +1,163 @@
+/**
+ * Local Document Corpus
+ * BM25 keyword search over a directory of vetted documents (reports, press
+ * releases, prior fact-checks). Files are chunked with utils/chunking.js and the
+ * index is rebuilt whenever a file is added, changed or removed.
+ *
+ * Environment:
+ * - LOCAL_CORPUS_DIR: Directory to index (searched recursively); unset disables the corpus
+ * - LOCAL_CORPUS_EXTENSIONS: Comma-separated file extensions (default: .txt,.md,.markdown,.html,.htm)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { prepareDocument } from '../utils/chunking.js';
+import { createBM25Index } from '../utils/bm25.js';
+import { htmlToText } from '../utils/html.js';
+import { withCredibility } from './credibility-registry.js';
+
+const CORPUS_DIR = process.env.LOCAL_CORPUS_DIR ? path.resolve(process.env.LOCAL_CORPUS_DIR) : null;
+const EXTENSIONS = new Set(
+  (process.env.LOCAL_CORPUS_EXTENSIONS || '.txt,.md,.markdown,.html,.htm')
+    .split(',')
+    .map(ext => ext.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const HTML_EXTENSIONS = new Set(['.html', '.htm']);
+
+// { signature, index } for the last build; rebuilt when the signature changes
+let corpus = null;
+let buildPromise = null;
+
+/**
+ * Check whether a corpus directory is configured (LOCAL_CORPUS_DIR)
+ */
+export function isLocalCorpusEnabled() {
+  return Boolean(CORPUS_DIR);
+}
+
+/**
+ * List corpus files with their modification times
+ */
+async function listCorpusFiles() {
+  const entries = await fs.readdir(CORPUS_DIR, { recursive: true, withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (!entry.isFile() || !EXTENSIONS.has(path.extname(entry.name).toLowerCase())) continue;
+
+    const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+    const { mtimeMs, size } = await fs.stat(filePath);
+    files.push({ filePath, mtimeMs, size });
+  }
+
+  return files.sort((a, b) => a.filePath.localeCompare(b.filePath));
+}
+
+/**
+ * Read a corpus file as plain text, returning its title as well
+ */
+async function readCorpusFile(filePath) {
+  const raw = await fs.readFile(filePath, 'utf8');
+
+  if (HTML_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+    const title = raw.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+    return { text: htmlToText(raw), title: title ? htmlToText(title) : null };
+  }
+
+  const heading = raw.match(/^#\s+(.+)$/m)?.[1];
+  return { text: raw, title: heading?.trim() || null };
+}
+
+/**
+ * Chunk every file and build the BM25 index
+ */
+async function buildCorpus(files, signature) {
+  const startTime = Date.now();
+  const chunks = [];
+
+  for (const { filePath } of files) {
+    try {
+      const { text, title } = await readCorpusFile(filePath);
+      const relativePath = path.relative(CORPUS_DIR, filePath);
+      const documents = await prepareDocument(text, { filePath: relativePath, title: title || relativePath });
+
+      // Character offset of each chunk in the file's text
+      let searchFrom = 0;
+      for (const doc of documents) {
+        const offset = text.indexOf(doc.pageContent, searchFrom);
+        if (offset >= 0) searchFrom = offset + 1;
+
+        chunks.push({
+          text: doc.pageContent,
+          ...doc.metadata,
+          absolutePath: filePath,
+          offset: offset >= 0 ? offset : null
+        });
+      }
+    } catch (error) {
+      console.error(`   ⚠️  Could not index corpus file ${filePath}:`, error.message);
+    }
+  }
+
+  console.log(`📚 Indexed local corpus: ${files.length} files, ${chunks.length} chunks (${Date.now() - startTime}ms)`);
+  return { signature, index: createBM25Index(chunks) };
+}
+
+/**
+ * Get the current index, rebuilding it if the corpus changed
+ */
+async function getCorpus() {
+  const files = await listCorpusFiles();
+  const signature = files.map(file => `${file.filePath}:${file.mtimeMs}:${file.size}`).join('|');
+
+  if (corpus?.signature === signature) {
+    return corpus;
+  }
+
+  if (!buildPromise || buildPromise.signature !== signature) {
+    const promise = buildCorpus(files, signature).then(built => {
+      corpus = built;
+      return built;
+    });
+    promise.signature = signature;
+    buildPromise = promise;
+  }
+
+  return buildPromise;
+}
+
+/**
+ * Search the local corpus
+ *
+ * @param {string} query - Query text (claim or agent query)
+ * @param {Object} options - Search options
+ * @param {number} options.topK - Maximum number of results (default: 5)
+ * @returns {Promise<Array>} Evidence items with title, url, snippet, credibility, credibilityRule, source,
+ *   filePath, chunkIndex, totalChunks, offset and score
+ */
+export async function searchLocalCorpus(query, options = {}) {
+  const { topK = 5 } = options;
+
+  if (!isLocalCorpusEnabled()) {
+    return [];
+  }
+
+  const { index } = await getCorpus();
+
+  return index.search(query, topK).map(({ document, score, matchedTerms }) => withCredibility({
+    title: document.title,
+    url: pathToFileURL(document.absolutePath).href,
+    snippet: document.text,
+    source: 'local-corpus',
+    publishedDate: null,
+    filePath: document.filePath,
+    chunkIndex: document.chunkIndex,
+    totalChunks: document.totalChunks,
+    offset: document.offset,
+    score: Number(score.toFixed(4)),
+    matchedTerms
+  }));
+}
@@ -0,0 +1,196 @@
+/**
+ * Passage Retrieval
+ * Replaces short web snippets with the passages of the full page that are most
+ * similar to the claim. Wikipedia pages are fetched as plain-text sections and
+ * Tavily results use their raw page content; both are chunked with prepareDocument
+ * and ranked by embedding similarity (BM25 when embeddings are unavailable).
+ *
+ * Environment:
+ * - PASSAGE_RETRIEVAL_ENABLED: Set to 'false' to keep search snippets as evidence
+ * - PASSAGES_PER_SOURCE: Passages kept per page (default: 2)
+ * - PASSAGE_MAX_PAGE_CHARS: Page text beyond this length is ignored (default: 30000)
+ */
+
+import { prepareDocument } from '../utils/chunking.js';
+import { createBM25Index } from '../utils/bm25.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { getEmbeddingProvider } from './embedding-provider.js';
+import { cosineSimilarity } from './embeddings.js';
+import { getWikipediaPageText } from './search-providers/wikipedia.js';
+
+const PASSAGE_RETRIEVAL_ENABLED = process.env.PASSAGE_RETRIEVAL_ENABLED !== 'false';
+const PASSAGES_PER_SOURCE = parseInt(process.env.PASSAGES_PER_SOURCE || '2', 10);
+const MAX_PAGE_CHARS = parseInt(process.env.PASSAGE_MAX_PAGE_CHARS || '30000', 10);
+
+// Parallel page fetches
+const FETCH_CONCURRENCY = 3;
+
+// "== Heading ==" (Wikipedia plain text) or "## Heading" (markdown)
+const HEADING_REGEX = /^(?:(={2,6})\s*(.+?)\s*\1|(#{1,6})\s+(.+?)\s*#*)\s*$/gm;
+
+/**
+ * Check whether passage retrieval is enabled (PASSAGE_RETRIEVAL_ENABLED)
+ */
+export function isPassageRetrievalEnabled() {
+  return PASSAGE_RETRIEVAL_ENABLED;
+}
+
+/**
+ * Full page text for a search result, or null when none is available
+ */
+async function getFullText(result, signal) {
+  if (result.rawContent) {
+    return result.rawContent;
+  }
+
+  if (result.source === 'Wikipedia' && result.pageTitle) {
+    return getWikipediaPageText(result.pageTitle, { language: result.language, signal });
+  }
+
+  return null;
+}
+
+/**
+ * Split page text into sections at its headings
+ * Nested headings are joined into a path, e.g. "History > Construction"
+ *
+ * @param {string} text - Page text
+ * @returns {Array} { title, text, offset } with offset the section body's position in text
+ */
+export function splitSections(text) {
+  const sections = [];
+  const headingPath = [];
+  let current = { title: null, start: 0 };
+
+  const closeSection = end => {
+    const body = text.substring(current.start, end);
+    const leading = body.length - body.trimStart().length;
+    if (body.trim()) {
+      sections.push({ title: current.title, text: body.trim(), offset: current.start + leading });
+    }
+  };
+
+  for (const match of text.matchAll(HEADING_REGEX)) {
+    closeSection(match.index);
+
+    const level = (match[1] || match[3]).length;
+    const heading = (match[2] || match[4]).trim();
+    headingPath.length = Math.max(0, Math.min(headingPath.length, level - 1));
+    headingPath[level - 1] = heading;
+
+    current = { title: headingPath.filter(Boolean).join(' > '), start: match.index + match[0].length };
+  }
+
+  closeSection(text.length);
+  return sections;
+}
+
+/**
+ * Chunk a page into passages with their section title and offset in the page
+ */
+async function chunkPage(text) {
+  const passages = [];
+
+  for (const section of splitSections(text.substring(0, MAX_PAGE_CHARS))) {
+    const documents = await prepareDocument(section.text, { sectionTitle: section.title });
+
+    let searchFrom = 0;
+    for (const doc of documents) {
+      const position = section.text.indexOf(doc.pageContent, searchFrom);
+      if (position >= 0) searchFrom = position + 1;
+
+      passages.push({
+        text: doc.pageContent,
+        sectionTitle: doc.metadata.sectionTitle,
+        offset: position >= 0 ? section.offset + position : null
+      });
+    }
+  }
+
+  return passages.map((passage, i) => ({ ...passage, passageIndex: i, totalPassages: passages.length }));
+}
+
+/**
+ * Score passages against the claim: cosine similarity of embeddings, or BM25 if embedding fails
+ */
+async function scorePassages(claim, passages) {
+  try {
+    const embedder = getEmbeddingProvider();
+    const [claimVector, passageVectors] = await Promise.all([
+      embedder.embedQuery(claim),
+      embedder.embedDocuments(passages.map(passage => passage.text))
+    ]);
+    return passageVectors.map(vector => cosineSimilarity(claimVector, vector));
+  } catch (error) {
+    console.error('   ⚠️  Passage embedding failed, ranking with BM25:', error.message);
+    const scores = new Map(
+      createBM25Index(passages.map((passage, i) => ({ text: passage.text, i })))
+        .search(claim, passages.length)
+        .map(({ document, score }) => [document.i, score])
+    );
+    return passages.map((_, i) => scores.get(i) || 0);
+  }
+}
+
+/**
+ * Replace search results with the passages of their full pages most similar to the claim
+ * Results without full content (or whose page could not be fetched) are kept as they are.
+ *
+ * @param {string} claim - The claim
+ * @param {Array} results - Search results (normalized evidence items)
+ * @param {Object} options - Options
+ * @param {number} options.passagesPerSource - Passages kept per page (default: PASSAGES_PER_SOURCE)
+ * @param {AbortSignal} options.signal - Cancels page fetches
+ * @returns {Promise<Array>} Evidence items in result order; passages carry sectionTitle, offset
+ *   (character position in the page text), passageIndex, totalPassages and passageScore
+ */
+export async function retrievePassages(claim, results, options = {}) {
+  const { passagesPerSource = PASSAGES_PER_SOURCE, signal } = options;
+
+  const withoutRawContent = ({ rawContent, ...result }) => result;
+
+  if (!PASSAGE_RETRIEVAL_ENABLED || results.length === 0) {
+    return results.map(withoutRawContent);
+  }
+
+  const settled = await mapWithConcurrency(results, FETCH_CONCURRENCY, async result => {
+    const text = await getFullText(result, signal);
+    return text ? chunkPage(text) : [];
+  });
+  signal?.throwIfAborted();
+
+  const pages = settled.map((outcome, i) => {
+    if (outcome.status === 'fulfilled') return outcome.value;
+    console.error(`      └─ Could not load full text of ${results[i].url}:`, outcome.reason.message);
+    return [];
+  });
+
+  const allPassages = pages.flat();
+  if (allPassages.length === 0) {
+    return results.map(withoutRawContent);
+  }
+
+  const scores = await scorePassages(claim, allPassages);
+  let scoreIndex = 0;
+
+  const evidence = results.flatMap((result, i) => {
+    const scored = pages[i].map(passage => ({ ...passage, score: scores[scoreIndex++] }));
+    if (scored.length === 0) return [withoutRawContent(result)];
+
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, passagesPerSource)
+      .map(passage => ({
+        ...withoutRawContent(result),
+        snippet: passage.text,
+        sectionTitle: passage.sectionTitle,
+        offset: passage.offset,
+        passageIndex: passage.passageIndex,
+        totalPassages: passage.totalPassages,
+        passageScore: Number(passage.score.toFixed(4))
+      }));
+  });
+
+  console.log(`   📄 Selected ${evidence.length} passages from ${pages.filter(page => page.length > 0).length} full pages`);
+  return evidence;
+}
@@ -0,0 +1,59 @@
+/**
+ * Pipeline Progress Events
+ * Typed events emitted by the verification pipeline as each stage completes
+ */
+
+/**
+ * Event types emitted during verification
+ */
+export const PipelineEvent = {
+  STARTED: 'started',             // Pipeline accepted the claim
+  ANALYSIS: 'analysis',           // Claim analysis (type, temporality, entities)
+  DECOMPOSITION: 'decomposition', // Complex claim split into sub-claims
+  SUB_CLAIM: 'sub_claim',         // One sub-claim finished verification
+  ROUTING: 'routing',             // Strategy selected by the claim router
+  EVIDENCE: 'evidence',           // A batch of evidence from one retrieval source
+  AGENT_STEP: 'agent_step',       // One tool call made by the verification agent
+  TRANSLATION: 'translation',     // Non-English evidence translated to English
+  RERANK: 'rerank',               // Evidence reranked and filtered by relevance
+  STANCE: 'stance',               // Stance breakdown (supports / refutes / neutral / unrelated)
+  CONFLICTS: 'conflicts',         // Pairs of sources disagreeing on the same fact
+  SUFFICIENCY: 'sufficiency',     // Evidence sufficiency score
+  VERDICT: 'verdict',             // Draft verdict before critique
+  CRITIQUE: 'critique',           // Self-critique result and final verdict
+  COMPLETE: 'complete',           // Final result
+  ERROR: 'error'                  // Pipeline failed
+};
+
+/**
+ * Create an emit function bound to an optional progress listener
+ * Listener errors are logged and swallowed so they never break verification
+ * @param {Function} onProgress - Listener receiving { type, data, timestamp }
+ * @returns {Function} emit(type, data)
+ */
+export function createProgressEmitter(onProgress) {
+  return (type, data = {}) => {
+    if (typeof onProgress !== 'function') return;
+
+    try {
+      onProgress({ type, data, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error(`Progress listener failed on "${type}":`, error.message);
+    }
+  };
+}
+
+/**
+ * Compact evidence representation for progress events
+ * @param {Array} evidence - Evidence items
+ * @returns {Array} Items with title, url, source, credibility and the credibility rule id only
+ */
+export function summarizeEvidenceForEvent(evidence = []) {
+  return evidence.map(e => ({
+    title: e.title,
+    url: e.url,
+    source: e.source,
+    credibility: e.credibility,
+    credibilityRule: e.credibilityRule?.id
+  }));
+}
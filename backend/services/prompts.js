@@ -12,7 +12,10 @@ export const ClaimAnalysisSchema = z.object({
   isRecent: z.boolean().describe('Whether the claim is about recent events'),
   keywords: z.array(z.string()).describe('Search keywords for evidence retrieval'),
   temporality: z.enum(['timeless', 'historical', 'recent', 'current']).describe('Temporal classification'),
-  complexity: z.enum(['simple', 'moderate', 'complex']).describe('Claim complexity')
+  complexity: z.enum(['simple', 'moderate', 'complex']).describe('Claim complexity'),
+  language: z.string().describe('ISO 639-1 code of the language the claim is written in (e.g. "en", "hi", "es")'),
+  englishClaim: z.string().describe('The claim translated to English (the claim itself if already English)'),
+  englishEntities: z.array(z.string()).describe('The entities as named in English (e.g. their English Wikipedia titles)')
 });
 
 // Verdict schema
@@ -29,6 +32,56 @@ export const VerdictSchema = z.object({
   contradictions: z.array(z.string()).describe('List of contradicting evidence if any (use empty array if none)')
 });
 
+// Claim extraction schema (article text → check-worthy claims)
+export const ClaimExtractionSchema = z.object({
+  claims: z.array(z.object({
+    claim: z.string().describe('Atomic, self-contained factual claim with pronouns and relative dates resolved'),
+    sourceText: z.string().describe('Exact verbatim span copied from the article that states this claim'),
+    checkWorthiness: z.number().min(0).max(1).describe('How worth fact-checking the claim is (0-1)'),
+    rationale: z.string().describe('Short reason for the check-worthiness score')
+  })).describe('Check-worthy factual claims in order of appearance (use empty array if none)')
+});
+
+// Claim decomposition schema (complex claim → sub-claims)
+export const ClaimDecompositionSchema = z.object({
+  subClaims: z.array(z.object({
+    claim: z.string().describe('Atomic, self-contained sub-claim that can be verified on its own'),
+    aspect: z.string().describe('Which part of the original claim this sub-claim covers')
+  })).describe('Sub-claims that together cover the original claim (2-5 items, or 1 if it cannot be split)')
+});
+
+// Evidence relevance schema (pointwise reranking)
+export const EvidenceRelevanceSchema = z.object({
+  relevance: z.number().min(0).max(1).describe('How directly the passage helps confirm or refute the claim (0-1)'),
+  reason: z.string().describe('One short sentence explaining the score')
+});
+
+// Evidence stance schema (one label per evidence item)
+export const EvidenceStanceSchema = z.object({
+  stances: z.array(z.object({
+    index: z.number().describe('Evidence number (1-based)'),
+    stance: z.enum(['supports', 'refutes', 'neutral', 'unrelated']).describe('Stance of the evidence toward the claim'),
+    rationale: z.string().describe('One short sentence explaining the label')
+  })).describe('One entry per evidence item')
+});
+
+// Conflict confirmation schema (one decision per candidate conflict)
+export const ConflictConfirmationSchema = z.object({
+  decisions: z.array(z.object({
+    candidate: z.number().describe('Candidate number (1-based)'),
+    isConflict: z.boolean().describe('Whether the two excerpts genuinely disagree about the same fact'),
+    explanation: z.string().describe('One short sentence describing the disagreement, or why it is not one')
+  })).describe('One entry per candidate')
+});
+
+// Evidence translation schema (one English text per evidence item)
+export const EvidenceTranslationSchema = z.object({
+  translations: z.array(z.object({
+    index: z.number().describe('Evidence number (1-based)'),
+    text: z.string().describe('English translation, or English summary of the claim-relevant facts for long passages')
+  })).describe('One entry per evidence item')
+});
+
 /**
  * Prompt template for claim analysis
  */
@@ -44,12 +97,81 @@ Analyze the claim and extract:
 - keywords: effective search terms for finding evidence
 - temporality: "timeless" (universal facts), "historical" (past events), "recent" (last 6 months), "current" (last 30 days)
 - complexity: "simple" (single verifiable fact), "moderate" (2-3 related facts), "complex" (multiple interconnected claims)
+- language: ISO 639-1 code of the claim's language ("en", "hi", "es", "fr", ...)
+- englishClaim: the claim translated to English, or the claim unchanged if it is already English
+- englishEntities: the same entities as they are named in English
+
+Write entities and keywords in the claim's own language so they match sources written in it.
 
 Be precise and thorough in your analysis.`
   ],
   ['human', 'Analyze this claim: "{claim}"']
 ]);
 
+/**
+ * Prompt template for extracting check-worthy claims from article text
+ */
+export const claimExtractionPrompt = ChatPromptTemplate.fromMessages([
+  [
+    'system',
+    `You are a claim extraction AI for a fact-checking team. Your job is to find the factual claims in a news article that are worth verifying.
+
+For each claim:
+- claim: rewrite it as ONE atomic, self-contained factual statement that can be verified on its own
+  - Resolve pronouns and references ("he", "the company") to the named entity
+  - Resolve relative dates ("last year", "on Monday") using the publish date when given
+  - Split compound sentences into separate claims
+- sourceText: copy the exact span from the article text that states the claim, character for character (no paraphrasing, no ellipses)
+- checkWorthiness: 0-1 score
+  - 0.8-1.0: specific, verifiable and consequential (statistics, dates, records, attributed quotes, policy facts)
+  - 0.5-0.79: verifiable but less consequential
+  - 0.0-0.49: vague, trivial or not verifiable
+- rationale: one short sentence explaining the score
+
+Do NOT extract opinions, predictions, questions, rhetorical statements or the article's own framing.
+Return an empty array if the text contains no factual claims.`
+  ],
+  [
+    'human',
+    `Article title: {title}
+Article URL: {url}
+Publish date: {publishDate}
+
+Article text:
+{text}
+
+Extract the check-worthy factual claims.`
+  ]
+]);
+
+/**
+ * Prompt template for decomposing complex claims into sub-claims
+ */
+export const claimDecompositionPrompt = ChatPromptTemplate.fromMessages([
+  [
+    'system',
+    `You are a claim decomposition AI. Your job is to split a complex claim into the independent factual sub-claims it asserts, so each can be fact-checked separately.
+
+Rules:
+- Each sub-claim must be atomic: exactly one verifiable fact
+- Each sub-claim must be self-contained: repeat names instead of using pronouns
+- Together the sub-claims must cover everything the original claim asserts, and nothing more
+- Do not add background facts, assumptions or implications that the claim does not state
+- Produce between 2 and 5 sub-claims; if the claim asserts only one fact, return it unchanged as the single item
+
+Example: "X was born in 1950 and became CEO of Y in 2001" →
+1. "X was born in 1950" (birth year)
+2. "X became CEO of Y in 2001" (CEO appointment)`
+  ],
+  [
+    'human',
+    `Claim: "{claim}"
+Key entities: {entities}
+
+Decompose this claim into sub-claims.`
+  ]
+]);
+
 /**
  * Prompt template for claim verification
  */
@@ -65,6 +187,7 @@ CRITICAL RULES:
 4. Consider source credibility (high > medium > low)
 5. Identify and explain contradictions in evidence
 6. Be precise about what is proven vs what is uncertain
+7. Write 'reasoning', citation relevance and 'contradictions' in the language you are asked to answer in; keep the verdict label in English
 
 IMPORTANT: When evidence provides general/biographical information that IMPLIES the claim is true:
 - If the evidence is from a high-credibility source (like Wikipedia) and provides context that strongly supports the claim, consider it valid
@@ -95,10 +218,116 @@ Your analysis must be thorough, balanced, and cite every claim made.`
 Available Evidence:
 {evidence}
 
+Detected Conflicts Between Sources:
+{conflicts}
+
+Where sources conflict, weigh their credibility, say which value you rely on and why, and list the conflict in 'contradictions'.
+
+Answer in: {language}
+
 Verify this claim and provide your complete analysis with citations.`
   ]
 ]);
 
+/**
+ * Prompt template for scoring one evidence passage against a claim (reranking)
+ */
+export const evidenceRelevancePrompt = ChatPromptTemplate.fromMessages([
+  [
+    'system',
+    `You are a search relevance judge for a fact-checking system. Score how useful a passage is for verifying a claim.
+
+Scoring guide:
+- 1.0: The passage directly states facts that confirm or refute the claim
+- 0.7: The passage covers the same event or entities and contains most of the needed facts
+- 0.4: The passage is on the same topic but does not address the specific claim
+- 0.1: The passage only shares a name or keyword with the claim
+- 0.0: The passage is unrelated
+
+Judge relevance only, not whether the claim is true.`
+  ],
+  [
+    'human',
+    `Claim: "{claim}"
+
+Passage title: {title}
+Passage: {passage}
+
+Score the relevance of this passage to the claim.`
+  ]
+]);
+
+/**
+ * Prompt template for labelling the stance of each evidence item toward a claim
+ */
+export const evidenceStancePrompt = ChatPromptTemplate.fromMessages([
+  [
+    'system',
+    `You are a stance analyst for a fact-checking system. For each numbered evidence item, decide its stance toward the claim.
+
+Labels:
+- supports: The evidence states facts that make the claim true
+- refutes: The evidence states facts that contradict the claim (a different date, number, person or outcome counts)
+- neutral: The evidence is about the claim's subject but neither confirms nor contradicts it
+- unrelated: The evidence is about something else
+
+Judge each item only by what it says, not by your own knowledge. Label every item.`
+  ],
+  [
+    'human',
+    `Claim: "{claim}"
+
+Evidence:
+{evidence}
+
+Label the stance of each evidence item.`
+  ]
+]);
+
+/**
+ * Prompt template for confirming rule-detected conflicts between evidence items
+ */
+export const conflictConfirmationPrompt = ChatPromptTemplate.fromMessages([
+  [
+    'system',
+    `You review candidate conflicts found by pattern matching in fact-checking evidence. Each candidate pairs two excerpts from different sources that appear to give different values (a date, a number or who holds a role).
+
+A candidate is a real conflict only if both excerpts describe the same fact and the values cannot both be true.
+It is NOT a conflict when the excerpts describe different events, different measurements, different time periods (e.g. a former versus a current office holder), or when one value is a rounding or a different unit of the other.`
+  ],
+  [
+    'human',
+    `Claim: "{claim}"
+
+Candidates:
+{candidates}
+
+Decide for each candidate whether it is a real conflict.`
+  ]
+]);
+
+/**
+ * Prompt template for translating non-English evidence before verification
+ */
+export const evidenceTranslationPrompt = ChatPromptTemplate.fromMessages([
+  [
+    'system',
+    `You translate fact-checking evidence into English. For each numbered passage, give a faithful English translation.
+If a passage is longer than about 150 words, give instead an English summary of the facts in it that bear on the claim.
+
+Keep names, dates, numbers and quotations exact. Do not add facts, judge the claim or drop details that contradict it. Translate every passage.`
+  ],
+  [
+    'human',
+    `Claim: "{claim}"
+
+Passages:
+{evidence}
+
+Translate each passage into English.`
+  ]
+]);
+
 /**
  * Prompt template for evidence sufficiency assessment
  */
@@ -181,6 +410,37 @@ Validate this result and identify any issues.`
   ]
 ]);
 
+/**
+ * Prompt template for the tool-calling verification agent (first turn of the conversation)
+ */
+export const verificationAgentPrompt = ChatPromptTemplate.fromMessages([
+  [
+    'system',
+    `You are an investigative fact-checking agent. You gather the evidence another model will use to verify a claim; you do not give the verdict yourself.
+
+Work in steps:
+1. Before each tool call, explain in one or two sentences what you are looking for and why
+2. Write your own search queries: short, specific, built around names, places, dates and numbers, not the full claim sentence
+3. Read each result. If a search returns nothing or nothing relevant, reformulate (different terms, the English names, a broader or narrower query) or try another tool
+4. Look for evidence that could contradict the claim as well as evidence that supports it
+5. Prefer the knowledge base and local archive for established facts, current web search for recent events and historical web search for background
+6. Open a page with fetch_url when the claim cites a URL or a search result's snippet lacks the detail you need
+
+You have at most {maxIterations} turns. Stop calling tools as soon as you have credible sources covering every part of the claim, and reply with a short summary of what you found and what is still missing.`
+  ],
+  [
+    'human',
+    `Claim to investigate: "{claim}"
+
+Claim analysis:
+- Type: {type}
+- Temporality: {temporality}
+- Entities: {entities}
+- Keywords: {keywords}
+- Language: {language}{englishClaim}`
+  ]
+]);
+
 /**
  * Helper function to format evidence for prompts
  */
@@ -192,16 +452,24 @@ export function formatEvidenceForPrompt(evidence) {
   return evidence
     .map((e, i) => {
       const parts = [
-        `[${i + 1}] ${e.title}`,
+        `[${i + 1}] ${e.title}${e.sectionTitle ? ` (section: ${e.sectionTitle})` : ''}`,
         `Source: ${e.url}`,
         `Content: ${e.snippet}`,
         `Credibility: ${e.credibility || 'unknown'}`
       ];
       
+      if (e.translatedFrom) {
+        parts.push(`Translated from: ${e.translatedFrom}`);
+      }
+      
       if (e.verdict) {
         parts.push(`Related Verdict: ${e.verdict}`);
       }
       
+      if (e.stance) {
+        parts.push(`Stance (automated): ${e.stance}`);
+      }
+      
       if (e.score) {
         parts.push(`Relevance Score: ${e.score.toFixed(3)}`);
       }
@@ -211,6 +479,26 @@ export function formatEvidenceForPrompt(evidence) {
     .join('\n\n');
 }
 
+/**
+ * Helper function to format detected source conflicts for prompts
+ * Conflicts the LLM has not confirmed are labelled as possible conflicts
+ */
+export function formatConflictsForPrompt(conflicts) {
+  if (!conflicts || conflicts.length === 0) {
+    return 'None detected.';
+  }
+
+  return conflicts
+    .map((c, i) => {
+      const [a, b] = c.evidenceIndices;
+      const [valueA, valueB] = c.values;
+      const explanation = c.explanation ? ` - ${c.explanation}` : '';
+      const label = c.confirmed === true ? c.type : `possible ${c.type} conflict, unconfirmed`;
+      return `${i + 1}. ${label} (${c.fact}): [${a}] says "${valueA}", [${b}] says "${valueB}"${explanation}`;
+    })
+    .join('\n');
+}
+
 /**
  * Helper function to format citations for critique
  */
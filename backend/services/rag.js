@@ -1,50 +1,20 @@
-import { ChatOpenAI } from '@langchain/openai';
 import { searchWeb } from './websearch.js';
-import { similaritySearch, isPineconeAvailable } from './vectordb.js';
+import { similaritySearch, isVectorStoreAvailable } from './vectordb.js';
 import {
   claimAnalysisPrompt,
   verificationPrompt,
   formatEvidenceForPrompt,
+  formatConflictsForPrompt,
   ClaimAnalysisSchema,
   VerdictSchema
 } from './prompts.js';
-
-let llm = null;
-let llmMini = null;
-
-/**
- * Get or create ChatOpenAI instance for main verification (GPT-4o)
- */
-function getLLM() {
-  if (!llm) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    llm = new ChatOpenAI({
-      modelName: 'gpt-4o',
-      temperature: 0.2,
-      openAIApiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return llm;
-}
-
-/**
- * Get or create ChatOpenAI instance for analysis (GPT-4o-mini)
- */
-function getLLMMini() {
-  if (!llmMini) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    llmMini = new ChatOpenAI({
-      modelName: 'gpt-4o-mini',
-      temperature: 0.3,
-      openAIApiKey: process.env.OPENAI_API_KEY
-    });
-  }
-  return llmMini;
-}
+import { LLMRole, getStructuredModel } from './llm-provider.js';
+import { detectConflicts } from './conflict-detector.js';
+import { withCredibility } from './credibility-registry.js';
+import { retrievePassages } from './passage-retrieval.js';
+import { translateEvidence } from './evidence-translation.js';
+import { guessLanguage, normalizeLanguage, getLanguageName } from './language.js';
+import { ApiError, ErrorCode } from '../utils/errors.js';
 
 /**
  * Main RAG pipeline for claim verification with hybrid search
@@ -54,19 +24,33 @@ export async function verifyClaim(claim, options = {}) {
 
   console.log('🔍 Step 1: Analyzing claim...');
   const analysis = await analyzeClaim(claim);
-  console.log(`   └─ Claim type: ${analysis.type}, Entities: ${analysis.entities.join(', ')}`);
+  console.log(`   └─ Claim type: ${analysis.type}, Language: ${analysis.language}, Entities: ${analysis.entities.join(', ')}`);
+
+  // Translated evidence is compared with the English claim
+  const englishClaim = analysis.englishClaim || claim;
 
   console.log('🔎 Step 2: Retrieving evidence (hybrid search)...');
-  const evidence = await retrieveEvidence(claim, analysis, {
+  const retrieved = await retrieveEvidence(claim, analysis, {
     useWebSearch,
     useVectorSearch
   });
-  console.log(`   └─ Found ${evidence.length} sources (${evidence.filter(e => e.source === 'vector').length} from vector DB, ${evidence.filter(e => e.source !== 'vector').length} from web)`);
+  console.log(`   └─ Found ${retrieved.length} sources (${retrieved.filter(e => e.source === 'vector').length} from vector DB, ${retrieved.filter(e => e.source !== 'vector').length} from web)`);
+  const { evidence } = await translateEvidence(englishClaim, retrieved);
+
+  console.log('⚔️  Step 3: Detecting conflicts between sources...');
+  const { conflicts } = await detectConflicts(englishClaim, evidence);
+  console.log(`   └─ Found ${conflicts.length} conflict(s)`);
 
-  console.log('🧠 Step 3: Verifying claim with evidence...');
-  const verification = await verifyWithEvidence(claim, evidence);
+  console.log('🧠 Step 4: Verifying claim with evidence...');
+  const verification = await verifyWithEvidence(claim, evidence, conflicts, analysis.language);
 
-  return verification;
+  return {
+    ...verification,
+    claimAnalysis: analysis,
+    language: analysis.language,
+    conflicts,
+    evidence
+  };
 }
 
 /**
@@ -74,10 +58,8 @@ export async function verifyClaim(claim, options = {}) {
  */
 async function analyzeClaim(claim) {
   try {
-    const model = getLLMMini();
-    
     // Use LangChain's structured output with Zod schema
-    const structuredLLM = model.withStructuredOutput(ClaimAnalysisSchema);
+    const structuredLLM = getStructuredModel(LLMRole.ANALYSIS, ClaimAnalysisSchema);
     
     // Create the chain: prompt | model
     const chain = claimAnalysisPrompt.pipe(structuredLLM);
@@ -85,7 +67,7 @@ async function analyzeClaim(claim) {
     // Invoke the chain
     const result = await chain.invoke({ claim });
     
-    return result;
+    return { ...result, language: normalizeLanguage(result.language) };
   } catch (error) {
     console.error('Error analyzing claim:', error.message);
     return {
@@ -94,7 +76,10 @@ async function analyzeClaim(claim) {
       isRecent: false,
       keywords: [claim],
       temporality: 'timeless',
-      complexity: 'simple'
+      complexity: 'simple',
+      language: guessLanguage(claim),
+      englishClaim: claim,
+      englishEntities: []
     };
   }
 }
@@ -102,14 +87,12 @@ async function analyzeClaim(claim) {
 /**
  * Verify claim against retrieved evidence using LangChain with structured output
  */
-async function verifyWithEvidence(claim, evidence) {
+async function verifyWithEvidence(claim, evidence, conflicts = [], language = 'en') {
   const evidenceText = formatEvidenceForPrompt(evidence);
 
   try {
-    const model = getLLM();
-    
     // Use LangChain's structured output with Zod schema
-    const structuredLLM = model.withStructuredOutput(VerdictSchema);
+    const structuredLLM = getStructuredModel(LLMRole.VERDICT, VerdictSchema);
     
     // Create the chain: prompt | model
     const chain = verificationPrompt.pipe(structuredLLM);
@@ -117,7 +100,9 @@ async function verifyWithEvidence(claim, evidence) {
     // Invoke the chain
     const result = await chain.invoke({
       claim,
-      evidence: evidenceText
+      evidence: evidenceText,
+      conflicts: formatConflictsForPrompt(conflicts),
+      language: getLanguageName(language)
     });
     
     // Enhance citations with full details from evidence
@@ -127,7 +112,9 @@ async function verifyWithEvidence(claim, evidence) {
         return {
           ...citation,
           snippet: evidenceItem?.snippet,
-          credibility: evidenceItem?.credibility
+          credibility: evidenceItem?.credibility,
+          credibilityRule: evidenceItem?.credibilityRule,
+          translatedFrom: evidenceItem?.translatedFrom
         };
       });
     }
@@ -135,7 +122,8 @@ async function verifyWithEvidence(claim, evidence) {
     return result;
   } catch (error) {
     console.error('Error verifying claim:', error.message);
-    throw new Error(`Verification failed: ${error.message}`);
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(ErrorCode.LLM_UNAVAILABLE, `Verification failed: ${error.message}`, null, { cause: error });
   }
 }
 
@@ -148,7 +136,7 @@ async function retrieveEvidence(claim, analysis, options = {}) {
   const evidence = [];
   
   // 1. Search vector database (knowledge base) using LangChain
-  if (useVectorSearch && isPineconeAvailable()) {
+  if (useVectorSearch && isVectorStoreAvailable()) {
     try {
       console.log('   📊 Searching vector database...');
       
@@ -156,15 +144,14 @@ async function retrieveEvidence(claim, analysis, options = {}) {
       const documents = await similaritySearch(claim, 5, null, 'knowledge-base');
       
       for (const doc of documents) {
-        evidence.push({
+        evidence.push(withCredibility({
           title: `Knowledge Base: ${doc.metadata.claim || 'Fact'}`,
           url: doc.metadata.source || 'internal://knowledge-base',
           snippet: doc.metadata.explanation || doc.pageContent,
-          credibility: doc.metadata.credibility || 'high',
           source: 'vector',
           score: doc.metadata.score,
           verdict: doc.metadata.verdict
-        });
+        }));
       }
       
       console.log(`      └─ Found ${documents.length} matches`);
@@ -179,11 +166,15 @@ async function retrieveEvidence(claim, analysis, options = {}) {
       console.log('   🌐 Searching web...');
       const webResults = await searchWeb(claim, analysis.entities, {
         temporality: analysis.temporality,
+        keywords: analysis.keywords,
+        language: analysis.language,
+        english: { claim: analysis.englishClaim, entities: analysis.englishEntities },
         maxResults: 5
       });
+      const passages = await retrievePassages(analysis.englishClaim || claim, webResults);
       
       // Add web results with source tag
-      webResults.forEach(result => {
+      passages.forEach(result => {
         evidence.push({
           ...result,
           source: result.source || 'web'
@@ -242,12 +233,11 @@ function deduplicateEvidence(evidence) {
  */
 async function getMockEvidence(claim) {
   return [
-    {
+    withCredibility({
       title: 'Mock Source 1',
       url: 'https://example.com/source1',
       snippet: 'This is mock evidence for testing purposes.',
-      credibility: 'medium',
       source: 'mock'
-    }
+    })
   ];
 }
@@ -0,0 +1,96 @@
+/**
+ * Rank Fusion
+ * Merges ranked evidence lists from different retrievers (vector, keyword, web)
+ * into one ranking, so an item that several retrievers agree on rises to the top
+ *
+ * Environment:
+ * - FUSION_METHOD: Overrides the strategy's method ('rrf' or 'weighted')
+ * - RRF_K: Reciprocal rank fusion constant (default: 60)
+ */
+
+export const FusionMethod = {
+  RRF: 'rrf',            // Reciprocal rank fusion: sum of weight / (k + rank)
+  WEIGHTED: 'weighted'   // Weighted sum of min-max normalized retriever scores
+};
+
+const DEFAULT_RRF_K = parseInt(process.env.RRF_K || '60', 10);
+
+/**
+ * Resolve the fusion method: FUSION_METHOD, else the requested method, else RRF
+ * @param {string} method - Method requested by the strategy
+ * @returns {string} One of FusionMethod
+ */
+export function getFusionMethod(method) {
+  const resolved = process.env.FUSION_METHOD || method;
+  return Object.values(FusionMethod).includes(resolved) ? resolved : FusionMethod.RRF;
+}
+
+/**
+ * Key identifying the same evidence across lists
+ */
+function evidenceKey(item) {
+  return item.url + '::' + (item.snippet || '').substring(0, 100);
+}
+
+/**
+ * Normalize a list's scores to 0-1
+ * Lists without scores (e.g. web results) fall back to rank position
+ */
+function normalizedScores(items) {
+  const scores = items.map(item => item.score);
+
+  if (scores.some(score => typeof score !== 'number')) {
+    return items.map((_, i) => 1 - i / items.length);
+  }
+
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  return scores.map(score => (max > min ? (score - min) / (max - min) : 1));
+}
+
+/**
+ * Fuse ranked evidence lists
+ * Duplicates within and across lists are merged; the first occurrence keeps its fields.
+ *
+ * @param {Object} lists - Retriever name -> evidence items in rank order, e.g. { vector, keyword, web }
+ * @param {Object} options - Fusion options
+ * @param {string} options.method - One of FusionMethod (default: RRF; FUSION_METHOD takes precedence)
+ * @param {Object} options.weights - Retriever name -> weight (default: 1 for every list)
+ * @param {number} options.k - RRF constant (default: RRF_K or 60)
+ * @returns {Array} Unique items sorted by fusedScore, each with
+ *   fusedScore and ranks ({ [retriever]: 1-based rank })
+ */
+export function fuseRankedLists(lists, options = {}) {
+  const { weights = {}, k = DEFAULT_RRF_K } = options;
+  const method = getFusionMethod(options.method);
+
+  const fused = new Map();
+
+  for (const [retriever, items] of Object.entries(lists)) {
+    const weight = weights[retriever] ?? 1;
+    const scores = method === FusionMethod.WEIGHTED ? normalizedScores(items) : null;
+
+    items.forEach((item, i) => {
+      const key = evidenceKey(item);
+      const rank = i + 1;
+      let entry = fused.get(key);
+
+      if (!entry) {
+        entry = { ...item, fusedScore: 0, ranks: {} };
+        fused.set(key, entry);
+      }
+
+      // Only the best rank per retriever counts
+      if (entry.ranks[retriever]) return;
+      entry.ranks[retriever] = rank;
+
+      entry.fusedScore += method === FusionMethod.WEIGHTED
+        ? weight * scores[i]
+        : weight / (k + rank);
+    });
+  }
+
+  return [...fused.values()]
+    .map(entry => ({ ...entry, fusedScore: Number(entry.fusedScore.toFixed(6)) }))
+    .sort((a, b) => b.fusedScore - a.fusedScore);
+}
@@ -0,0 +1,156 @@
+/**
+ * Evidence Reranker
+ * Scores each retrieved evidence item for relevance to the claim (0-1), drops
+ * items below a threshold and orders the rest by score before verdict generation
+ *
+ * Environment:
+ * - RERANKER: 'llm' (pointwise LLM judge), 'lexical' (offline term overlap) or 'none'
+ *   (default: 'llm' when OPENAI_API_KEY or LLM_BASE_URL is set, otherwise 'lexical')
+ * - RERANK_THRESHOLD: Minimum relevance to keep an item (default: reranker-specific)
+ * - RERANK_CONCURRENCY: Parallel LLM scoring calls (default: 4)
+ */
+
+import { tokenize } from '../utils/bm25.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { evidenceRelevancePrompt, EvidenceRelevanceSchema } from './prompts.js';
+import { LLMRole, getStructuredModel } from './llm-provider.js';
+
+const RERANK_CONCURRENCY = parseInt(process.env.RERANK_CONCURRENCY || '4', 10);
+
+// Longest passage sent to the LLM judge
+const MAX_PASSAGE_LENGTH = 2000;
+
+/**
+ * Rerankers: { defaultThreshold, scoreAll(claim, evidence, { signal }) => Promise<Array<{ score, reason } | null>> }
+ * defaultThreshold is the cut-off each reranker's scores are calibrated for
+ */
+const rerankers = new Map();
+
+/**
+ * Register a reranker
+ * @param {string} name - Reranker name used in RERANKER
+ * @param {Object} reranker - { defaultThreshold, scoreAll(claim, evidence, options) }
+ */
+export function registerReranker(name, reranker) {
+  rerankers.set(name, reranker);
+}
+
+registerReranker('lexical', {
+  defaultThreshold: 0.1,
+  async scoreAll(claim, evidence) {
+    return evidence.map(item => ({ score: lexicalRelevance(claim, `${item.title || ''} ${item.snippet || ''}`) }));
+  }
+});
+
+registerReranker('llm', {
+  defaultThreshold: 0.3,
+  async scoreAll(claim, evidence, { signal } = {}) {
+    const chain = evidenceRelevancePrompt.pipe(getStructuredModel(LLMRole.RERANK, EvidenceRelevanceSchema));
+
+    const settled = await mapWithConcurrency(evidence, RERANK_CONCURRENCY, item => chain.invoke({
+      claim,
+      title: item.title || 'Untitled',
+      passage: (item.snippet || '').substring(0, MAX_PASSAGE_LENGTH)
+    }, { signal }));
+
+    signal?.throwIfAborted();
+
+    return settled.map((outcome, i) => {
+      if (outcome.status === 'fulfilled') {
+        return { score: outcome.value.relevance, reason: outcome.value.reason };
+      }
+      console.error(`      └─ Could not score evidence [${i + 1}]:`, outcome.reason.message);
+      return null;
+    });
+  }
+});
+
+/**
+ * Name of the configured reranker
+ */
+export function getRerankerName() {
+  if (process.env.RERANKER) return process.env.RERANKER;
+  return process.env.OPENAI_API_KEY || process.env.LLM_BASE_URL ? 'llm' : 'lexical';
+}
+
+/**
+ * Share of the claim's terms (and adjacent term pairs) found in the text
+ * Numbers count double since dates and figures usually decide a claim
+ */
+function lexicalRelevance(claim, text) {
+  const claimTerms = tokenize(claim);
+  if (claimTerms.length === 0) return 0;
+
+  const textTerms = tokenize(text);
+  const textSet = new Set(textTerms);
+  const textPairs = new Set(textTerms.slice(1).map((term, i) => `${textTerms[i]} ${term}`));
+
+  const weight = term => (/\d/.test(term) ? 2 : 1);
+  const uniqueTerms = [...new Set(claimTerms)];
+  const totalWeight = uniqueTerms.reduce((sum, term) => sum + weight(term), 0);
+  const matchedWeight = uniqueTerms.filter(term => textSet.has(term)).reduce((sum, term) => sum + weight(term), 0);
+  const termCoverage = matchedWeight / totalWeight;
+
+  const claimPairs = claimTerms.slice(1).map((term, i) => `${claimTerms[i]} ${term}`);
+  const pairCoverage = claimPairs.length > 0
+    ? claimPairs.filter(pair => textPairs.has(pair)).length / claimPairs.length
+    : termCoverage;
+
+  return 0.7 * termCoverage + 0.3 * pairCoverage;
+}
+
+/**
+ * Rerank evidence by relevance to the claim
+ * Items that could not be scored are kept after the scored ones. If the
+ * reranker fails entirely, the evidence is returned in its original order.
+ *
+ * @param {string} claim - The claim
+ * @param {Array} evidence - Retrieved evidence items
+ * @param {Object} options - Rerank options
+ * @param {number} options.threshold - Minimum relevance (default: RERANK_THRESHOLD or the reranker's default)
+ * @param {AbortSignal} options.signal - Cancels in-flight scoring calls
+ * @returns {Promise<Object>} { evidence, reranker, threshold, dropped }; kept items carry rerankScore
+ *   (and rerankReason for the LLM reranker)
+ */
+export async function rerankEvidence(claim, evidence, options = {}) {
+  const name = getRerankerName();
+  const reranker = rerankers.get(name);
+
+  if (name === 'none' || evidence.length === 0) {
+    return { evidence, reranker: name, threshold: null, dropped: 0 };
+  }
+
+  if (!reranker) {
+    console.warn(`⚠️  Unknown reranker "${name}", skipping reranking`);
+    return { evidence, reranker: null, threshold: null, dropped: 0 };
+  }
+
+  const envThreshold = process.env.RERANK_THRESHOLD ? parseFloat(process.env.RERANK_THRESHOLD) : undefined;
+  const { threshold = envThreshold ?? reranker.defaultThreshold, signal } = options;
+
+  let scores;
+  try {
+    scores = await reranker.scoreAll(claim, evidence, { signal });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error(`   ⚠️  Reranking (${name}) failed, keeping retrieval order:`, error.message);
+    return { evidence, reranker: name, threshold, dropped: 0 };
+  }
+
+  const scored = evidence.map((item, i) => {
+    const result = scores[i];
+    if (!result) return { ...item, rerankScore: null };
+
+    return {
+      ...item,
+      rerankScore: Number(result.score.toFixed(3)),
+      ...(result.reason ? { rerankReason: result.reason } : {})
+    };
+  });
+
+  const kept = scored
+    .filter(item => item.rerankScore === null || item.rerankScore >= threshold)
+    .sort((a, b) => (b.rerankScore ?? -1) - (a.rerankScore ?? -1));
+
+  return { evidence: kept, reranker: name, threshold, dropped: scored.length - kept.length };
+}
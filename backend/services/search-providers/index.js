@@ -0,0 +1,115 @@
+/**
+ * Search provider registry
+ * Every provider implements: isAvailable() and search(request, options), where
+ * request is { text, query, terms, keywords, language, english } and options is { temporality, maxResults, signal }:
+ * - text: The claim or question as written (for full-text engines)
+ * - query: The primary search term, e.g. the main entity (for title lookups)
+ * - terms: All cleaned entities (or keywords from the claim when there are none)
+ * - keywords: Keywords from claim analysis, if any
+ * - language: ISO 639-1 code of the claim's language
+ * - english: { text, terms } for the English version of a non-English claim, otherwise null
+ *
+ * Environment:
+ * - SEARCH_PROVIDERS: Comma-separated provider priority for every temporality
+ * - SEARCH_PROVIDERS_<TEMPORALITY>: Priority for one temporality (CURRENT, RECENT, HISTORICAL, TIMELESS)
+ * - SEARCH_MODE: 'cascade' (first provider with results wins, default) or 'merge' (query all, merge results)
+ */
+
+import { wikipediaProvider } from './wikipedia.js';
+import { tavilyProvider } from './tavily.js';
+import { searxngProvider } from './searxng.js';
+import { localCorpusProvider } from './local-corpus.js';
+import { withCredibility } from '../credibility-registry.js';
+
+// Provider order per temporality when no SEARCH_PROVIDERS* override is set
+const DEFAULT_PRIORITY = {
+  current: ['tavily', 'searxng', 'wikipedia'],
+  recent: ['tavily', 'searxng', 'wikipedia'],
+  historical: ['wikipedia', 'searxng'],
+  timeless: ['wikipedia', 'searxng']
+};
+
+const providers = new Map();
+
+/**
+ * Register a search provider
+ * @param {string} name - Provider name used in SEARCH_PROVIDERS*
+ * @param {Object} provider - { isAvailable(), search(request, options) }
+ */
+export function registerSearchProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+registerSearchProvider('wikipedia', wikipediaProvider);
+registerSearchProvider('tavily', tavilyProvider);
+registerSearchProvider('searxng', searxngProvider);
+registerSearchProvider('local-corpus', localCorpusProvider);
+
+/**
+ * Get a registered provider by name
+ */
+export function getSearchProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Search mode: 'cascade' or 'merge' (SEARCH_MODE)
+ */
+export function getSearchMode() {
+  return process.env.SEARCH_MODE === 'merge' ? 'merge' : 'cascade';
+}
+
+/**
+ * Provider names to try for a temporality, in priority order
+ * Unknown names are skipped with a warning
+ *
+ * @param {string} temporality - 'current', 'recent', 'historical' or 'timeless'
+ * @returns {string[]}
+ */
+export function getProviderPriority(temporality = 'recent') {
+  const configured = process.env[`SEARCH_PROVIDERS_${temporality.toUpperCase()}`] || process.env.SEARCH_PROVIDERS;
+  const names = configured
+    ? configured.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_PRIORITY[temporality] || DEFAULT_PRIORITY.recent;
+
+  return names.filter(name => {
+    if (providers.has(name)) return true;
+    console.warn(`⚠️  Unknown search provider "${name}" in search priority, skipping`);
+    return false;
+  });
+}
+
+/**
+ * Normalize a provider result to the evidence shape
+ * Providers may add extra fields (score, sourceType, ...), which are kept.
+ * Credibility always comes from the source credibility registry.
+ *
+ * @param {Object} result - Raw provider result
+ * @param {string} source - Source label used when the result has none
+ * @returns {Object} { title, url, snippet, credibility, credibilityRule, source, publishedDate, ... }
+ */
+export function normalizeSearchResult(result, source) {
+  return withCredibility({
+    ...result,
+    title: result.title || result.url || 'Untitled',
+    url: result.url || '',
+    snippet: (result.snippet || result.content || '').trim() || 'No description available.',
+    source: result.source || source,
+    publishedDate: result.publishedDate || null
+  });
+}
+
+/**
+ * Describe providers, their availability and the configured priority (no secrets)
+ */
+export function describeSearchProviders() {
+  return {
+    mode: getSearchMode(),
+    providers: Object.fromEntries(
+      [...providers].map(([name, provider]) => [name, { available: provider.isAvailable() }])
+    ),
+    priority: Object.fromEntries(
+      Object.keys(DEFAULT_PRIORITY).map(temporality => [temporality, getProviderPriority(temporality)])
+    )
+  };
+}
@@ -0,0 +1,18 @@
+/**
+ * Local corpus search provider
+ * BM25 search over LOCAL_CORPUS_DIR (see services/local-corpus.js)
+ */
+
+import { searchLocalCorpus, isLocalCorpusEnabled } from '../local-corpus.js';
+
+export const localCorpusProvider = {
+  isAvailable() {
+    return isLocalCorpusEnabled();
+  },
+
+  async search({ text }, { maxResults = 5 } = {}) {
+    const results = await searchLocalCorpus(text, { topK: maxResults });
+    console.log(`   └─ Found ${results.length} local corpus results`);
+    return results;
+  }
+};
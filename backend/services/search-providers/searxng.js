@@ -0,0 +1,63 @@
+/**
+ * SearXNG search provider
+ * Works with any endpoint that implements the SearXNG JSON API (GET /search?format=json)
+ *
+ * Environment:
+ * - SEARXNG_URL: Base URL of the instance, e.g. http://localhost:8888
+ * - SEARXNG_ENGINES: Optional comma-separated engine list
+ *
+ * Results are requested in the claim's language.
+ */
+
+import { ApiError, ErrorCode } from '../../utils/errors.js';
+
+// SearXNG category and time range per temporality
+const TEMPORALITY_PARAMS = {
+  current: { categories: 'news', time_range: 'day' },
+  recent: { categories: 'news', time_range: 'month' },
+  historical: { categories: 'general' },
+  timeless: { categories: 'general' }
+};
+
+export const searxngProvider = {
+  isAvailable() {
+    return Boolean(process.env.SEARXNG_URL);
+  },
+
+  async search({ text, language }, { temporality = 'recent', maxResults = 5, signal } = {}) {
+    const url = new URL('search', process.env.SEARXNG_URL.replace(/\/?$/, '/'));
+    const params = { q: text, format: 'json', ...(TEMPORALITY_PARAMS[temporality] || TEMPORALITY_PARAMS.recent) };
+    if (process.env.SEARXNG_ENGINES) {
+      params.engines = process.env.SEARXNG_ENGINES;
+    }
+    if (language) {
+      params.language = language;
+    }
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+
+    try {
+      const response = await fetch(url, { signal, headers: { Accept: 'application/json' } });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const data = await response.json();
+
+      const results = (data.results || []).slice(0, maxResults).map(result => ({
+        title: result.title,
+        url: result.url,
+        snippet: result.content || '',
+        score: result.score || 0,
+        publishedDate: result.publishedDate || null,
+        source: 'SearXNG',
+        engine: result.engine
+      }));
+
+      console.log(`   └─ Found ${results.length} SearXNG results`);
+      return results;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error('SearXNG search error:', error.message);
+      throw new ApiError(ErrorCode.SEARCH_FAILED, `SearXNG search failed: ${error.message}`, null, { cause: error });
+    }
+  }
+};
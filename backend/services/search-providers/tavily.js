@@ -0,0 +1,28 @@
+/**
+ * Tavily search provider
+ * News domains for current and recent claims, encyclopedic domains otherwise.
+ * Full page content is requested so passage retrieval can search beyond the snippet.
+ */
+
+import { searchTavilyNews, searchTavilyHistorical, isTavilyAvailable } from '../tavily-search.js';
+
+// Tavily time filter per temporality (news searches only)
+const TIME_FILTERS = {
+  current: '7d',
+  recent: '30d'
+};
+
+export const tavilyProvider = {
+  isAvailable() {
+    return isTavilyAvailable();
+  },
+
+  async search({ text }, { temporality = 'recent', maxResults = 5, signal } = {}) {
+    const timeFilter = TIME_FILTERS[temporality];
+    const results = timeFilter
+      ? await searchTavilyNews(text, { maxResults, timeFilter, includeRawContent: true, signal })
+      : await searchTavilyHistorical(text, { maxResults, includeRawContent: true, signal });
+
+    return results;
+  }
+};
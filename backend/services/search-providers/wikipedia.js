@@ -0,0 +1,207 @@
+/**
+ * Wikipedia search provider
+ * Full-text search (list=search) for all entities and keywords together plus one
+ * query per entity, run in parallel; pages are merged by reciprocal rank fusion
+ * and returned with their intro and the matched search snippet.
+ * Claims in other languages search that language's Wikipedia with the original
+ * terms and English Wikipedia with the English ones.
+ *
+ * Environment:
+ * - WIKIPEDIA_RESULTS_PER_QUERY: Pages requested per search query (default: 5)
+ */
+
+import { ApiError, ErrorCode } from '../../utils/errors.js';
+import { htmlToText } from '../../utils/html.js';
+import { fuseRankedLists, FusionMethod } from '../rank-fusion.js';
+import { DEFAULT_LANGUAGE } from '../language.js';
+
+const RESULTS_PER_QUERY = parseInt(process.env.WIKIPEDIA_RESULTS_PER_QUERY || '5', 10);
+
+// The combined query names every entity, so its ranking counts double
+const COMBINED_QUERY_WEIGHT = 2;
+
+export const wikipediaProvider = {
+  isAvailable() {
+    return true;
+  },
+
+  async search({ text, terms = [], keywords = [], language = DEFAULT_LANGUAGE, english = null }, { maxResults = 5, signal } = {}) {
+    if (language === DEFAULT_LANGUAGE || !english) {
+      return searchWikipedia({ text, terms, keywords }, { language: DEFAULT_LANGUAGE, maxResults, signal });
+    }
+
+    const settled = await Promise.allSettled([
+      searchWikipedia({ text, terms, keywords }, { language, maxResults, signal }),
+      searchWikipedia({ text: english.text, terms: english.terms, keywords: [] }, { language: DEFAULT_LANGUAGE, maxResults, signal })
+    ]);
+    signal?.throwIfAborted();
+
+    if (settled.every(outcome => outcome.status === 'rejected')) {
+      throw settled[0].reason;
+    }
+
+    const [native, inEnglish] = settled.map(outcome => outcome.status === 'fulfilled' ? outcome.value : []);
+    return interleave(native, inEnglish).slice(0, maxResults);
+  }
+};
+
+/**
+ * Base URL of a language edition, e.g. https://es.wikipedia.org
+ */
+function siteUrl(language) {
+  return `https://${language}.wikipedia.org`;
+}
+
+/**
+ * Alternate items of two lists, starting with the first
+ */
+function interleave(first, second) {
+  const merged = [];
+  for (let i = 0; i < Math.max(first.length, second.length); i++) {
+    if (i < first.length) merged.push(first[i]);
+    if (i < second.length) merged.push(second[i]);
+  }
+  return merged;
+}
+
+/**
+ * Build the search queries: every entity and keyword together, then each entity alone
+ * @returns {Array<{ name, query, weight }>}
+ */
+function buildQueries({ text, terms, keywords }) {
+  const combinedTerms = [...new Set([...terms, ...keywords].map(term => term.trim()).filter(Boolean))];
+  const queries = [{ name: 'combined', query: combinedTerms.join(' ') || text, weight: COMBINED_QUERY_WEIGHT }];
+
+  for (const term of new Set(terms)) {
+    if (term && term !== queries[0].query) {
+      queries.push({ name: term, query: term, weight: 1 });
+    }
+  }
+
+  return queries;
+}
+
+/**
+ * Run one full-text search query
+ * @returns {Promise<Array>} Pages in rank order: { title, url, pageTitle, searchSnippet }
+ */
+async function runSearchQuery(query, { language, signal } = {}) {
+  const searchUrl = `${siteUrl(language)}/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(query)}&srlimit=${RESULTS_PER_QUERY}&srprop=snippet&format=json&origin=*`;
+
+  const response = await fetch(searchUrl, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const data = await response.json();
+
+  return (data.query?.search || []).map(page => ({
+    title: page.title,
+    url: `${siteUrl(language)}/wiki/${encodeURIComponent(page.title.replace(/ /g, '_'))}`,
+    pageTitle: page.title,
+    searchSnippet: htmlToText(page.snippet || '')
+  }));
+}
+
+/**
+ * Search one language edition of Wikipedia for pages about the claim's entities
+ */
+async function searchWikipedia(request, { language = DEFAULT_LANGUAGE, maxResults = 5, signal } = {}) {
+  const queries = buildQueries(request);
+  console.log(`   └─ Wikipedia (${language}) queries: ${queries.map(q => `"${q.query}"`).join(', ')}`);
+
+  const settled = await Promise.allSettled(queries.map(q => runSearchQuery(q.query, { language, signal })));
+  signal?.throwIfAborted();
+
+  const lists = {};
+  const failures = [];
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'fulfilled') {
+      lists[queries[i].name] = outcome.value;
+    } else {
+      console.error(`   └─ Wikipedia (${language}) query "${queries[i].query}" failed:`, outcome.reason.message);
+      failures.push(outcome.reason);
+    }
+  });
+
+  if (failures.length === queries.length) {
+    const [error] = failures;
+    throw new ApiError(ErrorCode.SEARCH_FAILED, `Wikipedia (${language}) search failed: ${error.message}`, null, { cause: error });
+  }
+
+  // Pages several queries agree on rise to the top
+  const pages = fuseRankedLists(lists, {
+    method: FusionMethod.RRF,
+    weights: Object.fromEntries(queries.map(q => [q.name, q.weight]))
+  }).slice(0, maxResults);
+
+  if (pages.length === 0) {
+    console.log(`   └─ Found 0 Wikipedia (${language}) results`);
+    return [];
+  }
+
+  // Fetch the intro of each page
+  const results = await Promise.all(pages.map(async page => {
+    const extract = await getWikipediaExtract(page.pageTitle, { language, signal });
+    return {
+      title: page.title,
+      url: page.url,
+      snippet: extract || page.searchSnippet || 'No description available.',
+      searchSnippet: page.searchSnippet,
+      source: 'Wikipedia',
+      pageTitle: page.pageTitle,
+      language,
+      matchedQueries: Object.keys(page.ranks).map(name => queries.find(q => q.name === name).query)
+    };
+  }));
+
+  console.log(`   └─ Found ${results.length} Wikipedia (${language}) results`);
+  return results;
+}
+
+/**
+ * Get the full plain text of a Wikipedia page
+ * Section headings are kept as "== Heading ==" lines (=== for subsections)
+ *
+ * @param {string} pageTitle - Page title as returned by search
+ * @param {Object} options - Options
+ * @param {string} options.language - Language edition the page belongs to (default: 'en')
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<string|null>} Page text, or null if the page has none
+ */
+export async function getWikipediaPageText(pageTitle, { language = DEFAULT_LANGUAGE, signal } = {}) {
+  const encodedTitle = encodeURIComponent(pageTitle);
+  const pageUrl = `${siteUrl(language)}/w/api.php?action=query&format=json&prop=extracts&explaintext=true&exsectionformat=wiki&redirects=1&titles=${encodedTitle}&origin=*`;
+
+  const response = await fetch(pageUrl, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const data = await response.json();
+
+  const pages = data.query?.pages || {};
+  return Object.values(pages)[0]?.extract || null;
+}
+
+/**
+ * Get Wikipedia page extract (first few sentences)
+ */
+async function getWikipediaExtract(pageTitle, { language, signal } = {}) {
+  try {
+    const encodedTitle = encodeURIComponent(pageTitle);
+    const extractUrl = `${siteUrl(language)}/w/api.php?action=query&format=json&prop=extracts&exintro=true&explaintext=true&titles=${encodedTitle}&origin=*`;
+
+    const response = await fetch(extractUrl, { signal });
+    const data = await response.json();
+
+    const pages = data.query.pages;
+    const pageId = Object.keys(pages)[0];
+    const extract = pages[pageId].extract;
+
+    // Return first 500 characters
+    return extract ? extract.substring(0, 500) + '...' : null;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error(`Error fetching Wikipedia extract: ${error.message}`);
+    return null;
+  }
+}
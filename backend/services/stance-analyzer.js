@@ -0,0 +1,95 @@
+/**
+ * Stance Analyzer
+ * Labels each evidence item as supporting, refuting, neutral or unrelated to the claim,
+ * so sufficiency assessment and the UI know which sources back the claim and which contradict it
+ *
+ * Environment:
+ * - STANCE_ANALYSIS_ENABLED: Set to 'false' to skip stance labelling
+ */
+
+import { evidenceStancePrompt, EvidenceStanceSchema, formatEvidenceForPrompt } from './prompts.js';
+import { LLMRole, getStructuredModel } from './llm-provider.js';
+
+export const Stance = {
+  SUPPORTS: 'supports',
+  REFUTES: 'refutes',
+  NEUTRAL: 'neutral',
+  UNRELATED: 'unrelated'
+};
+
+const STANCE_ENABLED = process.env.STANCE_ANALYSIS_ENABLED !== 'false';
+
+/**
+ * Check whether stance analysis is enabled (STANCE_ANALYSIS_ENABLED)
+ */
+export function isStanceAnalysisEnabled() {
+  return STANCE_ENABLED;
+}
+
+/**
+ * Label the stance of every evidence item toward the claim
+ * If the model fails, items are returned without a stance rather than failing verification.
+ *
+ * @param {string} claim - The claim
+ * @param {Array} evidence - Evidence items
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the LLM call
+ * @returns {Promise<Array>} Evidence items with stance and stanceRationale (null when unknown)
+ */
+export async function analyzeStances(claim, evidence, options = {}) {
+  const { signal } = options;
+
+  if (!STANCE_ENABLED || evidence.length === 0) {
+    return evidence;
+  }
+
+  try {
+    const chain = evidenceStancePrompt.pipe(getStructuredModel(LLMRole.STANCE, EvidenceStanceSchema));
+    const { stances } = await chain.invoke({
+      claim,
+      evidence: formatEvidenceForPrompt(evidence)
+    }, { signal });
+
+    const byIndex = new Map(stances.map(entry => [entry.index, entry]));
+
+    return evidence.map((item, i) => {
+      const entry = byIndex.get(i + 1);
+      return {
+        ...item,
+        stance: entry?.stance || null,
+        stanceRationale: entry?.rationale || null
+      };
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.error('   ⚠️  Stance analysis failed:', error.message);
+    return evidence.map(item => ({ ...item, stance: null, stanceRationale: null }));
+  }
+}
+
+/**
+ * Count evidence items per stance
+ * @param {Array} evidence - Evidence items (with stance)
+ * @returns {Object} { supports, refutes, neutral, unrelated, unknown }
+ */
+export function summarizeStances(evidence = []) {
+  const breakdown = { supports: 0, refutes: 0, neutral: 0, unrelated: 0, unknown: 0 };
+
+  for (const item of evidence) {
+    breakdown[Object.values(Stance).includes(item.stance) ? item.stance : 'unknown']++;
+  }
+
+  return breakdown;
+}
+
+/**
+ * Add up stance breakdowns (e.g. across sub-claims)
+ */
+export function mergeStanceBreakdowns(breakdowns) {
+  return breakdowns.reduce((total, breakdown) => {
+    for (const [stance, count] of Object.entries(breakdown || {})) {
+      total[stance] = (total[stance] || 0) + count;
+    }
+    return total;
+  }, summarizeStances([]));
+}
@@ -34,8 +34,10 @@ export function isTavilyAvailable() {
  * @param {string} options.searchDepth - 'basic' or 'advanced' (default: 'basic')
  * @param {string} options.timeFilter - Time range: '1d', '7d', '30d', '1y' (default: '30d')
  * @param {boolean} options.includeAnswer - Include AI-generated answer (default: false)
+ * @param {boolean} options.includeRawContent - Include each page's full content as markdown (default: false)
  * @param {string[]} options.includeDomains - Filter to specific domains
  * @param {string[]} options.excludeDomains - Exclude specific domains
+ * @param {AbortSignal} options.signal - Cancels the search; aborts are rethrown rather than returning []
  * @returns {Promise<Array>} Search results with title, url, snippet, and metadata
  */
 export async function searchTavily(query, options = {}) {
@@ -44,8 +46,10 @@ export async function searchTavily(query, options = {}) {
     searchDepth = 'basic',
     timeFilter = '30d',
     includeAnswer = false,
+    includeRawContent = false,
     includeDomains = [],
-    excludeDomains = []
+    excludeDomains = [],
+    signal
   } = options;
 
   // Check if Tavily is available
@@ -64,7 +68,7 @@ export async function searchTavily(query, options = {}) {
       maxResults,
       searchDepth,
       includeAnswer,
-      includeRawContent: false,
+      includeRawContent: includeRawContent ? 'markdown' : false,
       includeImages: false
     };
 
@@ -82,7 +86,7 @@ export async function searchTavily(query, options = {}) {
     }
 
     // Perform the search - pass query as first argument, options as second
-    const response = await client.search(query, requestOptions);
+    const response = await abortable(() => client.search(query, requestOptions), signal);
     
     // Parse and format results
     const results = (response.results || []).map((result, idx) => ({
@@ -91,7 +95,7 @@ export async function searchTavily(query, options = {}) {
       snippet: result.content || result.snippet || '',
       score: result.score || 0,
       publishedDate: result.publishedDate || null,
-      credibility: calculateCredibility(result),
+      rawContent: result.rawContent || null,
       source: 'Tavily',
       sourceType: 'news'
     }));
@@ -105,14 +109,31 @@ export async function searchTavily(query, options = {}) {
 
     return results;
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('❌ Tavily search error:', error.message);
     return [];
   }
 }
 
+/**
+ * Run a request, rejecting as soon as the signal aborts
+ * The Tavily client cannot take a signal, so an aborted request is abandoned rather than cancelled.
+ */
+async function abortable(request, signal) {
+  if (!signal) return request();
+  signal.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    request().then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
 /**
  * Search Tavily specifically for news articles
  * Focuses on news domains and recent content
+ * Accepts the same options as searchTavily, including signal
  */
 export async function searchTavilyNews(query, options = {}) {
   const newsOptions = {
@@ -140,6 +161,7 @@ export async function searchTavilyNews(query, options = {}) {
 /**
  * Search Tavily for historical or encyclopedic information
  * Focuses on authoritative sources like Wikipedia, educational sites
+ * Accepts the same options as searchTavily, including signal
  */
 export async function searchTavilyHistorical(query, options = {}) {
   const historicalOptions = {
@@ -165,33 +187,6 @@ export async function searchTavilyHistorical(query, options = {}) {
   return searchTavily(query, historicalOptions);
 }
 
-/**
- * Calculate credibility score based on source characteristics
- */
-function calculateCredibility(result) {
-  const url = result.url?.toLowerCase() || '';
-  const score = result.score || 0;
-
-  // High credibility sources
-  if (url.includes('wikipedia.org') || 
-      url.includes('.gov') || 
-      url.includes('.edu') ||
-      url.includes('reuters.com') ||
-      url.includes('apnews.com') ||
-      url.includes('bbc.com')) {
-    return 'high';
-  }
-
-  // Medium credibility based on score
-  if (score > 0.7) {
-    return 'high';
-  } else if (score > 0.5) {
-    return 'medium';
-  } else {
-    return 'low';
-  }
-}
-
 /**
  * Parse time filter string to number of days
  */
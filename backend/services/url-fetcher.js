@@ -0,0 +1,389 @@
+/**
+ * URL Fetcher
+ * Downloads a single web page for the verification agent and extracts its readable text.
+ * Requests only reach public addresses: host names are checked before the request and
+ * every resolved address is checked again at connect time (for redirects too), so private,
+ * loopback, link-local and cloud metadata addresses are refused even if DNS changes.
+ * Extracted pages are cached, with a limit per domain and one for the whole cache.
+ *
+ * Environment:
+ * - FETCH_URL_TIMEOUT_MS: Time limit per page, redirects included (default: 10000)
+ * - FETCH_URL_MAX_BYTES: Largest page body accepted, after decompression (default: 2000000)
+ * - FETCH_URL_MAX_REDIRECTS: Redirects followed (default: 5)
+ * - FETCH_URL_MAX_HTML_CHARS: HTML passed to text extraction; the rest of the page is ignored (default: 500000)
+ * - FETCH_URL_CACHE_TTL_MS: How long an extracted page is reused (default: 900000)
+ * - FETCH_URL_CACHE_PER_DOMAIN: Pages cached per domain (default: 20)
+ * - FETCH_URL_CACHE_MAX_BYTES: Total size of cached page text (default: 50000000)
+ */
+
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import { extractReadableText } from '../utils/html.js';
+import { ApiError, ErrorCode } from '../utils/errors.js';
+
+const TIMEOUT_MS = parseInt(process.env.FETCH_URL_TIMEOUT_MS || '10000', 10);
+const MAX_BYTES = parseInt(process.env.FETCH_URL_MAX_BYTES || '2000000', 10);
+const MAX_REDIRECTS = parseInt(process.env.FETCH_URL_MAX_REDIRECTS || '5', 10);
+const MAX_HTML_CHARS = parseInt(process.env.FETCH_URL_MAX_HTML_CHARS || '500000', 10);
+const CACHE_TTL_MS = parseInt(process.env.FETCH_URL_CACHE_TTL_MS || '900000', 10);
+const CACHE_PER_DOMAIN = parseInt(process.env.FETCH_URL_CACHE_PER_DOMAIN || '20', 10);
+const CACHE_MAX_BYTES = parseInt(process.env.FETCH_URL_CACHE_MAX_BYTES || '50000000', 10);
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; NewsClaimVerifier/1.0)';
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const READABLE_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'text/plain'];
+
+// Names that only resolve inside a private network
+const INTERNAL_HOSTNAME = /(?:^|\.)(?:localhost|localdomain|local|internal|intranet|lan|corp|home\.arpa)$/i;
+
+// Non-public address ranges
+const BLOCKED_RANGES = {
+  ipv4: [
+    ['0.0.0.0', 8],        // "This" network
+    ['10.0.0.0', 8],       // Private
+    ['100.64.0.0', 10],    // Carrier-grade NAT
+    ['127.0.0.0', 8],      // Loopback
+    ['169.254.0.0', 16],   // Link-local, including cloud metadata (169.254.169.254)
+    ['172.16.0.0', 12],    // Private
+    ['192.0.0.0', 24],     // IETF protocol assignments
+    ['192.0.2.0', 24],     // Documentation
+    ['192.168.0.0', 16],   // Private
+    ['198.18.0.0', 15],    // Benchmarking
+    ['198.51.100.0', 24],  // Documentation
+    ['203.0.113.0', 24],   // Documentation
+    ['224.0.0.0', 4],      // Multicast
+    ['240.0.0.0', 4]       // Reserved and broadcast
+  ],
+  ipv6: [
+    ['::', 128],           // Unspecified
+    ['::1', 128],          // Loopback
+    ['64:ff9b::', 96],     // NAT64
+    ['2001::', 32],        // Teredo (tunnels to an embedded IPv4 address)
+    ['2001:db8::', 32],    // Documentation
+    ['2002::', 16],        // 6to4 (tunnels to an embedded IPv4 address)
+    ['fc00::', 7],         // Unique local, including AWS metadata (fd00:ec2::254)
+    ['fe80::', 10],        // Link-local
+    ['ff00::', 8]          // Multicast
+  ]
+};
+
+const blockedAddresses = new net.BlockList();
+for (const [family, ranges] of Object.entries(BLOCKED_RANGES)) {
+  for (const [address, prefix] of ranges) {
+    blockedAddresses.addSubnet(address, prefix, family);
+  }
+}
+
+// url → { domain, page, size, expiresAt }, oldest entry first
+const cache = new Map();
+let cacheBytes = 0;
+
+/**
+ * The eight 16-bit groups of an IPv6 address (a trailing dotted IPv4 part becomes two groups)
+ */
+function ipv6Groups(address) {
+  let text = address.toLowerCase().split('%')[0];
+
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+/**
+ * IPv4 address inside an IPv4-mapped (::ffff:a.b.c.d) or IPv4-compatible (::a.b.c.d)
+ * IPv6 address, in either notation, or null
+ */
+function embeddedIPv4(address) {
+  if (!net.isIPv6(address)) return null;
+
+  const groups = ipv6Groups(address);
+  if (groups.slice(0, 5).some(group => group !== 0) || (groups[5] !== 0 && groups[5] !== 0xffff)) {
+    return null;
+  }
+  return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+}
+
+/**
+ * Check whether an IP address is private, loopback, link-local or otherwise non-public
+ * IPv6 addresses that embed an IPv4 address are checked against the IPv4 ranges.
+ */
+export function isBlockedAddress(address) {
+  const ipv4 = embeddedIPv4(address);
+  if (ipv4) return blockedAddresses.check(ipv4, 'ipv4');
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Parse a URL and check it may be fetched
+ * @throws {ApiError} VALIDATION_FAILED for malformed or non-http(s) URLs, FORBIDDEN for internal hosts
+ */
+function parseAllowedUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new ApiError(ErrorCode.VALIDATION_FAILED, `Invalid URL: ${value}`);
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ApiError(ErrorCode.VALIDATION_FAILED, `Only http and https URLs can be fetched, got ${url.protocol}`);
+  }
+  if (url.username || url.password) {
+    throw new ApiError(ErrorCode.VALIDATION_FAILED, 'URLs with credentials cannot be fetched');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  const isAddress = net.isIP(hostname) !== 0;
+
+  // IP literals are never looked up, so they are checked here
+  if (isAddress ? isBlockedAddress(hostname) : INTERNAL_HOSTNAME.test(hostname) || !hostname.includes('.')) {
+    throw new ApiError(ErrorCode.FORBIDDEN, `Fetching internal host ${hostname} is not allowed`);
+  }
+
+  url.hash = '';
+  return url;
+}
+
+/**
+ * dns.lookup that refuses non-public addresses; runs when each connection is opened
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new ApiError(ErrorCode.FORBIDDEN, `${hostname} resolves to non-public address ${blocked.address}`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Send a GET request, resolving with the response once its headers arrive
+ */
+function sendRequest(url, signal) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      lookup: publicLookup,
+      signal,
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9',
+        'Accept-Encoding': 'gzip, deflate, br'
+      }
+    }, resolve);
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Read a response body, decompressing it and stopping at MAX_BYTES
+ * The response, decoder and reader share one pipeline, so an abort or a failure in
+ * any of them tears down the others instead of leaving the read waiting.
+ * @throws {ApiError} PAYLOAD_TOO_LARGE when the page exceeds MAX_BYTES
+ */
+async function readBody(response, signal) {
+  const tooLarge = () => new ApiError(ErrorCode.PAYLOAD_TOO_LARGE, `Page is larger than ${MAX_BYTES} bytes`);
+
+  if (parseInt(response.headers['content-length'] || '0', 10) > MAX_BYTES) {
+    response.destroy();
+    throw tooLarge();
+  }
+
+  const decoders = {
+    gzip: zlib.createGunzip,
+    deflate: zlib.createInflate,
+    br: zlib.createBrotliDecompress
+  };
+  const decoder = decoders[(response.headers['content-encoding'] || '').trim().toLowerCase()];
+
+  const chunks = [];
+  let size = 0;
+  const collect = async source => {
+    for await (const chunk of source) {
+      size += chunk.length;
+      if (size > MAX_BYTES) throw tooLarge();
+      chunks.push(chunk);
+    }
+  };
+
+  try {
+    await (decoder
+      ? pipeline(response, decoder(), collect, { signal })
+      : pipeline(response, collect, { signal }));
+  } finally {
+    response.destroy();
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Decode a body using the charset from its content type (UTF-8 if unknown)
+ */
+function decodeBody(buffer, contentType) {
+  const charset = contentType.match(/charset=["']?([\w-]+)/i)?.[1];
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+/**
+ * Download a page, following redirects to public hosts only
+ * @returns {Promise<Object>} { finalUrl, contentType, body }
+ */
+async function downloadPage(url, signal) {
+  let current = url;
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await sendRequest(current, signal);
+    const { statusCode, headers } = response;
+
+    if (REDIRECT_STATUSES.includes(statusCode) && headers.location) {
+      response.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        throw new ApiError(ErrorCode.SEARCH_FAILED, `Too many redirects (more than ${MAX_REDIRECTS})`);
+      }
+      current = parseAllowedUrl(new URL(headers.location, current).href);
+      continue;
+    }
+
+    if (statusCode >= 400) {
+      response.resume();
+      throw new ApiError(ErrorCode.SEARCH_FAILED, `HTTP ${statusCode} from ${current.hostname}`);
+    }
+
+    const contentType = (headers['content-type'] || 'text/html').toLowerCase();
+    if (!READABLE_CONTENT_TYPES.some(type => contentType.startsWith(type))) {
+      response.resume();
+      throw new ApiError(ErrorCode.VALIDATION_FAILED, `Unsupported content type: ${contentType.split(';')[0]}`);
+    }
+
+    const body = decodeBody(await readBody(response, signal), contentType);
+    return { finalUrl: current.href, contentType, body };
+  }
+}
+
+/**
+ * Domain a page is cached under
+ */
+function cacheDomain(url) {
+  return url.hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Remove a page from the cache
+ */
+function deleteCachedPage(key) {
+  const entry = cache.get(key);
+  if (!entry) return;
+  cache.delete(key);
+  cacheBytes -= entry.size;
+}
+
+/**
+ * Cached page for a URL, or null if missing or expired
+ */
+function getCachedPage(url) {
+  const entry = cache.get(url.href);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    deleteCachedPage(url.href);
+    return null;
+  }
+  return entry.page;
+}
+
+/**
+ * Cache a page, first dropping expired pages, then the domain's oldest pages beyond
+ * CACHE_PER_DOMAIN and the oldest pages overall beyond CACHE_MAX_BYTES
+ */
+function setCachedPage(url, page) {
+  const size = Buffer.byteLength(page.text) + Buffer.byteLength(page.title);
+  if (size > CACHE_MAX_BYTES) return;
+
+  const domain = cacheDomain(url);
+  const now = Date.now();
+  deleteCachedPage(url.href);
+
+  for (const [key, entry] of cache) {
+    if (entry.expiresAt <= now) deleteCachedPage(key);
+  }
+
+  const domainKeys = [...cache].filter(([, entry]) => entry.domain === domain).map(([key]) => key);
+  domainKeys.slice(0, Math.max(0, domainKeys.length - CACHE_PER_DOMAIN + 1)).forEach(deleteCachedPage);
+
+  cache.set(url.href, { domain, page, size, expiresAt: now + CACHE_TTL_MS });
+  cacheBytes += size;
+
+  for (const key of cache.keys()) {
+    if (cacheBytes <= CACHE_MAX_BYTES) break;
+    deleteCachedPage(key);
+  }
+}
+
+/**
+ * Fetch a web page and extract its readable text
+ *
+ * @param {string} url - http(s) URL of the page
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the download
+ * @returns {Promise<Object>} { url, finalUrl, title, text, contentType, cached }
+ * @throws {ApiError} VALIDATION_FAILED, FORBIDDEN (internal host), PAYLOAD_TOO_LARGE,
+ *   TIMEOUT or SEARCH_FAILED (HTTP error)
+ */
+export async function fetchReadablePage(url, options = {}) {
+  const { signal } = options;
+  const target = parseAllowedUrl(url);
+
+  const cached = getCachedPage(target);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+
+  const timeout = AbortSignal.timeout(TIMEOUT_MS);
+  let download;
+  try {
+    download = await downloadPage(target, signal ? AbortSignal.any([signal, timeout]) : timeout);
+  } catch (error) {
+    if (signal?.aborted || error instanceof ApiError) throw error;
+    if (timeout.aborted) {
+      throw new ApiError(ErrorCode.TIMEOUT, `Fetching ${target.hostname} timed out after ${TIMEOUT_MS}ms`, null, { cause: error });
+    }
+    throw new ApiError(ErrorCode.SEARCH_FAILED, `Could not fetch ${target.href}: ${error.message}`, null, { cause: error });
+  }
+
+  const { title, text } = download.contentType.startsWith('text/plain')
+    ? { title: '', text: download.body.trim() }
+    : extractReadableText(download.body.substring(0, MAX_HTML_CHARS));
+
+  const page = {
+    url: target.href,
+    finalUrl: download.finalUrl,
+    title: title || download.finalUrl,
+    text,
+    contentType: download.contentType.split(';')[0]
+  };
+
+  setCachedPage(target, page);
+  return { ...page, cached: false };
+}
@@ -0,0 +1,42 @@
+/**
+ * Vector store selection
+ * Every store implements: initialize(), isAvailable(), upsert(vectors, namespace),
+ * query(vector, { topK, filter, namespace }), deleteMany(ids, namespace),
+ * deleteAll(namespace), describeStats(), getNamespaceInfo(namespace),
+ * setNamespaceInfo(namespace, info) and optionally hasVectors(namespace)
+ *
+ * Namespace info records the embedder ({ id, dimension }) that built the namespace
+ */
+
+import { createPineconeStore } from './pinecone-store.js';
+import { createLocalStore } from './local-store.js';
+
+const STORE_FACTORIES = {
+  pinecone: createPineconeStore,
+  local: createLocalStore
+};
+
+/**
+ * Name of the configured store: VECTOR_STORE (default: 'pinecone')
+ * VECTOR_STORE=auto uses Pinecone when PINECONE_API_KEY is set, otherwise local
+ */
+export function getConfiguredStoreName() {
+  const name = process.env.VECTOR_STORE || 'pinecone';
+  if (name !== 'auto') return name;
+  return process.env.PINECONE_API_KEY ? 'pinecone' : 'local';
+}
+
+/**
+ * Create a vector store by name
+ * @param {string} name - 'pinecone' or 'local'
+ * @param {Object} options - Store-specific options
+ */
+export function createVectorStore(name = getConfiguredStoreName(), options = {}) {
+  const factory = STORE_FACTORIES[name];
+
+  if (!factory) {
+    throw new Error(`Unknown vector store "${name}" (expected one of: ${Object.keys(STORE_FACTORIES).join(', ')})`);
+  }
+
+  return factory(options);
+}
@@ -0,0 +1,191 @@
+/**
+ * Local vector store
+ * Keeps vectors and metadata in memory and persists one JSON file per namespace,
+ * so the knowledge base works without external services
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { resolveDataPath, readJSONFile, writeJSONFile } from '../../utils/json-store.js';
+
+/**
+ * Create a file-backed vector store
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Directory holding namespace files (default: LOCAL_VECTOR_DIR or data/vectors)
+ * @returns {Object} Vector store
+ */
+export function createLocalStore(options = {}) {
+  const {
+    directory = process.env.LOCAL_VECTOR_DIR || resolveDataPath('vectors')
+  } = options;
+
+  // namespace -> Promise<{ embedder, vectors: Map<id, { id, values, metadata }> }>
+  const namespaces = new Map();
+
+  const fileFor = namespace => path.join(directory, `${encodeURIComponent(namespace)}.json`);
+
+  function loadNamespace(namespace) {
+    if (!namespaces.has(namespace)) {
+      namespaces.set(namespace, readJSONFile(fileFor(namespace), { embedder: null, vectors: [] }).then(data => ({
+        embedder: data.embedder || null,
+        vectors: new Map(data.vectors.map(vector => [vector.id, vector]))
+      })));
+    }
+    return namespaces.get(namespace);
+  }
+
+  async function saveNamespace(namespace) {
+    const { embedder, vectors } = await loadNamespace(namespace);
+    await writeJSONFile(fileFor(namespace), { embedder, vectors: [...vectors.values()] });
+  }
+
+  return {
+    name: 'local',
+
+    async initialize() {
+      await fs.mkdir(directory, { recursive: true });
+      console.log(`✅ Local vector store initialized: ${directory}`);
+      return true;
+    },
+
+    isAvailable() {
+      return true;
+    },
+
+    async hasVectors(namespace) {
+      return (await loadNamespace(namespace)).vectors.size > 0;
+    },
+
+    async getNamespaceInfo(namespace) {
+      return (await loadNamespace(namespace)).embedder;
+    },
+
+    async setNamespaceInfo(namespace, info) {
+      (await loadNamespace(namespace)).embedder = info;
+      await saveNamespace(namespace);
+    },
+
+    async upsert(records, namespace) {
+      const { vectors } = await loadNamespace(namespace);
+
+      for (const { id, values, metadata = {} } of records) {
+        vectors.set(id, {
+          id,
+          values: values.map(value => Number(value.toFixed(6))),
+          metadata
+        });
+      }
+
+      await saveNamespace(namespace);
+    },
+
+    async query(vector, { topK, filter = null, namespace }) {
+      const { vectors } = await loadNamespace(namespace);
+      const matches = [];
+
+      for (const record of vectors.values()) {
+        if (record.values.length !== vector.length) continue;
+        if (filter && !matchesFilter(record.metadata, filter)) continue;
+
+        matches.push({
+          id: record.id,
+          score: cosineSimilarity(vector, record.values),
+          metadata: record.metadata
+        });
+      }
+
+      return matches
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    },
+
+    async deleteMany(ids, namespace) {
+      const { vectors } = await loadNamespace(namespace);
+      ids.forEach(id => vectors.delete(id));
+      await saveNamespace(namespace);
+    },
+
+    async deleteAll(namespace) {
+      const { vectors } = await loadNamespace(namespace);
+      vectors.clear();
+      await saveNamespace(namespace);
+    },
+
+    async describeStats() {
+      const files = await fs.readdir(directory).catch(() => []);
+      const stats = { namespaces: {}, dimension: null, totalRecordCount: 0 };
+
+      for (const file of files.filter(f => f.endsWith('.json'))) {
+        const namespace = decodeURIComponent(file.slice(0, -'.json'.length));
+        const { embedder, vectors } = await loadNamespace(namespace);
+
+        stats.namespaces[namespace] = { recordCount: vectors.size, embedder };
+        stats.totalRecordCount += vectors.size;
+        stats.dimension = stats.dimension ?? vectors.values().next().value?.values.length ?? null;
+      }
+
+      return stats;
+    }
+  };
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Evaluate a Pinecone-style metadata filter
+ * Supports $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $exists, $and and $or;
+ * a plain value is shorthand for $eq
+ *
+ * @param {Object} metadata - Vector metadata
+ * @param {Object} filter - e.g. { category: { $in: ['science', 'health'] }, year: { $gte: 2000 } }
+ * @returns {boolean}
+ */
+export function matchesFilter(metadata = {}, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchesFilter(metadata, sub));
+    if (key === '$or') return condition.some(sub => matchesFilter(metadata, sub));
+
+    const value = metadata[key];
+    const isOperatorObject = condition !== null && typeof condition === 'object' && !Array.isArray(condition);
+
+    if (!isOperatorObject) {
+      return matchesValue(value, condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq': return matchesValue(value, operand);
+        case '$ne': return !matchesValue(value, operand);
+        case '$in': return operand.some(item => matchesValue(value, item));
+        case '$nin': return !operand.some(item => matchesValue(value, item));
+        case '$gt': return value > operand;
+        case '$gte': return value >= operand;
+        case '$lt': return value < operand;
+        case '$lte': return value <= operand;
+        case '$exists': return (value !== undefined) === operand;
+        default:
+          throw new Error(`Unsupported filter operator: ${operator}`);
+      }
+    });
+  });
+}
+
+/**
+ * Equality that also matches an element of an array-valued metadata field (as Pinecone does)
+ */
+function matchesValue(value, expected) {
+  return Array.isArray(value) ? value.includes(expected) : value === expected;
+}
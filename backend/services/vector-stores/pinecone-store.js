@@ -0,0 +1,114 @@
+/**
+ * Pinecone vector store (serverless)
+ */
+
+import { Pinecone } from '@pinecone-database/pinecone';
+import { resolveDataPath, readJSONFile, writeJSONFile } from '../../utils/json-store.js';
+
+// Pinecone has no per-namespace metadata, so embedder info is kept locally per index
+const MANIFEST_FILE = resolveDataPath('pinecone-manifest.json');
+
+/**
+ * Create a Pinecone-backed vector store
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.apiKey - Pinecone API key (default: PINECONE_API_KEY)
+ * @param {string} options.indexName - Index name (default: PINECONE_INDEX_NAME or 'claim-verifier')
+ * @param {number} options.dimension - Embedding dimension; the index is created with it and must match it
+ * @returns {Object} Vector store
+ */
+export function createPineconeStore(options = {}) {
+  const {
+    apiKey = process.env.PINECONE_API_KEY,
+    indexName = process.env.PINECONE_INDEX_NAME || 'claim-verifier',
+    dimension = 3072
+  } = options;
+
+  let index = null;
+
+  return {
+    name: 'pinecone',
+
+    async initialize() {
+      if (index) return true;
+
+      const pinecone = new Pinecone({ apiKey });
+
+      // Get or create index
+      const indexList = await pinecone.listIndexes();
+      const existing = indexList.indexes?.find(idx => idx.name === indexName);
+
+      if (existing && existing.dimension !== dimension) {
+        throw new Error(`Index ${indexName} has dimension ${existing.dimension} but the embedder produces ${dimension}`);
+      }
+
+      if (!existing) {
+        console.log(`📊 Creating Pinecone index: ${indexName}`);
+        await pinecone.createIndex({
+          name: indexName,
+          dimension,
+          metric: 'cosine',
+          spec: {
+            serverless: {
+              cloud: 'aws',
+              region: 'us-east-1'
+            }
+          }
+        });
+
+        // Wait for index to be ready
+        await new Promise(resolve => setTimeout(resolve, 60000));
+      }
+
+      index = pinecone.index(indexName);
+      console.log(`✅ Pinecone initialized: ${indexName}`);
+      return true;
+    },
+
+    isAvailable() {
+      return Boolean(apiKey && index);
+    },
+
+    async upsert(vectors, namespace) {
+      await index.namespace(namespace).upsert({ records: vectors });
+    },
+
+    async query(vector, { topK, filter = null, namespace }) {
+      const queryOptions = {
+        vector,
+        topK,
+        includeMetadata: true
+      };
+
+      if (filter && Object.keys(filter).length > 0) {
+        queryOptions.filter = filter;
+      }
+
+      const response = await index.namespace(namespace).query(queryOptions);
+      return response.matches || [];
+    },
+
+    async deleteMany(ids, namespace) {
+      await index.namespace(namespace).deleteMany(ids);
+    },
+
+    async deleteAll(namespace) {
+      await index.namespace(namespace).deleteAll();
+    },
+
+    async getNamespaceInfo(namespace) {
+      const manifest = await readJSONFile(MANIFEST_FILE, {});
+      return manifest[indexName]?.[namespace] || null;
+    },
+
+    async setNamespaceInfo(namespace, info) {
+      const manifest = await readJSONFile(MANIFEST_FILE, {});
+      manifest[indexName] = { ...manifest[indexName], [namespace]: info };
+      await writeJSONFile(MANIFEST_FILE, manifest);
+    },
+
+    async describeStats() {
+      return index.describeIndexStats();
+    }
+  };
+}
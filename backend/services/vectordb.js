@@ -1,76 +1,116 @@
-import { Pinecone } from '@pinecone-database/pinecone';
-import { OpenAIEmbeddings } from '@langchain/openai';
 import { Document } from '@langchain/core/documents';
+import { createVectorStore, getConfiguredStoreName } from './vector-stores/index.js';
+import { getEmbeddingProvider, getEmbedderInfo, LEGACY_EMBEDDER } from './embedding-provider.js';
+import { ApiError, ErrorCode } from '../utils/errors.js';
 
-let pinecone = null;
-let index = null;
-let embeddings = null;
+let store = null;
+let storePromise = null;
 
 /**
- * Get OpenAI embeddings instance (LangChain wrapper)
+ * Get the configured embedder (see embedding-provider.js)
+ * Exposes LangChain-style embedQuery / embedDocuments
  */
 export function getEmbeddings() {
-  if (!embeddings) {
-    embeddings = new OpenAIEmbeddings({
-      modelName: 'text-embedding-3-large',
-      dimensions: 3072,
-      openAIApiKey: process.env.OPENAI_API_KEY
-    });
+  return getEmbeddingProvider();
+}
+
+/**
+ * Initialize the configured vector store (see vector-stores/index.js)
+ * @returns {Promise<Object|null>} The store, or null if it could not be initialized
+ */
+export function initializeVectorStore() {
+  if (!storePromise) {
+    storePromise = (async () => {
+      const name = getConfiguredStoreName();
+
+      try {
+        const candidate = createVectorStore(name, { dimension: getEmbedderInfo().dimension });
+        await candidate.initialize();
+        store = candidate;
+        return store;
+      } catch (error) {
+        console.error(`❌ Vector store (${name}) initialization error:`, error.message);
+        console.log('💡 Vector search will be disabled. Set PINECONE_API_KEY or VECTOR_STORE=local to enable.');
+        return null;
+      }
+    })();
   }
-  return embeddings;
+  return storePromise;
 }
 
+// Backward-compatible alias
+export const initializePinecone = initializeVectorStore;
+
 /**
- * Initialize Pinecone client and index
+ * Check if the vector store is available
  */
-export async function initializePinecone() {
-  if (pinecone) return pinecone;
-  
-  try {
-    pinecone = new Pinecone({
-      apiKey: process.env.PINECONE_API_KEY
-    });
-    
-    const indexName = process.env.PINECONE_INDEX_NAME || 'claim-verifier';
-    
-    // Get or create index
-    const indexList = await pinecone.listIndexes();
-    const indexExists = indexList.indexes?.some(idx => idx.name === indexName);
-    
-    if (!indexExists) {
-      console.log(`📊 Creating Pinecone index: ${indexName}`);
-      await pinecone.createIndex({
-        name: indexName,
-        dimension: 3072, // text-embedding-3-large dimension
-        metric: 'cosine',
-        spec: {
-          serverless: {
-            cloud: 'aws',
-            region: 'us-east-1'
-          }
-        }
-      });
-      
-      // Wait for index to be ready
-      await new Promise(resolve => setTimeout(resolve, 60000));
-    }
-    
-    index = pinecone.index(indexName);
-    console.log(`✅ Pinecone initialized: ${indexName}`);
-    
-    return pinecone;
-  } catch (error) {
-    console.error('❌ Pinecone initialization error:', error.message);
-    console.log('💡 Vector search will be disabled. Set PINECONE_API_KEY to enable.');
-    return null;
+export function isVectorStoreAvailable() {
+  return Boolean(store?.isAvailable());
+}
+
+// Backward-compatible alias
+export const isPineconeAvailable = isVectorStoreAvailable;
+
+/**
+ * Get the initialized store, initializing it on first use
+ * @returns {Promise<Object|null>}
+ */
+async function getStore() {
+  return store || initializeVectorStore();
+}
+
+/**
+ * Check whether a namespace holds any vectors
+ * Stores without hasVectors are asked for their namespace stats instead.
+ */
+async function namespaceHasVectors(vectorStore, namespace) {
+  if (vectorStore.hasVectors) {
+    return vectorStore.hasVectors(namespace);
   }
+  const stats = await vectorStore.describeStats();
+  return (stats?.namespaces?.[namespace]?.recordCount || 0) > 0;
 }
 
 /**
- * Check if Pinecone is available
+ * Make sure a namespace is only ever built and queried with one embedder
+ * The first write records the current embedder id and dimension; any later mismatch is refused.
+ * A namespace that holds vectors but has no record predates the record and was built
+ * with the legacy OpenAI embedder.
+ *
+ * @param {Object} vectorStore - Initialized store
+ * @param {string} namespace - Namespace
+ * @param {Object} options - { record: store the current embedder if the namespace has none }
+ * @returns {Promise<Object>} Current embedder info { id, dimension }
  */
-export function isPineconeAvailable() {
-  return Boolean(process.env.PINECONE_API_KEY && pinecone);
+async function checkNamespaceEmbedder(vectorStore, namespace, { record = false } = {}) {
+  const current = getEmbedderInfo();
+  const stored = await vectorStore.getNamespaceInfo(namespace);
+  const recorded = stored || ((await namespaceHasVectors(vectorStore, namespace)) ? LEGACY_EMBEDDER : null);
+
+  if (recorded && (recorded.id !== current.id || recorded.dimension !== current.dimension)) {
+    throw new ApiError(
+      ErrorCode.VECTOR_DB_UNAVAILABLE,
+      `Namespace "${namespace}" was built with ${recorded.id} (${recorded.dimension} dimensions) but the current embedder is ${current.id} (${current.dimension} dimensions). Clear and re-seed the namespace or switch EMBEDDING_PROVIDER back.`,
+      { namespace, namespaceEmbedder: recorded, currentEmbedder: current }
+    );
+  }
+
+  if (!stored && record) {
+    await vectorStore.setNamespaceInfo(namespace, current);
+  }
+
+  return current;
+}
+
+/**
+ * Embed a query, or return null when the namespace is known to be empty
+ */
+async function embedQueryFor(vectorStore, query, namespace) {
+  if (vectorStore.hasVectors && !(await vectorStore.hasVectors(namespace))) {
+    return null;
+  }
+  await checkNamespaceEmbedder(vectorStore, namespace);
+  return getEmbeddings().embedQuery(query);
 }
 
 /**
@@ -83,31 +123,18 @@ export function isPineconeAvailable() {
  * @param {string} namespace - Namespace to query (default: 'default')
  */
 export async function similaritySearch(query, k = 10, filter = null, namespace = 'default') {
-  if (!index) {
-    await initializePinecone();
-    if (!index) return [];
-  }
+  const vectorStore = await getStore();
+  if (!vectorStore) return [];
   
   try {
     // Generate embedding using LangChain
-    const embedder = getEmbeddings();
-    const embedding = await embedder.embedQuery(query);
-    
-    // Query Pinecone
-    const queryOptions = {
-      vector: embedding,
-      topK: k,
-      includeMetadata: true
-    };
-    
-    if (filter && Object.keys(filter).length > 0) {
-      queryOptions.filter = filter;
-    }
+    const embedding = await embedQueryFor(vectorStore, query, namespace);
+    if (!embedding) return [];
     
-    const queryResponse = await index.namespace(namespace).query(queryOptions);
+    const matches = await vectorStore.query(embedding, { topK: k, filter, namespace });
     
     // Convert to LangChain Document format
-    const documents = queryResponse.matches.map(match => new Document({
+    const documents = matches.map(match => new Document({
       pageContent: match.metadata.text || match.metadata.explanation || '',
       metadata: {
         ...match.metadata,
@@ -119,7 +146,8 @@ export async function similaritySearch(query, k = 10, filter = null, namespace =
     return documents;
   } catch (error) {
     console.error('Error in similarity search:', error.message);
-    return [];
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(ErrorCode.VECTOR_DB_UNAVAILABLE, `Vector search failed: ${error.message}`, null, { cause: error });
   }
 }
 
@@ -128,28 +156,16 @@ export async function similaritySearch(query, k = 10, filter = null, namespace =
  * Returns array of [Document, score] tuples
  */
 export async function similaritySearchWithScore(query, k = 10, filter = null, namespace = 'default') {
-  if (!index) {
-    await initializePinecone();
-    if (!index) return [];
-  }
+  const vectorStore = await getStore();
+  if (!vectorStore) return [];
   
   try {
-    const embedder = getEmbeddings();
-    const embedding = await embedder.embedQuery(query);
+    const embedding = await embedQueryFor(vectorStore, query, namespace);
+    if (!embedding) return [];
     
-    const queryOptions = {
-      vector: embedding,
-      topK: k,
-      includeMetadata: true
-    };
+    const matches = await vectorStore.query(embedding, { topK: k, filter, namespace });
     
-    if (filter && Object.keys(filter).length > 0) {
-      queryOptions.filter = filter;
-    }
-    
-    const queryResponse = await index.namespace(namespace).query(queryOptions);
-    
-    const results = queryResponse.matches.map(match => {
+    const results = matches.map(match => {
       const doc = new Document({
         pageContent: match.metadata.text || match.metadata.explanation || '',
         metadata: {
@@ -163,7 +179,8 @@ export async function similaritySearchWithScore(query, k = 10, filter = null, na
     return results;
   } catch (error) {
     console.error('Error in similarity search with score:', error.message);
-    return [];
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(ErrorCode.VECTOR_DB_UNAVAILABLE, `Vector search failed: ${error.message}`, null, { cause: error });
   }
 }
 
@@ -173,19 +190,18 @@ export async function similaritySearchWithScore(query, k = 10, filter = null, na
  * @param {string} namespace - Namespace for data isolation
  */
 export async function addDocuments(documents, namespace = 'default') {
-  if (!index) {
-    await initializePinecone();
-    if (!index) throw new Error('Pinecone not initialized');
-  }
+  const vectorStore = await getStore();
+  if (!vectorStore) throw new Error('Vector store not initialized');
   
   try {
+    await checkNamespaceEmbedder(vectorStore, namespace, { record: true });
     const embedder = getEmbeddings();
     
     // Generate embeddings for all documents
     const texts = documents.map(doc => doc.pageContent);
     const embeddings = await embedder.embedDocuments(texts);
     
-    // Prepare vectors for Pinecone
+    // Prepare vectors for the store
     const vectors = documents.map((doc, i) => ({
       id: doc.metadata.id || `doc-${Date.now()}-${i}`,
       values: embeddings[i],
@@ -195,9 +211,8 @@ export async function addDocuments(documents, namespace = 'default') {
       }
     }));
     
-    // Upsert to Pinecone
-    await index.namespace(namespace).upsert({ records: vectors });
-    console.log(`✅ Added ${vectors.length} documents to Pinecone (namespace: ${namespace})`);
+    await vectorStore.upsert(vectors, namespace);
+    console.log(`✅ Added ${vectors.length} documents to ${vectorStore.name} vector store (namespace: ${namespace})`);
     
     return vectors.map(v => v.id);
   } catch (error) {
@@ -207,18 +222,22 @@ export async function addDocuments(documents, namespace = 'default') {
 }
 
 /**
- * Legacy function: Upsert vectors into Pinecone
+ * Legacy function: Upsert precomputed vectors
  * Kept for backward compatibility
  */
 export async function upsertVectors(vectors, namespace = 'default') {
-  if (!index) {
-    await initializePinecone();
-    if (!index) throw new Error('Pinecone not initialized');
-  }
+  const vectorStore = await getStore();
+  if (!vectorStore) throw new Error('Vector store not initialized');
   
   try {
-    await index.namespace(namespace).upsert({ records: vectors });
-    console.log(`✅ Upserted ${vectors.length} vectors to Pinecone (namespace: ${namespace})`);
+    const { id, dimension } = await checkNamespaceEmbedder(vectorStore, namespace, { record: true });
+    const mismatched = vectors.find(vector => vector.values.length !== dimension);
+    if (mismatched) {
+      throw new Error(`Vector ${mismatched.id} has ${mismatched.values.length} dimensions, namespace "${namespace}" uses ${id} (${dimension})`);
+    }
+
+    await vectorStore.upsert(vectors, namespace);
+    console.log(`✅ Upserted ${vectors.length} vectors to ${vectorStore.name} vector store (namespace: ${namespace})`);
   } catch (error) {
     console.error('Error upserting vectors:', error.message);
     throw error;
@@ -226,29 +245,16 @@ export async function upsertVectors(vectors, namespace = 'default') {
 }
 
 /**
- * Legacy function: Query vectors from Pinecone
+ * Legacy function: Query vectors by embedding
  * Kept for backward compatibility
  */
 export async function queryVectors(embedding, topK = 10, filter = null, namespace = 'default') {
-  if (!index) {
-    await initializePinecone();
-    if (!index) return [];
-  }
+  const vectorStore = await getStore();
+  if (!vectorStore) return [];
   
   try {
-    const queryOptions = {
-      vector: embedding,
-      topK: topK,
-      includeMetadata: true
-    };
-    
-    if (filter && Object.keys(filter).length > 0) {
-      queryOptions.filter = filter;
-    }
-    
-    const queryResponse = await index.namespace(namespace).query(queryOptions);
-    
-    return queryResponse.matches || [];
+    await checkNamespaceEmbedder(vectorStore, namespace);
+    return await vectorStore.query(embedding, { topK, filter, namespace });
   } catch (error) {
     console.error('Error querying vectors:', error.message);
     return [];
@@ -259,14 +265,12 @@ export async function queryVectors(embedding, topK = 10, filter = null, namespac
  * Delete vectors by ID
  */
 export async function deleteVectors(ids, namespace = 'default') {
-  if (!index) {
-    await initializePinecone();
-    if (!index) throw new Error('Pinecone not initialized');
-  }
+  const vectorStore = await getStore();
+  if (!vectorStore) throw new Error('Vector store not initialized');
   
   try {
-    await index.namespace(namespace).deleteMany(ids);
-    console.log(`✅ Deleted ${ids.length} vectors from Pinecone (namespace: ${namespace})`);
+    await vectorStore.deleteMany(ids, namespace);
+    console.log(`✅ Deleted ${ids.length} vectors from ${vectorStore.name} vector store (namespace: ${namespace})`);
   } catch (error) {
     console.error('Error deleting vectors:', error.message);
     throw error;
@@ -275,15 +279,14 @@ export async function deleteVectors(ids, namespace = 'default') {
 
 /**
  * Get index statistics
+ * @returns {Promise<Object|null>} { namespaces, dimension, totalRecordCount }
  */
 export async function getIndexStats() {
-  if (!index) {
-    await initializePinecone();
-    if (!index) return null;
-  }
+  const vectorStore = await getStore();
+  if (!vectorStore) return null;
   
   try {
-    const stats = await index.describeIndexStats();
+    const stats = await vectorStore.describeStats();
     return stats;
   } catch (error) {
     console.error('Error getting index stats:', error.message);
@@ -293,15 +296,15 @@ export async function getIndexStats() {
 
 /**
  * Clear all vectors (use with caution!)
+ * Also forgets the namespace's embedder, so it can be re-seeded with a different one
  */
 export async function clearIndex(namespace = 'default') {
-  if (!index) {
-    await initializePinecone();
-    if (!index) throw new Error('Pinecone not initialized');
-  }
+  const vectorStore = await getStore();
+  if (!vectorStore) throw new Error('Vector store not initialized');
   
   try {
-    await index.namespace(namespace).deleteAll();
+    await vectorStore.deleteAll(namespace);
+    await vectorStore.setNamespaceInfo(namespace, null);
     console.log(`⚠️  Cleared all vectors from namespace: ${namespace}`);
   } catch (error) {
     console.error('Error clearing index:', error.message);
@@ -314,10 +317,7 @@ export async function clearIndex(namespace = 'default') {
  * This implements a simple multi-query strategy for better coverage
  */
 export async function multiQueryRetrieval(query, k = 5, namespace = 'default') {
-  if (!index) {
-    await initializePinecone();
-    if (!index) return [];
-  }
+  if (!(await getStore())) return [];
   
   try {
     // Generate query variations (simple approach - can be enhanced with LLM)
@@ -0,0 +1,208 @@
+/**
+ * Verdict Cache
+ * In-memory cache of pipeline results keyed by normalized claim and result-affecting options
+ * TTL depends on claim temporality: long for timeless/historical facts, short for current events
+ */
+
+import { createHash } from 'crypto';
+
+const HOUR_SECONDS = 60 * 60;
+const DAY_SECONDS = 24 * HOUR_SECONDS;
+
+/**
+ * Cache TTL (seconds) per claim temporality, overridable via VERDICT_CACHE_TTL_<TEMPORALITY>
+ */
+export const CACHE_TTL_BY_TEMPORALITY = {
+  timeless: parseInt(process.env.VERDICT_CACHE_TTL_TIMELESS || String(7 * DAY_SECONDS), 10),
+  historical: parseInt(process.env.VERDICT_CACHE_TTL_HISTORICAL || String(7 * DAY_SECONDS), 10),
+  recent: parseInt(process.env.VERDICT_CACHE_TTL_RECENT || String(DAY_SECONDS), 10),
+  current: parseInt(process.env.VERDICT_CACHE_TTL_CURRENT || String(HOUR_SECONDS), 10)
+};
+
+const CACHE_ENABLED = process.env.VERDICT_CACHE_ENABLED !== 'false';
+const MAX_ENTRIES = parseInt(process.env.VERDICT_CACHE_MAX_ENTRIES || '1000', 10);
+
+// Pipeline options that change the result and therefore belong in the key
+const KEY_OPTIONS = {
+  context: '',
+  useWebSearch: true,
+  useVectorSearch: true,
+  forceStrategy: null,
+  enableCritique: true,
+  decompose: true
+};
+
+// Map preserves insertion order, so the first key is always the oldest entry
+const cache = new Map();
+const stats = { hits: 0, misses: 0 };
+
+/**
+ * Check whether the verdict cache is enabled (VERDICT_CACHE_ENABLED)
+ */
+export function isVerdictCacheEnabled() {
+  return CACHE_ENABLED;
+}
+
+/**
+ * Normalize a claim so trivially different spellings share a cache entry
+ */
+export function normalizeClaim(claim) {
+  return claim
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s.!?]+$/, '')
+    .trim();
+}
+
+/**
+ * Pick the pipeline options that affect the result, filling in defaults
+ * @param {Object} options - Pipeline options
+ * @returns {Object} Result-affecting options in a stable order
+ */
+export function getResultAffectingOptions(options = {}) {
+  return Object.fromEntries(
+    Object.entries(KEY_OPTIONS).map(([name, defaultValue]) => [name, options[name] ?? defaultValue])
+  );
+}
+
+/**
+ * Build the cache key for a claim and its pipeline options
+ * @param {string} claim - The claim
+ * @param {Object} options - Pipeline options (only result-affecting ones are used)
+ * @returns {string} Hex SHA-256 key
+ */
+export function buildCacheKey(claim, options = {}) {
+  return createHash('sha256')
+    .update(JSON.stringify({ claim: normalizeClaim(claim), ...getResultAffectingOptions(options) }))
+    .digest('hex');
+}
+
+/**
+ * Get the TTL for a result based on its claim temporality
+ * NOT_ENOUGH_EVIDENCE verdicts use the shortest TTL since new evidence may appear
+ */
+export function getTTLForResult(result) {
+  if (result.verdict === 'NOT_ENOUGH_EVIDENCE') {
+    return CACHE_TTL_BY_TEMPORALITY.current;
+  }
+
+  const temporality = result.claimAnalysis?.temporality;
+  return CACHE_TTL_BY_TEMPORALITY[temporality] ?? CACHE_TTL_BY_TEMPORALITY.recent;
+}
+
+/**
+ * Look up a cached result
+ * @param {string} key - Cache key from buildCacheKey
+ * @returns {Object|null} Entry { key, claim, result, cachedAt, expiresAt, ttlSeconds } or null
+ */
+export function getCachedVerdict(key) {
+  const entry = cache.get(key);
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    if (entry) cache.delete(key);
+    stats.misses++;
+    return null;
+  }
+
+  stats.hits++;
+  return entry;
+}
+
+/**
+ * Store a pipeline result
+ * @param {string} key - Cache key from buildCacheKey
+ * @param {string} claim - Original claim
+ * @param {Object} result - Pipeline result
+ * @returns {Object} Stored entry
+ */
+export function setCachedVerdict(key, claim, result) {
+  const ttlSeconds = getTTLForResult(result);
+  const now = Date.now();
+  const entry = {
+    key,
+    claim,
+    normalizedClaim: normalizeClaim(claim),
+    result: { ...result },
+    cachedAt: now,
+    expiresAt: now + ttlSeconds * 1000,
+    ttlSeconds
+  };
+
+  cache.delete(key);
+  cache.set(key, entry);
+
+  while (cache.size > MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return entry;
+}
+
+/**
+ * Build the cache metadata attached to API responses
+ */
+export function getCacheMetadata(entry, hit) {
+  return {
+    hit,
+    key: entry.key,
+    cachedAt: new Date(entry.cachedAt).toISOString(),
+    expiresAt: new Date(entry.expiresAt).toISOString(),
+    ttlSeconds: entry.ttlSeconds
+  };
+}
+
+/**
+ * Remove a single entry by key
+ * @returns {number} Number of entries removed (0 or 1)
+ */
+export function invalidateCacheKey(key) {
+  return cache.delete(key) ? 1 : 0;
+}
+
+/**
+ * Remove every entry for a claim, across all option combinations
+ * @returns {number} Number of entries removed
+ */
+export function invalidateClaim(claim) {
+  const normalized = normalizeClaim(claim);
+  let removed = 0;
+
+  for (const [key, entry] of cache) {
+    if (entry.normalizedClaim === normalized) {
+      cache.delete(key);
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Remove all entries
+ * @returns {number} Number of entries removed
+ */
+export function clearVerdictCache() {
+  const removed = cache.size;
+  cache.clear();
+  return removed;
+}
+
+/**
+ * Get cache statistics
+ */
+export function getVerdictCacheStats() {
+  const total = stats.hits + stats.misses;
+
+  return {
+    enabled: CACHE_ENABLED,
+    entries: cache.size,
+    maxEntries: MAX_ENTRIES,
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: total > 0 ? stats.hits / total : 0,
+    ttlByTemporality: CACHE_TTL_BY_TEMPORALITY
+  };
+}
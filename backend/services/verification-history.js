@@ -0,0 +1,185 @@
+/**
+ * Verification History
+ * Persists every verification to a local JSON Lines file and supports paginated queries
+ * Only the newest VERIFICATION_HISTORY_MAX_ENTRIES records are kept (default: 1000).
+ */
+
+import { randomUUID } from 'crypto';
+import { resolveDataPath, readJSONLines, appendJSONLine, writeJSONLines } from '../utils/json-store.js';
+
+const HISTORY_ENABLED = process.env.VERIFICATION_HISTORY_ENABLED !== 'false';
+const MAX_ENTRIES = parseInt(process.env.VERIFICATION_HISTORY_MAX_ENTRIES || '1000', 10);
+const HISTORY_FILE = resolveDataPath('verifications.jsonl');
+
+export const MAX_PAGE_SIZE = 100;
+
+let historyPromise = null;
+
+/**
+ * Check whether history persistence is enabled (VERIFICATION_HISTORY_ENABLED)
+ */
+export function isHistoryEnabled() {
+  return HISTORY_ENABLED;
+}
+
+/**
+ * Load history from disk on first use
+ * A failed load is not cached, so the next call retries.
+ */
+function loadHistory() {
+  if (!historyPromise) {
+    historyPromise = readJSONLines(HISTORY_FILE)
+      .then(records => {
+        console.log(`📚 Loaded verification history (${records.length} records)`);
+        return records;
+      })
+      .catch(error => {
+        historyPromise = null;
+        throw error;
+      });
+  }
+  return historyPromise;
+}
+
+/**
+ * Persist a verification
+ *
+ * @param {string} claim - The verified claim
+ * @param {Object} options - Pipeline options used for the request
+ * @param {Object} result - Pipeline result
+ * @param {number} durationMs - Wall-clock time of the request, including cache lookups
+ * @returns {Promise<Object|null>} Stored record, or null if persistence failed
+ */
+export async function recordVerification(claim, options, result, durationMs) {
+  const record = {
+    id: randomUUID(),
+    claim,
+    options: sanitizeOptions(options),
+    verdict: result.verdict,
+    confidence: result.confidence,
+    reasoning: result.reasoning,
+    citations: result.citations || [],
+    contradictions: result.contradictions || [],
+    evidence: result.evidence || [],
+    critique: result.critique || null,
+    language: result.language || null,
+    stanceBreakdown: result.stanceBreakdown || null,
+    conflicts: result.conflicts || [],
+    strategy: result.strategy?.strategy || null,
+    strategyName: result.strategy?.strategyName || null,
+    claimAnalysis: result.claimAnalysis || null,
+    subClaims: result.subClaims?.map(({ index, claim, verdict, confidence }) => ({ index, claim, verdict, confidence })) || null,
+    cacheHit: Boolean(result.cache?.hit),
+    semanticMatch: result.semanticMatch || null,
+    processingTime: result.processingTime,
+    durationMs,
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    const history = await loadHistory();
+    history.push(record);
+
+    // Drop the oldest records once over the cap
+    if (history.length > MAX_ENTRIES) {
+      history.splice(0, history.length - MAX_ENTRIES);
+      await writeJSONLines(HISTORY_FILE, history);
+    } else {
+      await appendJSONLine(HISTORY_FILE, record);
+    }
+    return record;
+  } catch (error) {
+    console.error('   ⚠️  Could not persist verification history:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Keep only serializable, user-supplied pipeline options
+ */
+function sanitizeOptions(options = {}) {
+  const { onProgress, signal, recordHistory, ...rest } = options;
+  return rest;
+}
+
+/**
+ * Query verification history, newest first
+ *
+ * @param {Object} query - Query parameters
+ * @param {number} query.page - 1-based page number (default: 1)
+ * @param {number} query.limit - Page size (default: 20, max: 100)
+ * @param {string[]} query.verdicts - Only these verdicts
+ * @param {string[]} query.strategies - Only these strategies
+ * @param {Date} query.from - Created at or after
+ * @param {Date} query.to - Created at or before
+ * @param {string} query.q - Case-insensitive text search over claim and reasoning
+ * @returns {Promise<Object>} { items, total, page, limit, totalPages }
+ */
+export async function queryVerifications(query = {}) {
+  const {
+    page = 1,
+    limit = 20,
+    verdicts = [],
+    strategies = [],
+    from = null,
+    to = null,
+    q = ''
+  } = query;
+
+  const history = await loadHistory();
+  const search = q.trim().toLowerCase();
+  const pageSize = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+
+  const matches = history.filter(record => {
+    if (verdicts.length > 0 && !verdicts.includes(record.verdict)) return false;
+    if (strategies.length > 0 && !strategies.includes(record.strategy)) return false;
+
+    const createdAt = new Date(record.createdAt);
+    if (from && createdAt < from) return false;
+    if (to && createdAt > to) return false;
+
+    if (search) {
+      const text = `${record.claim} ${record.reasoning || ''}`.toLowerCase();
+      if (!text.includes(search)) return false;
+    }
+
+    return true;
+  });
+
+  matches.reverse();
+  const start = (page - 1) * pageSize;
+
+  return {
+    items: matches.slice(start, start + pageSize).map(toSummary),
+    total: matches.length,
+    page,
+    limit: pageSize,
+    totalPages: Math.ceil(matches.length / pageSize)
+  };
+}
+
+/**
+ * Get a full verification record by ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getVerification(id) {
+  const history = await loadHistory();
+  return history.find(record => record.id === id) || null;
+}
+
+/**
+ * List view of a record (without evidence, citations and critique details)
+ */
+function toSummary(record) {
+  return {
+    id: record.id,
+    claim: record.claim,
+    verdict: record.verdict,
+    confidence: record.confidence,
+    strategy: record.strategy,
+    evidenceCount: record.evidence.length,
+    cacheHit: record.cacheHit,
+    processingTime: record.processingTime,
+    createdAt: record.createdAt
+  };
+}
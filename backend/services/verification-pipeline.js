@@ -1,10 +1,19 @@
-import { ChatOpenAI } from '@langchain/openai';
 import { searchWeb } from './websearch.js';
-import { similaritySearch, isPineconeAvailable } from './vectordb.js';
+import { similaritySearch, isVectorStoreAvailable } from './vectordb.js';
+import { searchLocalCorpus, isLocalCorpusEnabled } from './local-corpus.js';
+import { fuseRankedLists, getFusionMethod } from './rank-fusion.js';
+import { rerankEvidence } from './reranker.js';
+import { analyzeStances, summarizeStances, mergeStanceBreakdowns } from './stance-analyzer.js';
+import { detectConflicts } from './conflict-detector.js';
+import { withCredibility } from './credibility-registry.js';
+import { retrievePassages } from './passage-retrieval.js';
+import { translateEvidence } from './evidence-translation.js';
+import { guessLanguage, normalizeLanguage, getLanguageName } from './language.js';
 import {
   claimAnalysisPrompt,
   verificationPrompt,
   formatEvidenceForPrompt,
+  formatConflictsForPrompt,
   ClaimAnalysisSchema,
   VerdictSchema
 } from './prompts.js';
@@ -25,57 +34,134 @@ import {
   getCritiqueSummary,
   applyCritiqueSuggestions
 } from '../agents/critique-agent.js';
+import {
+  shouldDecomposeClaim,
+  decomposeClaim,
+  aggregateSubClaimVerdicts,
+  getDecompositionMetadata
+} from './claim-decomposition.js';
+import {
+  isVerdictCacheEnabled,
+  buildCacheKey,
+  getCachedVerdict,
+  setCachedVerdict,
+  getCacheMetadata
+} from './verdict-cache.js';
+import {
+  isSemanticIndexEnabled,
+  findSimilarClaim,
+  indexVerifiedClaim,
+  getSemanticMatchMetadata
+} from './claim-similarity.js';
+import { isHistoryEnabled, recordVerification } from './verification-history.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { ApiError, ErrorCode, classifyError } from '../utils/errors.js';
+import {
+  PipelineEvent,
+  createProgressEmitter,
+  summarizeEvidenceForEvent
+} from './pipeline-events.js';
+import { LLMRole, getStructuredModel } from './llm-provider.js';
 
-let llm = null;
-let llmMini = null;
+const SUB_CLAIM_CONCURRENCY = 3;
 
 /**
- * Get or create ChatOpenAI instance for main verification (GPT-4o)
+ * Complete Verification Pipeline with Agentic Workflow
+ * 
+ * Flow: Analyze → Route → Retrieve → Verify → Critique → Return
+ * Complex claims: Analyze → Decompose → (pipeline per sub-claim) → Aggregate → Return
+ *
+ * Pass options.onProgress to receive a typed event (see PipelineEvent) as each stage completes,
+ * and options.signal (AbortSignal) to cancel in-flight LLM and search calls.
+ *
+ * Results are served from the verdict cache while a fresh entry exists. Pass
+ * options.useCache = false to force a new run (its result still refreshes the cache).
+ *
+ * On a cache miss, earlier verifications of paraphrased claims are looked up by
+ * embedding distance (options.maxSemanticDistance). A match is reported as
+ * semanticMatch; with options.reuseSimilar = true its result is returned as-is.
+ *
+ * Every top-level verification (including cache hits) is recorded in the
+ * verification history; sub-claim runs pass options.recordHistory = false.
  */
-function getLLM() {
-  if (!llm) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
+export async function verifyClaimWithPipeline(claim, options = {}) {
+  const {
+    useCache = true,
+    useSemanticMatch = true,
+    reuseSimilar = false,
+    maxSemanticDistance,
+    onProgress = null,
+    recordHistory = true
+  } = options;
+  const startTime = Date.now();
+  const emit = createProgressEmitter(onProgress);
+  const cacheKey = buildCacheKey(claim, options);
+
+  const complete = async (result) => {
+    if (recordHistory && isHistoryEnabled()) {
+      const record = await recordVerification(claim, options, result, Date.now() - startTime);
+      if (record) result.historyId = record.id;
+    }
+    emit(PipelineEvent.COMPLETE, result);
+    return result;
+  };
+
+  emit(PipelineEvent.STARTED, { claim });
+
+  if (useCache && isVerdictCacheEnabled()) {
+    const entry = getCachedVerdict(cacheKey);
+
+    if (entry) {
+      console.log(`\n⚡ Verdict cache hit for "${claim}" (expires ${new Date(entry.expiresAt).toISOString()})`);
+      return complete({ ...entry.result, cache: getCacheMetadata(entry, true) });
     }
-    llm = new ChatOpenAI({
-      modelName: 'gpt-4o',
-      temperature: 0.2,
-      openAIApiKey: process.env.OPENAI_API_KEY
-    });
   }
-  return llm;
-}
 
-/**
- * Get or create ChatOpenAI instance for analysis (GPT-4o-mini)
- */
-function getLLMMini() {
-  if (!llmMini) {
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
+  let similar = { match: null, embedding: null };
+
+  if (useSemanticMatch && isSemanticIndexEnabled()) {
+    similar = await findSimilarClaim(claim, { pipelineOptions: options, maxDistance: maxSemanticDistance });
+
+    if (similar.match) {
+      console.log(`\n🧠 Similar claim found: "${similar.match.claim}" (distance ${similar.match.distance})`);
+
+      if (reuseSimilar) {
+        return complete({
+          ...similar.match.result,
+          semanticMatch: getSemanticMatchMetadata(similar.match, true)
+        });
+      }
     }
-    llmMini = new ChatOpenAI({
-      modelName: 'gpt-4o-mini',
-      temperature: 0.3,
-      openAIApiKey: process.env.OPENAI_API_KEY
-    });
   }
-  return llmMini;
+
+  const result = await runPipeline(claim, options, emit);
+  result.semanticMatch = similar.match ? getSemanticMatchMetadata(similar.match, false) : null;
+
+  if (isVerdictCacheEnabled()) {
+    const entry = setCachedVerdict(cacheKey, claim, result);
+    result.cache = getCacheMetadata(entry, false);
+  }
+
+  if (useSemanticMatch && isSemanticIndexEnabled()) {
+    await indexVerifiedClaim(claim, result, { embedding: similar.embedding, pipelineOptions: options });
+  }
+
+  return complete(result);
 }
 
 /**
- * Complete Verification Pipeline with Agentic Workflow
- * 
- * Flow: Analyze → Route → Retrieve → Verify → Critique → Return
+ * Run the pipeline stages for a claim (no caching)
  */
-export async function verifyClaimWithPipeline(claim, options = {}) {
+async function runPipeline(claim, options, emit) {
   const startTime = Date.now();
   const { 
     context = '', 
     useWebSearch = true, 
     useVectorSearch = true,
     forceStrategy = null,
-    enableCritique = true
+    enableCritique = true,
+    decompose = true,
+    signal
   } = options;
 
   console.log('\n' + '='.repeat(80));
@@ -86,12 +172,39 @@ export async function verifyClaimWithPipeline(claim, options = {}) {
   try {
     // STEP 1: Analyze Claim
     console.log('\n📋 STEP 1: Analyzing claim...');
-    const analysis = await analyzeClaim(claim);
+    const analysis = await analyzeClaim(claim, { signal });
     console.log(`   Type: ${analysis.type}`);
     console.log(`   Temporality: ${analysis.temporality}`);
     console.log(`   Complexity: ${analysis.complexity}`);
     console.log(`   Entities: ${analysis.entities.join(', ')}`);
     console.log(`   Keywords: ${analysis.keywords.join(', ')}`);
+    console.log(`   Language: ${analysis.language}`);
+    emit(PipelineEvent.ANALYSIS, analysis);
+
+    // Evidence is read in English from translation on, so those stages compare it with the English claim
+    const englishClaim = analysis.englishClaim || claim;
+
+    // STEP 1b: Decompose complex claims into sub-claims
+    if (decompose && shouldDecomposeClaim(analysis)) {
+      console.log('\n🧩 STEP 1b: Decomposing complex claim...');
+      const subClaims = await decomposeClaim(claim, analysis, { signal });
+
+      if (subClaims.length > 1) {
+        subClaims.forEach((sub, i) => console.log(`   ${i + 1}. ${sub.claim}`));
+        emit(PipelineEvent.DECOMPOSITION, { subClaims });
+
+        const result = await verifyDecomposedClaim(analysis, subClaims, options, emit);
+        result.processingTime = `${((Date.now() - startTime) / 1000).toFixed(2)}s`;
+
+        console.log('\n' + '='.repeat(80));
+        console.log(`✅ VERIFICATION COMPLETE in ${result.processingTime} (${subClaims.length} sub-claims)`);
+        console.log('='.repeat(80) + '\n');
+
+        return result;
+      }
+
+      console.log('   Claim could not be split, verifying as a single claim');
+    }
 
     // STEP 2: Route to Strategy
     console.log('\n🛤️  STEP 2: Routing to verification strategy...');
@@ -100,6 +213,7 @@ export async function verifyClaimWithPipeline(claim, options = {}) {
     const strategyMetadata = getStrategyMetadata(strategy, analysis);
     console.log(`   Selected: ${strategyMetadata.strategyName} ${strategyMetadata.icon}`);
     console.log(`   Reason: ${strategyMetadata.explanation}`);
+    emit(PipelineEvent.ROUTING, strategyMetadata);
 
     // STEP 3: Retrieve Evidence (strategy-dependent)
     console.log('\n🔎 STEP 3: Retrieving evidence...');
@@ -108,26 +222,88 @@ export async function verifyClaimWithPipeline(claim, options = {}) {
 
     if (strategy === VerificationStrategy.AGENTIC) {
       // Use agentic workflow
-      const agentResult = await runVerificationAgent(claim, analysis);
+      const agentResult = await runVerificationAgent(claim, analysis, {
+        maxIterations: strategyConfig.maxIterations,
+        onStep: step => emit(PipelineEvent.AGENT_STEP, step),
+        signal
+      });
       evidence = agentResult.evidence;
       agentSteps = formatAgentSteps(agentResult.steps);
       
-      console.log(`   Agent used ${agentResult.toolCalls} tools in ${agentResult.duration}s`);
+      console.log(`   Agent used ${agentResult.toolCalls} tools in ${agentResult.iterations} turns, ${agentResult.duration}s (${agentResult.stopReason})`);
       console.log(`   Collected ${evidence.length} sources`);
     } else {
       // Use traditional hybrid/simple retrieval
       evidence = await retrieveEvidence(claim, analysis, {
         useWebSearch: strategyConfig.useWebSearch,
         useVectorSearch: strategyConfig.useVectorSearch,
-        maxSources: strategyConfig.maxSources
+        useLocalCorpus: strategyConfig.useLocalCorpus,
+        usePassageRetrieval: strategyConfig.usePassageRetrieval,
+        maxSources: strategyConfig.maxSources,
+        fusion: strategyConfig.fusion,
+        onBatch: batch => emit(PipelineEvent.EVIDENCE, batch),
+        signal
       });
       console.log(`   Collected ${evidence.length} sources`);
     }
 
+    // STEP 3a: Translate non-English evidence so every later stage reads English
+    if (evidence.length > 0) {
+      const translation = await translateEvidence(englishClaim, evidence, { signal });
+      evidence = translation.evidence;
+      if (translation.languages.length > 0) {
+        console.log(`\n🌍 STEP 3a: Translated ${translation.translated} source(s) from ${translation.languages.join(', ')}`);
+        emit(PipelineEvent.TRANSLATION, { translated: translation.translated, languages: translation.languages });
+      }
+    }
+
+    // STEP 3b: Rerank evidence by relevance to the claim
+    if (evidence.length > 0) {
+      console.log('\n🎯 STEP 3b: Reranking evidence...');
+      const reranked = await rerankEvidence(englishClaim, evidence, { signal });
+      evidence = reranked.evidence;
+      console.log(reranked.threshold === null
+        ? '   Reranking disabled'
+        : `   ${reranked.reranker}: kept ${evidence.length}, dropped ${reranked.dropped} below ${reranked.threshold}`);
+      emit(PipelineEvent.RERANK, {
+        reranker: reranked.reranker,
+        threshold: reranked.threshold,
+        kept: evidence.length,
+        dropped: reranked.dropped
+      });
+    }
+
+    // STEP 3c: Label each source as supporting, refuting, neutral or unrelated
+    let stanceBreakdown = null;
+    if (evidence.length > 0) {
+      console.log('\n⚖️  STEP 3c: Analyzing evidence stance...');
+      evidence = await analyzeStances(englishClaim, evidence, { signal });
+      stanceBreakdown = summarizeStances(evidence);
+      console.log(`   Supports: ${stanceBreakdown.supports}, Refutes: ${stanceBreakdown.refutes}, Neutral: ${stanceBreakdown.neutral}, Unrelated: ${stanceBreakdown.unrelated}`);
+      emit(PipelineEvent.STANCE, stanceBreakdown);
+    }
+
+    // STEP 3d: Find sources that disagree on the same date, number or role
+    let conflicts = [];
+    if (evidence.length > 1) {
+      console.log('\n⚔️  STEP 3d: Detecting conflicts between sources...');
+      const detection = await detectConflicts(englishClaim, evidence, { signal });
+      conflicts = detection.conflicts;
+      console.log(`   ${conflicts.length} conflict(s) from ${detection.candidates} candidate(s) (${detection.mode})`);
+      emit(PipelineEvent.CONFLICTS, { count: conflicts.length, conflicts });
+    }
+
     // STEP 4: Assess Evidence Sufficiency
     console.log('\n📊 STEP 4: Assessing evidence sufficiency...');
     const sufficiencyAssessment = assessEvidenceSufficiency(evidence, analysis);
     console.log(`   ${getAssessmentSummary(sufficiencyAssessment)}`);
+    emit(PipelineEvent.SUFFICIENCY, {
+      isSufficient: sufficiencyAssessment.isSufficient,
+      score: sufficiencyAssessment.score,
+      recommendation: sufficiencyAssessment.recommendation,
+      missingAspects: sufficiencyAssessment.missingAspects,
+      stance: sufficiencyAssessment.stance
+    });
 
     if (!sufficiencyAssessment.isSufficient) {
       console.log('   ⚠️  Evidence may be insufficient, but proceeding with verification');
@@ -135,14 +311,19 @@ export async function verifyClaimWithPipeline(claim, options = {}) {
 
     // STEP 5: Verify with Evidence
     console.log('\n🧠 STEP 5: Generating verdict...');
-    let verdict = await verifyWithEvidence(claim, evidence);
+    let verdict = await verifyWithEvidence(claim, evidence, { conflicts, language: analysis.language, signal });
     console.log(`   Verdict: ${verdict.verdict} (confidence: ${verdict.confidence})`);
+    emit(PipelineEvent.VERDICT, {
+      verdict: verdict.verdict,
+      confidence: verdict.confidence,
+      reasoning: verdict.reasoning
+    });
 
     // STEP 6: Self-Critique (if enabled)
     let critique = null;
     if (enableCritique) {
       console.log('\n🔍 STEP 6: Running self-critique...');
-      critique = await critiqueVerification(claim, verdict, evidence);
+      critique = await critiqueVerification(claim, verdict, evidence, { conflicts, signal });
       console.log(`   ${getCritiqueSummary(critique)}`);
 
       // Regenerate if critical issues found
@@ -151,6 +332,15 @@ export async function verifyClaimWithPipeline(claim, options = {}) {
         verdict = applyCritiqueSuggestions(verdict, critique);
         console.log(`   Updated verdict: ${verdict.verdict} (confidence: ${verdict.confidence})`);
       }
+
+      emit(PipelineEvent.CRITIQUE, {
+        isValid: critique.isValid,
+        confidence: critique.confidence,
+        summary: getCritiqueSummary(critique),
+        issues: critique.issues,
+        verdict: verdict.verdict,
+        verdictConfidence: verdict.confidence
+      });
     }
 
     // Calculate total processing time
@@ -161,7 +351,7 @@ export async function verifyClaimWithPipeline(claim, options = {}) {
     console.log('='.repeat(80) + '\n');
 
     // Return comprehensive result
-    return {
+    const result = {
       ...verdict,
       claimAnalysis: analysis,
       strategy: strategyMetadata,
@@ -177,27 +367,128 @@ export async function verifyClaimWithPipeline(claim, options = {}) {
         issues: critique.issues
       } : null,
       agentSteps: agentSteps,
+      language: analysis.language,
+      stanceBreakdown,
+      conflicts,
+      evidence,
       processingTime: `${processingTime}s`,
       timestamp: new Date().toISOString()
     };
 
+    return result;
+
   } catch (error) {
-    console.error('\n❌ Pipeline Error:', error.message);
+    const { message, code } = classifyError(error, { signal });
+    console.error(`\n❌ Pipeline Error [${code}]:`, message);
+    emit(PipelineEvent.ERROR, { message, code });
     throw error;
   }
 }
 
+/**
+ * Verify each sub-claim through its own pipeline run and aggregate the verdicts
+ * A failed sub-claim counts as NOT_ENOUGH_EVIDENCE unless every sub-claim failed
+ */
+async function verifyDecomposedClaim(analysis, subClaims, options, emit) {
+  // Sub-claim runs report only their completion, not their inner stages
+  const { onProgress, signal, ...subOptions } = options;
+
+  const settled = await mapWithConcurrency(subClaims, SUB_CLAIM_CONCURRENCY, async (sub, i) => {
+    const result = await verifyClaimWithPipeline(sub.claim, {
+      ...subOptions,
+      signal,
+      decompose: false,
+      recordHistory: false
+    });
+    emit(PipelineEvent.SUB_CLAIM, {
+      index: i + 1,
+      claim: sub.claim,
+      verdict: result.verdict,
+      confidence: result.confidence
+    });
+    return result;
+  });
+  signal?.throwIfAborted();
+
+  if (settled.every(outcome => outcome.status === 'rejected')) {
+    throw settled[0].reason;
+  }
+
+  const subResults = settled.map((outcome, i) => {
+    const { claim, aspect } = subClaims[i];
+
+    if (outcome.status === 'rejected') {
+      return {
+        index: i + 1,
+        claim,
+        aspect,
+        verdict: 'NOT_ENOUGH_EVIDENCE',
+        confidence: 0,
+        reasoning: `Sub-claim could not be verified: ${outcome.reason.message}`,
+        citations: [],
+        contradictions: [],
+        conflicts: [],
+        error: outcome.reason.message
+      };
+    }
+
+    const result = outcome.value;
+    return {
+      index: i + 1,
+      claim,
+      aspect,
+      verdict: result.verdict,
+      confidence: result.confidence,
+      reasoning: result.reasoning,
+      citations: result.citations,
+      contradictions: result.contradictions,
+      strategy: result.strategy?.strategy,
+      evidenceSufficiency: result.evidenceSufficiency,
+      critique: result.critique,
+      stanceBreakdown: result.stanceBreakdown || null,
+      conflicts: result.conflicts || [],
+      evidence: result.evidence || [],
+      processingTime: result.processingTime
+    };
+  });
+
+  const verdict = aggregateSubClaimVerdicts(subResults);
+  const sufficientCount = subResults.filter(r => r.evidenceSufficiency?.isSufficient).length;
+  const meanSufficiency = subResults.reduce((sum, r) => sum + (r.evidenceSufficiency?.score || 0), 0) / subResults.length;
+
+  console.log(`\n🧩 Aggregated verdict: ${verdict.verdict} (confidence: ${verdict.confidence})`);
+
+  return {
+    ...verdict,
+    claimAnalysis: analysis,
+    strategy: getDecompositionMetadata(subClaims.length),
+    evidenceSufficiency: {
+      isSufficient: sufficientCount === subResults.length,
+      score: meanSufficiency,
+      summary: `${sufficientCount}/${subResults.length} sub-claims have sufficient evidence`
+    },
+    critique: null,
+    agentSteps: null,
+    language: analysis.language,
+    stanceBreakdown: mergeStanceBreakdowns(subResults.map(r => r.stanceBreakdown)),
+    conflicts: subResults.flatMap(r => r.conflicts.map(conflict => ({ ...conflict, subClaimIndex: r.index }))),
+    evidence: subResults.flatMap(r => (r.evidence || []).map(item => ({ ...item, subClaimIndex: r.index }))),
+    subClaims: subResults,
+    timestamp: new Date().toISOString()
+  };
+}
+
 /**
  * Analyze the claim to extract key information using LangChain
  */
-async function analyzeClaim(claim) {
+async function analyzeClaim(claim, { signal } = {}) {
   try {
-    const model = getLLMMini();
-    const structuredLLM = model.withStructuredOutput(ClaimAnalysisSchema);
+    const structuredLLM = getStructuredModel(LLMRole.ANALYSIS, ClaimAnalysisSchema);
     const chain = claimAnalysisPrompt.pipe(structuredLLM);
-    const result = await chain.invoke({ claim });
-    return result;
+    const result = await chain.invoke({ claim }, { signal });
+    return { ...result, language: normalizeLanguage(result.language) };
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('   ⚠️  Error analyzing claim:', error.message);
     return {
       type: 'fact',
@@ -205,26 +496,31 @@ async function analyzeClaim(claim) {
       isRecent: false,
       keywords: [claim],
       temporality: 'timeless',
-      complexity: 'simple'
+      complexity: 'simple',
+      language: guessLanguage(claim),
+      englishClaim: claim,
+      englishEntities: []
     };
   }
 }
 
 /**
  * Verify claim against retrieved evidence using LangChain with structured output
+ * Reasoning is written in the claim's language
  */
-async function verifyWithEvidence(claim, evidence) {
+async function verifyWithEvidence(claim, evidence, { conflicts = [], language = 'en', signal } = {}) {
   const evidenceText = formatEvidenceForPrompt(evidence);
 
   try {
-    const model = getLLM();
-    const structuredLLM = model.withStructuredOutput(VerdictSchema);
+    const structuredLLM = getStructuredModel(LLMRole.VERDICT, VerdictSchema);
     const chain = verificationPrompt.pipe(structuredLLM);
     
     const result = await chain.invoke({
       claim,
-      evidence: evidenceText
-    });
+      evidence: evidenceText,
+      conflicts: formatConflictsForPrompt(conflicts),
+      language: getLanguageName(language)
+    }, { signal });
     
     // Enhance citations with full details from evidence
     if (result.citations) {
@@ -233,114 +529,130 @@ async function verifyWithEvidence(claim, evidence) {
         return {
           ...citation,
           snippet: evidenceItem?.snippet,
-          credibility: evidenceItem?.credibility
+          credibility: evidenceItem?.credibility,
+          credibilityRule: evidenceItem?.credibilityRule,
+          sectionTitle: evidenceItem?.sectionTitle,
+          translatedFrom: evidenceItem?.translatedFrom,
+          stance: evidenceItem?.stance
         };
       });
     }
 
     return result;
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('   ⚠️  Error verifying claim:', error.message);
-    throw new Error(`Verification failed: ${error.message}`);
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(ErrorCode.LLM_UNAVAILABLE, `Verification failed: ${error.message}`, null, { cause: error });
   }
 }
 
 /**
- * Hybrid evidence retrieval combining vector DB and web search
+ * Hybrid evidence retrieval combining vector DB, local corpus and web search
  */
 async function retrieveEvidence(claim, analysis, options = {}) {
   const { 
     useWebSearch = true, 
     useVectorSearch = true, 
-    maxSources = 8 
+    useLocalCorpus = true,
+    usePassageRetrieval = true,
+    maxSources = 8,
+    fusion = {},
+    onBatch = null,
+    signal
   } = options;
   
-  const evidence = [];
+  // Ranked list per retriever, fused at the end
+  const lists = {};
+  const failures = [];
   
   // 1. Search vector database (knowledge base)
-  if (useVectorSearch && isPineconeAvailable()) {
+  if (useVectorSearch && isVectorStoreAvailable()) {
     try {
       console.log('   📊 Searching vector database...');
       const documents = await similaritySearch(claim, 5, null, 'knowledge-base');
       
-      for (const doc of documents) {
-        evidence.push({
-          title: `Knowledge Base: ${doc.metadata.claim || 'Fact'}`,
-          url: doc.metadata.source || 'internal://knowledge-base',
-          snippet: doc.metadata.explanation || doc.pageContent,
-          credibility: doc.metadata.credibility || 'high',
-          source: 'vector',
-          score: doc.metadata.score,
-          verdict: doc.metadata.verdict
-        });
-      }
+      const vectorResults = documents.map(doc => withCredibility({
+        title: `Knowledge Base: ${doc.metadata.claim || 'Fact'}`,
+        url: doc.metadata.source || 'internal://knowledge-base',
+        snippet: doc.metadata.explanation || doc.pageContent,
+        source: 'vector',
+        score: doc.metadata.score,
+        verdict: doc.metadata.verdict
+      }));
+      lists.vector = vectorResults;
       
       console.log(`      └─ Found ${documents.length} matches`);
+      onBatch?.({ source: 'vector', count: vectorResults.length, items: summarizeEvidenceForEvent(vectorResults) });
     } catch (error) {
       console.error('      └─ Vector search failed:', error.message);
+      failures.push(error);
+    }
+  }
+  signal?.throwIfAborted();
+  
+  // 2. Search local document corpus (BM25)
+  if (useLocalCorpus && isLocalCorpusEnabled()) {
+    try {
+      console.log('   📚 Searching local corpus...');
+      const corpusResults = await searchLocalCorpus(claim, { topK: 5 });
+      lists.keyword = corpusResults;
+      
+      console.log(`      └─ Found ${corpusResults.length} passages`);
+      onBatch?.({ source: 'local-corpus', count: corpusResults.length, items: summarizeEvidenceForEvent(corpusResults) });
+    } catch (error) {
+      console.error('      └─ Local corpus search failed:', error.message);
+      failures.push(error);
     }
   }
+  signal?.throwIfAborted();
   
-  // 2. Search web (Wikipedia, news, etc.)
+  // 3. Search web (Wikipedia, news, etc.)
   if (useWebSearch) {
     try {
       console.log('   🌐 Searching web...');
       const webResults = await searchWeb(claim, analysis.entities, {
         temporality: analysis.temporality,
-        maxResults: 5
-      });
-      
-      webResults.forEach(result => {
-        evidence.push({
-          ...result,
-          source: result.source || 'web'
-        });
+        keywords: analysis.keywords,
+        language: analysis.language,
+        english: { claim: analysis.englishClaim, entities: analysis.englishEntities },
+        maxResults: 5,
+        signal
       });
       
+      let taggedResults = webResults.map(result => ({
+        ...result,
+        source: result.source || 'web'
+      }));
       console.log(`      └─ Found ${webResults.length} web sources`);
+
+      // Swap snippets for the most relevant passages of each full page
+      taggedResults = usePassageRetrieval
+        ? await retrievePassages(analysis.englishClaim || claim, taggedResults, { signal })
+        : taggedResults.map(({ rawContent, ...result }) => result);
+      lists.web = taggedResults;
+      
+      onBatch?.({ source: 'web', count: taggedResults.length, items: summarizeEvidenceForEvent(taggedResults) });
     } catch (error) {
+      if (signal?.aborted) throw error;
       console.error('      └─ Web search failed:', error.message);
+      failures.push(error);
     }
   }
+  signal?.throwIfAborted();
   
-  // 3. Fallback to mock if no evidence found
-  if (evidence.length === 0) {
+  // 4. No evidence: surface upstream failures, otherwise let the verdict say so
+  if (Object.values(lists).every(list => list.length === 0)) {
+    if (failures.length > 0) throw failures[0];
     console.log('   ⚠️  No evidence found');
     return [];
   }
   
-  // Deduplicate and sort by relevance
-  return deduplicateEvidence(evidence).slice(0, maxSources);
-}
-
-/**
- * Deduplicate evidence and sort by relevance
- */
-function deduplicateEvidence(evidence) {
-  const seen = new Set();
-  const unique = [];
-  
-  for (const item of evidence) {
-    const key = item.url + '::' + item.snippet.substring(0, 100);
-    
-    if (!seen.has(key)) {
-      seen.add(key);
-      unique.push(item);
-    }
-  }
-  
-  // Sort: vector results first (higher quality), then by score/credibility
-  unique.sort((a, b) => {
-    if (a.source === 'vector' && b.source !== 'vector') return -1;
-    if (a.source !== 'vector' && b.source === 'vector') return 1;
-    
-    const scoreA = a.score || (a.credibility === 'high' ? 0.8 : 0.5);
-    const scoreB = b.score || (b.credibility === 'high' ? 0.8 : 0.5);
-    
-    return scoreB - scoreA;
-  });
+  // Merge the ranked lists (deduplicates across retrievers)
+  const evidence = fuseRankedLists(lists, fusion);
+  console.log(`   🔀 Fused ${evidence.length} unique sources (${getFusionMethod(fusion.method)})`);
   
-  return unique;
+  return evidence.slice(0, maxSources);
 }
 
 /**
@@ -1,69 +1,120 @@
 /**
  * Web search service for retrieving real-time evidence
- * Uses Tavily API for news/current events, falls back to Wikipedia
+ * Queries the registered search providers (see search-providers/index.js) in
+ * per-temporality priority order
  */
 
-import { searchTavily, searchTavilyNews, isTavilyAvailable } from './tavily-search.js';
+import {
+  getSearchProvider,
+  getProviderPriority,
+  getSearchMode,
+  normalizeSearchResult
+} from './search-providers/index.js';
+import { DEFAULT_LANGUAGE } from './language.js';
+import { ApiError, ErrorCode } from '../utils/errors.js';
 
 /**
  * Search the web for evidence related to the claim
+ * In cascade mode the first provider that returns results wins; in merge mode
+ * every available provider is queried and duplicate results are dropped.
  * 
  * @param {string} claim - The claim to search for
  * @param {string[]} entities - Key entities extracted from the claim
  * @param {Object} options - Search options
  * @param {string} options.temporality - 'current', 'recent', 'historical', 'timeless'
- * @param {number} options.maxResults - Maximum number of results
- * @returns {Promise<Array>} Search results with title, url, snippet, credibility
+ * @param {string[]} options.keywords - Keywords from claim analysis, combined with entities by full-text providers
+ * @param {string} options.language - ISO 639-1 code of the claim's language (default: 'en')
+ * @param {Object} options.english - { claim, entities } in English, searched alongside non-English claims
+ * @param {number} options.maxResults - Maximum number of results per provider
+ * @param {string[]} options.providers - Provider names to try instead of the configured priority
+ * @param {AbortSignal} options.signal - Cancels in-flight search requests
+ * @returns {Promise<Array>} Search results with title, url, snippet, credibility, source, publishedDate
+ * @throws {ApiError} SEARCH_FAILED when every provider failed
  */
 export async function searchWeb(claim, entities = [], options = {}) {
-  const { temporality = 'recent', maxResults = 5 } = options;
+  const {
+    temporality = 'recent',
+    maxResults = 5,
+    keywords = [],
+    language = DEFAULT_LANGUAGE,
+    english = null,
+    signal = null
+  } = options;
   
-  console.log(`Searching web for evidence (temporality=${temporality})...`);
+  // Use entities for better search results, fallback to claim keywords
+  let searchTerms = entities.length > 0 ? entities : extractKeywords(claim);
   
-  try {
-    // Use entities for better search results, fallback to claim keywords
-    let searchTerms = entities.length > 0 ? entities : extractKeywords(claim);
-    
-    // Clean entity names (remove titles, honorifics)
-    searchTerms = searchTerms.map(cleanEntityName);
-    
-    const searchQuery = searchTerms[0] || claim;
-    
-    // For timeless/historical claims, use Wikipedia directly (skip Tavily)
-    if (temporality === 'timeless' || temporality === 'historical') {
-      console.log(`   └─ Using Wikipedia for ${temporality} claim (skipping Tavily)`);
-      const results = await searchWikipedia(searchQuery);
-      return results;
+  // Clean entity names (remove titles, honorifics)
+  searchTerms = searchTerms.map(cleanEntityName);
+  
+  const request = {
+    text: claim,
+    query: searchTerms[0] || claim,
+    terms: searchTerms,
+    keywords: keywords.map(cleanEntityName),
+    language,
+    english: language !== DEFAULT_LANGUAGE && english ? buildEnglishRequest(english) : null
+  };
+  
+  const names = (options.providers || getProviderPriority(temporality))
+    .filter(name => getSearchProvider(name)?.isAvailable());
+  const mode = getSearchMode();
+  
+  console.log(`Searching web for evidence (temporality=${temporality}, ${mode}: ${names.join(' → ') || 'no providers'})...`);
+  
+  const failures = [];
+  const runProvider = async name => {
+    try {
+      const results = await getSearchProvider(name).search(request, { temporality, maxResults, signal });
+      return results.map(result => normalizeSearchResult(result, name));
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.log(`   └─ ${name} search failed: ${error.message}`);
+      failures.push(error);
+      return [];
     }
-    
-    // For current/recent claims, try Tavily first (if available)
-    if ((temporality === 'current' || temporality === 'recent') && isTavilyAvailable()) {
-      try {
-        const timeFilter = temporality === 'current' ? '7d' : '30d';
-        const tavilyResults = await searchTavilyNews(searchQuery, { 
-          maxResults,
-          timeFilter
-        });
-        
-        if (tavilyResults.length > 0) {
-          console.log(`   └─ Using Tavily results (${tavilyResults.length} found)`);
-          return tavilyResults;
-        }
-      } catch (error) {
-        console.log(`   └─ Tavily search failed, falling back to Wikipedia: ${error.message}`);
+  };
+  
+  let results = [];
+  
+  if (mode === 'merge') {
+    const seen = new Set();
+    for (const providerResults of await Promise.all(names.map(runProvider))) {
+      for (const result of providerResults) {
+        const key = `${result.url}::${result.snippet.substring(0, 100)}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        results.push(result);
       }
     }
-    
-    // Fallback to Wikipedia
-    console.log(`   └─ Using Wikipedia fallback`);
-    const results = await searchWikipedia(searchQuery);
-    
-    return results;
-  } catch (error) {
-    console.error('Web search error:', error.message);
-    // Return empty array if search fails
-    return [];
+  } else {
+    for (const name of names) {
+      results = await runProvider(name);
+      signal?.throwIfAborted();
+      
+      if (results.length > 0) {
+        console.log(`   └─ Using ${name} results (${results.length} found)`);
+        break;
+      }
+    }
+  }
+  
+  if (results.length === 0 && failures.length > 0 && failures.length === names.length) {
+    const [error] = failures;
+    throw error instanceof ApiError
+      ? error
+      : new ApiError(ErrorCode.SEARCH_FAILED, `Web search failed: ${error.message}`, null, { cause: error });
   }
+  
+  return results;
+}
+
+/**
+ * English search text and terms for a non-English claim
+ */
+function buildEnglishRequest({ claim, entities = [] }) {
+  const terms = entities.length > 0 ? entities : extractKeywords(claim);
+  return { text: claim, terms: terms.map(cleanEntityName) };
 }
 
 /**
@@ -91,74 +142,6 @@ function extractKeywords(claim) {
   return words.slice(0, 3);
 }
 
-/**
- * Search Wikipedia for reliable information
- */
-async function searchWikipedia(searchTerm) {
-  try {
-    const searchQuery = encodeURIComponent(searchTerm);
-    const searchUrl = `https://en.wikipedia.org/w/api.php?action=opensearch&search=${searchQuery}&limit=3&format=json&origin=*`;
-    
-    const response = await fetch(searchUrl);
-    const data = await response.json();
-    
-    // Wikipedia API returns: [query, [titles], [descriptions], [urls]]
-    const [, titles, , urls] = data;
-    
-    if (titles.length === 0) {
-      console.log(`   └─ Found 0 Wikipedia results for "${searchTerm}"`);
-      return [];
-    }
-    
-    // Fetch content extracts for each page
-    const results = [];
-    for (let i = 0; i < titles.length; i++) {
-      try {
-        const extract = await getWikipediaExtract(titles[i]);
-        results.push({
-          title: titles[i],
-          url: urls[i],
-          snippet: extract || 'No description available.',
-          credibility: 'high', // Wikipedia is generally credible
-          source: 'Wikipedia'
-        });
-      } catch (err) {
-        // Skip pages that fail to fetch
-        console.error(`   └─ Failed to fetch extract for ${titles[i]}`);
-      }
-    }
-    
-    console.log(`   └─ Found ${results.length} Wikipedia results`);
-    return results;
-  } catch (error) {
-    console.error('Wikipedia search error:', error.message);
-    return [];
-  }
-}
-
-/**
- * Get Wikipedia page extract (first few sentences)
- */
-async function getWikipediaExtract(pageTitle) {
-  try {
-    const encodedTitle = encodeURIComponent(pageTitle);
-    const extractUrl = `https://en.wikipedia.org/w/api.php?action=query&format=json&prop=extracts&exintro=true&explaintext=true&titles=${encodedTitle}&origin=*`;
-    
-    const response = await fetch(extractUrl);
-    const data = await response.json();
-    
-    const pages = data.query.pages;
-    const pageId = Object.keys(pages)[0];
-    const extract = pages[pageId].extract;
-    
-    // Return first 500 characters
-    return extract ? extract.substring(0, 500) + '...' : null;
-  } catch (error) {
-    console.error(`Error fetching Wikipedia extract: ${error.message}`);
-    return null;
-  }
-}
-
 /**
  * Mock search results for testing
  */
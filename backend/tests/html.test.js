@@ -0,0 +1,41 @@
+/**
+ * Readable text extraction
+ * Run with: node --test backend/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractReadableText, htmlToText } from '../utils/html.js';
+
+test('navigation, ads and widgets are dropped and headings kept', () => {
+  const { title, text } = extractReadableText(`<html><head><title>A &amp; B</title></head><body>
+    <nav><a href="/">Home</a></nav>
+    <main><h2>Results</h2><p>Turnout was 61%.</p>
+    <div class="ad-slot"><div><p>Buy now</p></div></div>
+    <div id="share_bar">Share this</div></main></body></html>`);
+
+  assert.equal(title, 'A & B');
+  assert.equal(text, '## Results\n\nTurnout was 61%.');
+});
+
+test('unclosed elements lose only their opening tag', () => {
+  const { text } = extractReadableText('<p>Kept</p><div class="promo">Also kept<nav>And this');
+  assert.equal(text, 'Kept\n\nAlso kept And this');
+});
+
+test('unclosed tags do not make extraction quadratic', () => {
+  const inputs = [
+    '<nav>x'.repeat(40000),
+    '<div class="ad">x'.repeat(40000),
+    '<!--x'.repeat(40000),
+    '<h2>x'.repeat(40000),
+    '<'.repeat(200000)
+  ];
+
+  for (const html of inputs) {
+    const started = Date.now();
+    extractReadableText(html);
+    htmlToText(html);
+    assert.ok(Date.now() - started < 2000, `${html.substring(0, 20)}... took ${Date.now() - started}ms`);
+  }
+});
@@ -0,0 +1,44 @@
+/**
+ * URL fetcher address checks
+ * Run with: node --test backend/tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isBlockedAddress, fetchReadablePage } from '../services/url-fetcher.js';
+import { ErrorCode } from '../utils/errors.js';
+
+test('public IPv4 and IPv6 addresses are allowed', () => {
+  for (const address of ['8.8.8.8', '1.1.1.1', '93.184.216.34', '2606:4700:4700::1111', '2a00:1450:4001:82b::200e']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test('private, loopback, link-local and metadata addresses are blocked', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00:ec2::254', 'fc00::1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+});
+
+test('IPv6 addresses embedding an IPv4 address are checked as IPv4', () => {
+  for (const address of ['::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:169.254.169.254', '::ffff:a9fe:a9fe',
+    '::127.0.0.1', '::7f00:1', '0:0:0:0:0:ffff:10.0.0.1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+  for (const address of ['::ffff:8.8.8.8', '::ffff:808:808']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test('6to4 and Teredo tunnel addresses are blocked', () => {
+  for (const address of ['2002:7f00:1::1', '2002:c0a8:101::1', '2001:0:4136:e378:8000:63bf:3fff:fdd2']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+});
+
+test('internal hosts and IP literals are refused before any request', async () => {
+  for (const url of ['http://localhost/', 'http://127.0.0.1/', 'http://[::ffff:127.0.0.1]/', 'http://[2002:7f00:1::1]/', 'http://intranet/']) {
+    await assert.rejects(fetchReadablePage(url), { code: ErrorCode.FORBIDDEN }, url);
+  }
+});
@@ -0,0 +1,99 @@
+/**
+ * Okapi BM25 lexical ranking
+ * In-memory index over short documents (chunks), used for keyword search
+ * where exact names, numbers and dates matter
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'did', 'do', 'does', 'for',
+  'from', 'had', 'has', 'have', 'he', 'her', 'his', 'i', 'in', 'is', 'it', 'its', 'of', 'on',
+  'or', 'she', 'that', 'the', 'their', 'they', 'this', 'to', 'was', 'were', 'what', 'when',
+  'which', 'who', 'will', 'with'
+]);
+
+/**
+ * Split text into lowercase terms (letters and digits, stop words removed)
+ * @param {string} text - Text to tokenize
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const terms = text.normalize('NFKC').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.filter(term => !STOP_WORDS.has(term));
+}
+
+/**
+ * Build a BM25 index
+ *
+ * @param {Array<Object>} documents - Items with a `text` field; other fields are returned with results
+ * @param {Object} options - Ranking parameters
+ * @param {number} options.k1 - Term frequency saturation (default: 1.2)
+ * @param {number} options.b - Length normalization (default: 0.75)
+ * @returns {Object} { size, search(query, topK) }
+ */
+export function createBM25Index(documents, options = {}) {
+  const { k1 = 1.2, b = 0.75 } = options;
+
+  const termFrequencies = documents.map(doc => {
+    const frequencies = new Map();
+    for (const term of tokenize(doc.text)) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    return frequencies;
+  });
+
+  const lengths = termFrequencies.map(frequencies => {
+    let length = 0;
+    frequencies.forEach(count => { length += count; });
+    return length;
+  });
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (documents.length || 1);
+
+  // term -> number of documents containing it
+  const documentFrequencies = new Map();
+  for (const frequencies of termFrequencies) {
+    for (const term of frequencies.keys()) {
+      documentFrequencies.set(term, (documentFrequencies.get(term) || 0) + 1);
+    }
+  }
+
+  const idf = term => {
+    const df = documentFrequencies.get(term) || 0;
+    return Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+  };
+
+  return {
+    size: documents.length,
+
+    /**
+     * Rank documents against a query
+     * @param {string} query - Query text
+     * @param {number} topK - Maximum number of results (default: 10)
+     * @returns {Array<Object>} [{ document, score, matchedTerms }] sorted by score, score > 0 only
+     */
+    search(query, topK = 10) {
+      const queryTerms = [...new Set(tokenize(query))];
+      const results = [];
+
+      termFrequencies.forEach((frequencies, i) => {
+        let score = 0;
+        const matchedTerms = [];
+
+        for (const term of queryTerms) {
+          const tf = frequencies.get(term);
+          if (!tf) continue;
+
+          matchedTerms.push(term);
+          score += idf(term) * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * lengths[i] / averageLength));
+        }
+
+        if (score > 0) {
+          results.push({ document: documents[i], score, matchedTerms });
+        }
+      });
+
+      return results
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    }
+  };
+}
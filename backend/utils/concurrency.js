@@ -0,0 +1,33 @@
+/**
+ * Concurrency helpers for running async work with a bounded number of workers
+ */
+
+/**
+ * Map over items with at most `limit` calls to `fn` in flight at once
+ * Results keep input order. Rejections are captured per item rather than
+ * failing the whole run, mirroring Promise.allSettled.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (>= 1)
+ * @param {Function} fn - Async function (item, index) => result
+ * @returns {Promise<Array>} Settled results: { status: 'fulfilled', value } or { status: 'rejected', reason }
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
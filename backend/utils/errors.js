@@ -0,0 +1,83 @@
+/**
+ * API error types
+ * Every error response has the shape { error, code, details } where code is
+ * one of ErrorCode and determines the HTTP status
+ */
+
+export const ErrorCode = {
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  NOT_FOUND: 'NOT_FOUND',
+  CONFLICT: 'CONFLICT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  LLM_UNAVAILABLE: 'LLM_UNAVAILABLE',
+  VECTOR_DB_UNAVAILABLE: 'VECTOR_DB_UNAVAILABLE',
+  SEARCH_FAILED: 'SEARCH_FAILED',
+  TIMEOUT: 'TIMEOUT',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+const STATUS_BY_CODE = {
+  [ErrorCode.VALIDATION_FAILED]: 400,
+  [ErrorCode.UNAUTHORIZED]: 401,
+  [ErrorCode.FORBIDDEN]: 403,
+  [ErrorCode.PAYLOAD_TOO_LARGE]: 413,
+  [ErrorCode.NOT_FOUND]: 404,
+  [ErrorCode.CONFLICT]: 409,
+  [ErrorCode.RATE_LIMITED]: 429,
+  [ErrorCode.QUOTA_EXCEEDED]: 429,
+  [ErrorCode.LLM_UNAVAILABLE]: 503,
+  [ErrorCode.VECTOR_DB_UNAVAILABLE]: 503,
+  [ErrorCode.SEARCH_FAILED]: 502,
+  [ErrorCode.TIMEOUT]: 504,
+  [ErrorCode.INTERNAL_ERROR]: 500
+};
+
+/**
+ * Error with a machine-readable code and HTTP status
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} code - One of ErrorCode
+   * @param {string} message - Human-readable message
+   * @param {*} details - Optional extra information (e.g. validation issues)
+   * @param {Object} options - Error options ({ cause })
+   */
+  constructor(code, message, details = null, options = {}) {
+    super(message, options);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = STATUS_BY_CODE[code] || 500;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      details: this.details
+    };
+  }
+}
+
+/**
+ * Convert any thrown error into an ApiError
+ * Errors aborted by a timeout signal become TIMEOUT; anything unrecognized is INTERNAL_ERROR
+ *
+ * @param {Error} error - Thrown error
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Signal the failed operation ran under
+ * @returns {ApiError}
+ */
+export function classifyError(error, { signal = null } = {}) {
+  if (error instanceof ApiError) return error;
+
+  if (error?.name === 'TimeoutError' || signal?.reason?.name === 'TimeoutError') {
+    return new ApiError(ErrorCode.TIMEOUT, 'Request timed out', null, { cause: error });
+  }
+
+  return new ApiError(ErrorCode.INTERNAL_ERROR, error?.message || 'Internal error', null, { cause: error });
+}
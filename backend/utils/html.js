@@ -0,0 +1,271 @@
+/**
+ * HTML to plain text conversion
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”'
+};
+
+// Elements whose content is never readable text
+const SKIPPED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'head'];
+
+// Elements that end a line or paragraph
+const BLOCK_ELEMENTS = 'p|div|section|article|header|footer|li|ul|ol|h[1-6]|tr|table|blockquote|pre|br|hr|dd|dt|figcaption';
+
+// Page furniture dropped when extracting readable text
+const BOILERPLATE_ELEMENTS = ['nav', 'aside', 'footer', 'form', 'iframe', 'button', 'select', 'dialog', 'menu'];
+
+// class or id tokens marking ads, banners and share widgets; a token matches when it is
+// one of these words or starts with one followed by "-" or "_" ("ad-slot", "share_bar")
+const BOILERPLATE_TOKENS = ['ad', 'ads', 'advert', 'adverts', 'advertisement', 'banner', 'cookie', 'cookies',
+  'promo', 'promoted', 'sponsor', 'sponsored', 'social', 'share', 'sharing', 'newsletter', 'subscribe',
+  'related', 'comment', 'comments', 'sidebar', 'popup', 'modal'];
+
+// Containers that are never removed for their class or id, since they hold the whole page
+const PROTECTED_ELEMENTS = ['html', 'body', 'main', 'article'];
+
+// Tags stop at the next "<" so an unterminated tag cannot make every later match scan to the end
+const ANY_TAG = /<[^<>]*>/g;
+
+const CLASS_OR_ID_ATTRIBUTE = /(?:^|\s)(?:class|id)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+
+/**
+ * Decode HTML character references
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Replace each span from an opening match to the first closing tag after it
+ * One left-to-right pass: spans do not nest, and once a closing tag is missing, later
+ * openings that need it are skipped without searching again, so unclosed tags cost nothing.
+ *
+ * @param {string} html - HTML source
+ * @param {RegExp} opening - Global regex matching opening tags
+ * @param {Function} closingFor - (opening match) => closing tag, e.g. '</nav' or '-->'
+ * @param {Function} replace - (opening match, inner HTML) => replacement
+ */
+function replaceSpans(html, opening, closingFor, replace) {
+  const closings = new Map();
+  const unclosed = new Set();
+  let result = '';
+  let position = 0;
+  let open;
+
+  opening.lastIndex = 0;
+  while ((open = opening.exec(html))) {
+    const closingTag = closingFor(open);
+    if (unclosed.has(closingTag)) continue;
+
+    if (!closings.has(closingTag)) {
+      const pattern = closingTag.startsWith('</') ? `${closingTag}\\s*>` : closingTag;
+      closings.set(closingTag, new RegExp(pattern, 'gi'));
+    }
+    const closing = closings.get(closingTag);
+    closing.lastIndex = opening.lastIndex;
+
+    const close = closing.exec(html);
+    if (!close) {
+      unclosed.add(closingTag);
+      continue;
+    }
+
+    result += html.substring(position, open.index) + replace(open, html.substring(opening.lastIndex, close.index));
+    position = opening.lastIndex = closing.lastIndex;
+  }
+
+  return result + html.substring(position);
+}
+
+/**
+ * Remove comments
+ */
+function removeComments(html) {
+  return replaceSpans(html, /<!--/g, () => '-->', () => ' ');
+}
+
+/**
+ * Remove an element type with its content
+ */
+function removeElements(html, element) {
+  return replaceSpans(html, new RegExp(`<${element}\\b`, 'gi'), () => `</${element}`, () => ' ');
+}
+
+/**
+ * Convert HTML to plain text
+ * Drops scripts, styles and comments, keeps paragraph breaks between block elements
+ *
+ * @param {string} html - HTML source
+ * @returns {string} Plain text with paragraphs separated by blank lines
+ */
+export function htmlToText(html) {
+  let text = removeComments(html);
+
+  for (const element of SKIPPED_ELEMENTS) {
+    text = removeElements(text, element);
+  }
+
+  text = text
+    .replace(new RegExp(`</?(?:${BLOCK_ELEMENTS})\\b[^<>]*>`, 'gi'), '\n\n')
+    .replace(ANY_TAG, ' ');
+
+  return decodeEntities(text)
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * List the tags of an HTML fragment in one pass
+ * Each tag records the length of the text before it (ignoring whitespace), so the text
+ * between two tags is a subtraction, and opening tags record the index of their closing
+ * tag, counting nested elements of the same type (-1 if never closed).
+ *
+ * @returns {Object} { tags: [{ start, end, name, closing, textBefore, closedBy }], textLength }
+ */
+function scanTags(html) {
+  const tags = [];
+  const openByName = new Map();
+  let textLength = 0;
+  let position = 0;
+
+  for (const match of html.matchAll(ANY_TAG)) {
+    textLength += html.substring(position, match.index).replace(/\s+/g, '').length;
+    position = match.index + match[0].length;
+
+    const [, closing, name] = match[0].match(/^<(\/?)([a-z][a-z0-9]*)/i) || [];
+    const tag = { start: match.index, end: position, name: name?.toLowerCase(), closing: Boolean(closing), textBefore: textLength, closedBy: -1 };
+    tags.push(tag);
+    if (!name) continue;
+
+    if (!openByName.has(tag.name)) openByName.set(tag.name, []);
+    const open = openByName.get(tag.name);
+    if (!tag.closing) {
+      open.push(tags.length - 1);
+    } else if (open.length > 0) {
+      tags[open.pop()].closedBy = tags.length - 1;
+    }
+  }
+
+  textLength += html.substring(position).replace(/\s+/g, '').length;
+  return { tags, textLength };
+}
+
+/**
+ * Whether an opening tag's class or id marks it as an ad or widget
+ */
+function isMarkedTag(tag) {
+  for (const [, doubleQuoted, singleQuoted, unquoted] of tag.matchAll(CLASS_OR_ID_ATTRIBUTE)) {
+    const tokens = (doubleQuoted ?? singleQuoted ?? unquoted).toLowerCase().split(/\s+/);
+    const marked = tokens.some(token => BOILERPLATE_TOKENS.some(word =>
+      token === word || token.startsWith(`${word}-`) || token.startsWith(`${word}_`)));
+    if (marked) return true;
+  }
+  return false;
+}
+
+/**
+ * Remove elements whose class or id marks them as ads or widgets
+ * An element holding more than half of the remaining text is kept: it is more
+ * likely the content with a misleading class than a widget. An element that is
+ * never closed loses only its opening tag.
+ */
+function removeMarkedElements(html) {
+  const { tags, textLength } = scanTags(html);
+  let remaining = textLength;
+  let result = '';
+  let position = 0;
+
+  for (const tag of tags) {
+    if (tag.start < position || !tag.name || tag.closing) continue;
+    if (PROTECTED_ELEMENTS.includes(tag.name) || !isMarkedTag(html.substring(tag.start, tag.end))) continue;
+
+    const closingTag = tags[tag.closedBy];
+    const end = closingTag ? closingTag.end : tag.end;
+    const removed = closingTag ? closingTag.textBefore - tag.textBefore : 0;
+    if (removed > remaining / 2) continue;
+
+    remaining -= removed;
+    result += html.substring(position, tag.start) + ' ';
+    position = end;
+  }
+
+  return result + html.substring(position);
+}
+
+/**
+ * Inner HTML of the first `element`, up to its first closing tag (or its last with
+ * outermost: true, so nested elements stay inside); null if it is missing or never closed
+ */
+function elementContent(html, element, { outermost = false } = {}) {
+  const opening = new RegExp(`<${element}\\b[^<>]*>`, 'i').exec(html);
+  if (!opening) return null;
+
+  const contentStart = opening.index + opening[0].length;
+  const closing = new RegExp(`</${element}\\s*>`, 'gi');
+  closing.lastIndex = contentStart;
+
+  let contentEnd = -1;
+  let match;
+  while ((match = closing.exec(html))) {
+    contentEnd = match.index;
+    if (!outermost) break;
+  }
+
+  return contentEnd >= 0 ? html.substring(contentStart, contentEnd) : null;
+}
+
+/**
+ * Extract the readable text of a web page
+ * Keeps the page's <article> or <main> content when it marks one, drops navigation,
+ * sidebars, forms and elements marked as ads, and turns headings into markdown
+ * ("## Heading") so the text can be split into sections
+ *
+ * @param {string} html - HTML source of a full page
+ * @returns {Object} { title, text }
+ */
+export function extractReadableText(html) {
+  const title = decodeEntities(elementContent(html, 'title') || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  let body = removeComments(html);
+
+  const main = elementContent(body, 'article', { outermost: true }) ?? elementContent(body, 'main', { outermost: true });
+  // Outside the main content the page header is site furniture too
+  body = main ?? removeElements(body, 'header');
+
+  for (const element of [...SKIPPED_ELEMENTS, ...BOILERPLATE_ELEMENTS]) {
+    body = removeElements(body, element);
+  }
+  body = removeMarkedElements(body);
+
+  body = replaceSpans(body, /<h([1-6])\b[^<>]*>/gi, ([, level]) => `</h${level}`, ([, level], inner) => {
+    const heading = htmlToText(inner).replace(/\s+/g, ' ');
+    return heading ? `\n\n${'#'.repeat(Number(level))} ${heading}\n\n` : ' ';
+  });
+
+  return { title, text: htmlToText(body) };
+}
@@ -0,0 +1,99 @@
+/**
+ * Local file-backed storage helpers (JSON documents and JSON Lines logs)
+ * All files live under DATA_DIR (default: ./data)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+// Per-file promise chains so concurrent writes to one file never interleave
+const writeQueues = new Map();
+
+/**
+ * Resolve a file name inside the data directory
+ */
+export function resolveDataPath(...segments) {
+  return path.join(DATA_DIR, ...segments);
+}
+
+/**
+ * Run a write operation after any pending writes to the same file
+ */
+function enqueueWrite(filePath, operation) {
+  const previous = writeQueues.get(filePath) || Promise.resolve();
+  const next = previous.catch(() => {}).then(operation);
+  writeQueues.set(filePath, next);
+  return next;
+}
+
+/**
+ * Read a JSON document, returning fallback if the file does not exist
+ */
+export async function readJSONFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Write a JSON document atomically (temp file + rename)
+ */
+export function writeJSONFile(filePath, data) {
+  return enqueueWrite(filePath, async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+  });
+}
+
+/**
+ * Append one record to a JSON Lines file
+ */
+export function appendJSONLine(filePath, record) {
+  return enqueueWrite(filePath, async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, JSON.stringify(record) + '\n');
+  });
+}
+
+/**
+ * Read all records from a JSON Lines file, skipping corrupt lines
+ */
+export async function readJSONLines(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      console.warn(`⚠️  Skipping corrupt line in ${filePath}`);
+    }
+  }
+  return records;
+}
+
+/**
+ * Replace a JSON Lines file with the given records atomically
+ */
+export function writeJSONLines(filePath, records) {
+  return enqueueWrite(filePath, async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, records.map(r => JSON.stringify(r) + '\n').join(''));
+    await fs.rename(tempPath, filePath);
+  });
+}
@@ -0,0 +1,54 @@
+/**
+ * Server-Sent Events helpers for Express responses
+ */
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Switch an Express response into an SSE stream
+ * Sends a comment heartbeat periodically so proxies keep the connection open
+ *
+ * @param {Object} res - Express response
+ * @returns {Object} Stream with send(type, data), close() and isClosed()
+ */
+export function openEventStream(res) {
+  let closed = false;
+  let eventId = 0;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx response buffering
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    send(type, data) {
+      if (closed) return false;
+      eventId += 1;
+      res.write(`id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    close() {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      res.end();
+    },
+
+    isClosed() {
+      return closed;
+    }
+  };
+}
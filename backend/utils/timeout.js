@@ -0,0 +1,16 @@
+/**
+ * Request timeouts
+ * Synchronous API requests are aborted after REQUEST_TIMEOUT_MS (0 disables the limit)
+ */
+
+export const REQUEST_TIMEOUT_MS = parseInt(process.env.REQUEST_TIMEOUT_MS || '120000', 10);
+
+/**
+ * Create an AbortSignal that fires after the request timeout
+ * @param {number} ms - Timeout in milliseconds (default: REQUEST_TIMEOUT_MS)
+ * @returns {AbortSignal|undefined} Timeout signal, or undefined when timeouts are disabled
+ *   (LangChain rejects a null signal)
+ */
+export function createTimeoutSignal(ms = REQUEST_TIMEOUT_MS) {
+  return ms > 0 ? AbortSignal.timeout(ms) : undefined;
+}
@@ -3,9 +3,27 @@
  * Handles the extension popup UI and interactions
  */
 
-const API_URL = 'http://localhost:3000/api/verify';
+const STREAM_URL = 'http://localhost:3000/api/verify/stream';
 const HEALTH_URL = 'http://localhost:3000/health';
 
+// Progress messages for pipeline events (closing the popup cancels the verification)
+const PROGRESS_MESSAGES = {
+  started: () => 'Analyzing claim...',
+  analysis: (data) => `Claim analyzed (${data.type}, ${data.temporality}). Choosing strategy...`,
+  decomposition: (data) => `🧩 Complex claim split into ${data.subClaims.length} sub-claims. Verifying each...`,
+  sub_claim: (data) => `Sub-claim ${data.index} verified: ${data.verdict.replace(/_/g, ' ')}...`,
+  routing: (data) => `${data.icon} ${data.strategyName} strategy selected. Gathering evidence...`,
+  evidence: (data) => `Found ${data.count} ${data.source} source(s)...`,
+  agent_step: (data) => `🤖 Step ${data.step}: ${data.tool} returned ${data.numResults} result(s)...`,
+  translation: (data) => `🌍 Translated ${data.translated} source(s)...`,
+  rerank: (data) => `Kept ${data.kept} relevant source(s)...`,
+  stance: (data) => `Sources: ${data.supports} support, ${data.refutes} refute, ${data.neutral} neutral...`,
+  conflicts: (data) => data.count ? `⚔️ ${data.count} conflict(s) between sources...` : 'No conflicts between sources...',
+  sufficiency: (data) => `Evidence score ${(data.score * 100).toFixed(0)}%. Generating verdict...`,
+  verdict: (data) => `Draft verdict: ${data.verdict.replace(/_/g, ' ')}. Running self-critique...`,
+  critique: () => 'Self-critique complete. Finalizing...'
+};
+
 // Check server status on load
 checkServerStatus();
 
@@ -46,7 +64,7 @@ async function verifyClaim(claim) {
   hideError();
   
   try {
-    const response = await fetch(API_URL, {
+    const response = await fetch(STREAM_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -61,7 +79,7 @@ async function verifyClaim(claim) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
     
-    const result = await response.json();
+    const result = await readVerificationStream(response);
     
     // Store in history
     await storeVerification(claim, result);
@@ -77,6 +95,36 @@ async function verifyClaim(claim) {
   }
 }
 
+// Read SSE events from the streaming endpoint, updating progress until the final result
+async function readVerificationStream(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split('\n\n');
+    buffer = messages.pop();
+
+    for (const message of messages) {
+      const dataLine = message.split('\n').find(line => line.startsWith('data: '));
+      if (!dataLine) continue;
+
+      const event = JSON.parse(dataLine.slice(6));
+      if (event.type === 'complete') return event.data;
+      if (event.type === 'error') throw new Error(event.data.message);
+
+      const formatMessage = PROGRESS_MESSAGES[event.type];
+      if (formatMessage) setLoadingText(formatMessage(event.data));
+    }
+  }
+
+  throw new Error('Verification stream ended without a result');
+}
+
 // Display verification result
 function displayResult(result, claim) {
   const resultDiv = document.getElementById('result');
@@ -148,7 +196,12 @@ window.copyResults = function(claim, verdict, confidence, reasoning) {
 };
 
 // Show/hide UI elements
+function setLoadingText(text) {
+  document.getElementById('loadingText').textContent = text;
+}
+
 function showLoading() {
+  setLoadingText('Analyzing claim and gathering evidence...');
   document.getElementById('loading').style.display = 'block';
   document.getElementById('verifyButton').disabled = true;
 }